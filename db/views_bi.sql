@@ -8,26 +8,8 @@
 ---------------------------------------------
 -- 1) Daily sales by store
 ---------------------------------------------
-CREATE OR REPLACE VIEW v_sales_by_store_daily AS
-WITH item_rev AS (
-  SELECT
-    oi.order_id,
-    SUM(COALESCE(oi.unit_price,0)::numeric * COALESCE(oi.qty,0))::numeric(18,2) AS items_revenue,
-    SUM(COALESCE(oi.qty,0))::int AS units
-  FROM order_items oi
-  GROUP BY oi.order_id
-)
-SELECT
-  o.shop_domain,
-  DATE_TRUNC('day', o.placed_at) AS day,
-  COUNT(DISTINCT o.id)           AS orders,
-  COALESCE(ir.units,0)           AS units,
-  -- prefer order "total" if present; fall back to summed item revenue
-  SUM(COALESCE(o.total, ir.items_revenue, 0))::numeric(18,2) AS revenue
-FROM orders o
-LEFT JOIN item_rev ir ON ir.order_id = o.id
-GROUP BY o.shop_domain, DATE_TRUNC('day', o.placed_at), ir.units
-ORDER BY day DESC, o.shop_domain;
+-- v_sales_by_store_daily (per store and reporting-tz day, refunds netted) is Worker migration 14
+-- (MIGRATIONS in server/src/worker.ts); POST /api/admin/migrate creates it.
 
 ---------------------------------------------
 -- 2) Monthly sales by store
@@ -81,30 +63,8 @@ ORDER BY revenue DESC, units DESC;
 ---------------------------------------------
 -- 4) Customer repeat rates
 ---------------------------------------------
-CREATE OR REPLACE VIEW v_customer_repeat_rates AS
-WITH per_customer AS (
-  SELECT
-    o.shop_domain,
-    o.customer_id,
-    COUNT(DISTINCT o.id) AS order_count
-  FROM orders o
-  GROUP BY o.shop_domain, o.customer_id
-)
-SELECT
-  shop_domain,
-  COUNT(*) FILTER (WHERE customer_id IS NOT NULL)                         AS total_customers,
-  COUNT(*) FILTER (WHERE customer_id IS NOT NULL AND order_count > 1)     AS repeat_customers,
-  CASE
-    WHEN COUNT(*) FILTER (WHERE customer_id IS NOT NULL) = 0 THEN 0
-    ELSE ROUND(
-      (COUNT(*) FILTER (WHERE customer_id IS NOT NULL AND order_count > 1))::numeric
-      / NULLIF(COUNT(*) FILTER (WHERE customer_id IS NOT NULL), 0),
-      4
-    )
-  END AS repeat_rate
-FROM per_customer
-GROUP BY shop_domain
-ORDER BY repeat_rate DESC NULLS LAST;
+-- v_customer_repeat_rates and v_customer_repeat_rates_all are Worker migration 15
+-- (MIGRATIONS in server/src/worker.ts); POST /api/admin/migrate creates them.
 
 ---------------------------------------------
 -- 5) Monthly cohort analysis (by customer's first month)
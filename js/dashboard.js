@@ -265,6 +265,91 @@ class ProductIntelligence extends BaseModule {
         if (this.platform.isMobile) {
             this.showMobileUploadFeedback(uploadId);
         }
+
+        const file = event.target.files?.[0];
+        if (uploadId === 'po-upload' && file) {
+            this.uploadPurchaseOrders(file).catch(err => {
+                console.error('PO import failed:', err);
+                alert(`🏭 Purchase order import failed:\n${err.message}`);
+            });
+        }
+    }
+
+    // NetSuite export (XLSX or CSV) → CSV → Worker; the file is the whole open-PO list
+    async uploadPurchaseOrders(file) {
+        const book = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true, dateNF: 'yyyy-mm-dd' });
+        const csv = XLSX.utils.sheet_to_csv(book.Sheets[book.SheetNames[0]], { dateNF: 'yyyy-mm-dd' });
+        // replace closes every open PO line missing from the file, so a file with bad rows is refused, not trimmed
+        const params = new URLSearchParams({ replace: 'true', filename: file.name });
+
+        // BiToken (web/api-token.js): viewer reads the reorder list, operator uploads purchase orders
+        const res = BiToken.check(await fetch(`${WORKER_BASE}/api/admin/purchase-orders/upload?${params}`, {
+            method: 'POST',
+            headers: BiToken.headers({ 'Content-Type': 'text/csv' }),
+            body: csv
+        }));
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.ok) {
+            const rows = (data.errors || []).slice(0, 10).map(e => `line ${e.line}: ${e.error}`);
+            const more = (data.errors || []).length > rows.length ? [`…and ${data.errors.length - rows.length} more`] : [];
+            throw new Error([data.error || `HTTP ${res.status}`, ...rows, ...more].join('\n'));
+        }
+
+        document.getElementById('po-status')?.classList.add('loaded');
+        await this.showReorder(`${data.lines} PO line(s) imported`);
+    }
+
+    async loadReorder() {
+        const url = `${WORKER_BASE}/api/inventory/reorder?limit=2000`;
+        const res = BiToken.check(await fetch(url, { headers: BiToken.headers({ 'Accept': 'application/json' }) }));
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        this.results.set('reorder', data);
+        return data;
+    }
+
+    async showReorder(note = '') {
+        const data = await this.loadReorder();
+        const resultsContent = document.getElementById('product-results-content');
+        if (!resultsContent) return;
+
+        const rows = data.items.slice(0, 25).map(r => `
+            <tr>
+                <td>${r.sku}</td>
+                <td>${r.po_vendor || r.vendor || ''}</td>
+                <td style="text-align:right">${Number(r.available).toLocaleString()}</td>
+                <td style="text-align:right">${Number(r.open_po_qty).toLocaleString()}</td>
+                <td style="text-align:right">${Number(r.daily_velocity).toFixed(2)}</td>
+                <td style="text-align:right">${r.days_of_cover_with_po ?? '—'}</td>
+                <td style="text-align:right"><strong>${Number(r.suggested_qty).toLocaleString()}</strong></td>
+                <td style="text-align:right">${r.suggested_cost == null ? '—' : this.formatCurrency(Number(r.suggested_cost))}</td>
+            </tr>
+        `).join('');
+
+        resultsContent.innerHTML = `
+            <div class="result-card">
+                <div class="result-title">🏭 Reorder Suggestions</div>
+                <div class="result-value">${data.totals.skus.toLocaleString()} SKUs · ${data.totals.units.toLocaleString()} units</div>
+                <div class="result-description">
+                    ${this.formatCurrency(data.totals.cost)} at last PO cost · ${data.lead_days}d lead time + ${data.cover_days}d cover
+                    ${note ? ` · ${note}` : ''}
+                </div>
+                <div class="table-wrap">
+                    <table class="table" style="width:100%; border-collapse:collapse;">
+                        <thead>
+                            <tr>
+                                <th style="text-align:left">SKU</th><th style="text-align:left">Vendor</th>
+                                <th style="text-align:right">Available</th><th style="text-align:right">Open PO</th>
+                                <th style="text-align:right">Units / day</th><th style="text-align:right">Days of cover (with PO)</th>
+                                <th style="text-align:right">Reorder qty</th><th style="text-align:right">Est. cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows || '<tr><td colspan="8">Nothing to reorder.</td></tr>'}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        this.showResults('product-results-panel');
     }
     
     showMobileUploadFeedback(uploadId) {
@@ -542,8 +627,38 @@ class ProductIntelligence extends BaseModule {
         alert('📦 Stockout Risks Export - Coming back once navigation is stable!');
     }
 
-    static exportInventoryOptimization() {
-        alert('🏭 Inventory Optimization Export - Coming back once navigation is stable!');
+    static async exportInventoryOptimization() {
+        const module = window.platform.modules.get('productIntelligence');
+        let data;
+        try {
+            data = await module.loadReorder();
+        } catch (err) {
+            alert(`🏭 Could not load reorder suggestions:\n${err.message}`);
+            return;
+        }
+        if (!data.items.length) {
+            alert('🏭 Nothing to reorder right now.');
+            return;
+        }
+
+        const header = ['SKU', 'Title', 'PO Vendor', 'Catalog Vendor', 'On Hand', 'Available', 'Open PO Qty', 'Next Expected',
+            'Units/Day', 'Days of Cover', 'Days of Cover (with PO)', 'Reorder Qty', 'Unit Cost', 'Est. Cost'];
+        const csvContent = [header, ...data.items.map(r => [
+            r.sku, r.title || '', r.po_vendor || '', r.vendor || '', r.on_hand, r.available, r.open_po_qty,
+            r.next_expected ? String(r.next_expected).slice(0, 10) : '', r.daily_velocity, r.days_of_cover ?? '',
+            r.days_of_cover_with_po ?? '', r.suggested_qty, r.unit_cost ?? '', r.suggested_cost ?? ''
+        ])].map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+        const filename = `Reorder_Suggestions_${new Date().toISOString().slice(0, 10)}.csv`;
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     }
     
     static exportAllItems() {
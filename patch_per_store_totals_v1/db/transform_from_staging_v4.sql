@@ -1,2 +0,0 @@
--- db/transform_from_staging_v4.sql
--- (existing transform SQL script, unchanged for this patch)
@@ -10,15 +10,13 @@ if [[ -z "$STORE" ]]; then
   exit 1
 fi
 
-TOKEN_OPT=""
-if [[ -n "${BACKFILL_TOKEN:-}" ]]; then
-  TOKEN_OPT="&token=$BACKFILL_TOKEN"
-fi
+# operator token for the Worker's auth layer (Authorization: Bearer)
+AUTH_HEADER="Authorization: Bearer ${BI_TOKEN:-${BACKFILL_TOKEN:-}}"
 
 for a in 1 2 3; do
   echo "Backfill $STORE days=$DAYS reset=$RESET (attempt $a)"
-  R=$(curl -sS -i -X POST \
-     "https://netsuite-bi-ingest.mitchbiworker.workers.dev/api/admin/backfill?days=$DAYS&store=$STORE&hard_reset=$RESET$TOKEN_OPT")
+  R=$(curl -sS -i -X POST -H "$AUTH_HEADER" \
+     "https://netsuite-bi-ingest.mitchbiworker.workers.dev/api/admin/backfill?days=$DAYS&store=$STORE&hard_reset=$RESET")
 
   STATUS=$(printf "%s" "$R" | sed -n '1s/^[^ ]* \([0-9][0-9][0-9]\).*/\1/p')
   BODY=$(printf "%s" "$R" | sed '1,/^\r\?$/d')
@@ -1,5 +1,5 @@
 #!/usr/bin/env bash
 set -euo pipefail
 STORE="${1:-}"; RESET="${2:-false}"; DAYS="${3:-365}"
-TOKEN_OPT=""; [[ -n "${BACKFILL_TOKEN:-}" ]] && TOKEN_OPT="&token=$BACKFILL_TOKEN"
-curl -i -X POST "https://netsuite-bi-ingest.mitchbiworker.workers.dev/api/admin/backfill?days=$DAYS&store=$STORE&hard_reset=$RESET$TOKEN_OPT"
+curl -i -X POST -H "Authorization: Bearer ${BI_TOKEN:-${BACKFILL_TOKEN:-}}" \
+  "https://netsuite-bi-ingest.mitchbiworker.workers.dev/api/admin/backfill?days=$DAYS&store=$STORE&hard_reset=$RESET"
@@ -9,11 +9,24 @@ type Row = {
   shop_domain: string;
   units_window: number;
   revenue_window: string | number;
+  // null until sku_costs covers the SKU
+  cost_window: string | number | null;
+  gross_profit_window: string | number | null;
+  margin_pct: string | number | null;
+  units_uncosted_window: number;
   // optionally present if include365=true
   units_365?: number;
   revenue_365?: string | number;
+  gross_profit_365?: string | number | null;
+  margin_pct_365?: string | number | null;
 };
 
+type Sort = "revenue" | "profit" | "margin" | "units";
+
+const money = (v: string | number | null | undefined) => (v == null ? "—" : Number(v).toFixed(2));
+const pct = (v: string | number | null | undefined) => (v == null ? "—" : `${(Number(v) * 100).toFixed(1)}%`);
+const lossClass = (v: string | number | null | undefined) => (v != null && Number(v) < 0 ? " text-red-600" : "");
+
 function toCSV(rows: Row[]) {
   if (!rows.length) return "";
   const headers = Object.keys(rows[0]);
@@ -43,6 +56,7 @@ export default function TopBottomSkus() {
   const [limit, setLimit] = useState(50);
   const [store, setStore] = useState<string>(""); // optional domain filter
   const [include365, setInclude365] = useState(false);
+  const [sort, setSort] = useState<Sort>("revenue");
 
   const [topRows, setTopRows] = useState<Row[]>([]);
   const [bottomRows, setBottomRows] = useState<Row[]>([]);
@@ -55,8 +69,9 @@ export default function TopBottomSkus() {
     p.set("limit", String(limit));
     if (store) p.set("store", store);
     if (include365) p.set("include365", "true");
+    p.set("sort", sort);
     return p.toString();
-  }, [days, limit, store, include365]);
+  }, [days, limit, store, include365, sort]);
 
   useEffect(() => {
     let abort = false;
@@ -113,6 +128,16 @@ export default function TopBottomSkus() {
                  value={store} onChange={e => setStore(e.target.value)}
                  className="border rounded p-2 w-[520px]"/>
         </label>
+        <label className="flex flex-col">
+          <span>Sort by</span>
+          <select value={sort} onChange={e => setSort(e.target.value as Sort)}
+                  className="border rounded p-2">
+            <option value="revenue">Revenue</option>
+            <option value="profit">Gross profit</option>
+            <option value="margin">Margin %</option>
+            <option value="units">Units</option>
+          </select>
+        </label>
         <label className="flex items-center gap-2">
           <input type="checkbox" checked={include365}
                  onChange={e => setInclude365(e.target.checked)} />
@@ -142,9 +167,14 @@ export default function TopBottomSkus() {
                 <th className="border p-2 text-left">Store</th>
                 <th className="border p-2 text-right">Units</th>
                 <th className="border p-2 text-right">Revenue</th>
+                <th className="border p-2 text-right">Cost</th>
+                <th className="border p-2 text-right">Gross profit</th>
+                <th className="border p-2 text-right">Margin</th>
                 {include365 && <>
                   <th className="border p-2 text-right">Units 365</th>
                   <th className="border p-2 text-right">Revenue 365</th>
+                  <th className="border p-2 text-right">Profit 365</th>
+                  <th className="border p-2 text-right">Margin 365</th>
                 </>}
               </tr>
             </thead>
@@ -156,13 +186,21 @@ export default function TopBottomSkus() {
                   <td className="border p-2">{r.shop_domain}</td>
                   <td className="border p-2 text-right">{r.units_window}</td>
                   <td className="border p-2 text-right">{r.revenue_window}</td>
+                  <td className="border p-2 text-right"
+                      title={r.units_uncosted_window ? `${r.units_uncosted_window} unit(s) have no cost` : undefined}>
+                    {money(r.cost_window)}
+                  </td>
+                  <td className={"border p-2 text-right" + lossClass(r.gross_profit_window)}>{money(r.gross_profit_window)}</td>
+                  <td className={"border p-2 text-right" + lossClass(r.margin_pct)}>{pct(r.margin_pct)}</td>
                   {include365 && <>
                     <td className="border p-2 text-right">{r.units_365 ?? ""}</td>
                     <td className="border p-2 text-right">{r.revenue_365 ?? ""}</td>
+                    <td className={"border p-2 text-right" + lossClass(r.gross_profit_365)}>{money(r.gross_profit_365)}</td>
+                    <td className={"border p-2 text-right" + lossClass(r.margin_pct_365)}>{pct(r.margin_pct_365)}</td>
                   </>}
                 </tr>
               ))}
-              {!topRows.length && !loading && <tr><td className="p-3" colSpan={7}>No data</td></tr>}
+              {!topRows.length && !loading && <tr><td className="p-3" colSpan={12}>No data</td></tr>}
             </tbody>
           </table>
         </section>
@@ -185,9 +223,14 @@ export default function TopBottomSkus() {
                 <th className="border p-2 text-left">Store</th>
                 <th className="border p-2 text-right">Units</th>
                 <th className="border p-2 text-right">Revenue</th>
+                <th className="border p-2 text-right">Cost</th>
+                <th className="border p-2 text-right">Gross profit</th>
+                <th className="border p-2 text-right">Margin</th>
                 {include365 && <>
                   <th className="border p-2 text-right">Units 365</th>
                   <th className="border p-2 text-right">Revenue 365</th>
+                  <th className="border p-2 text-right">Profit 365</th>
+                  <th className="border p-2 text-right">Margin 365</th>
                 </>}
               </tr>
             </thead>
@@ -199,13 +242,21 @@ export default function TopBottomSkus() {
                   <td className="border p-2">{r.shop_domain}</td>
                   <td className="border p-2 text-right">{r.units_window}</td>
                   <td className="border p-2 text-right">{r.revenue_window}</td>
+                  <td className="border p-2 text-right"
+                      title={r.units_uncosted_window ? `${r.units_uncosted_window} unit(s) have no cost` : undefined}>
+                    {money(r.cost_window)}
+                  </td>
+                  <td className={"border p-2 text-right" + lossClass(r.gross_profit_window)}>{money(r.gross_profit_window)}</td>
+                  <td className={"border p-2 text-right" + lossClass(r.margin_pct)}>{pct(r.margin_pct)}</td>
                   {include365 && <>
                     <td className="border p-2 text-right">{r.units_365 ?? ""}</td>
                     <td className="border p-2 text-right">{r.revenue_365 ?? ""}</td>
+                    <td className={"border p-2 text-right" + lossClass(r.gross_profit_365)}>{money(r.gross_profit_365)}</td>
+                    <td className={"border p-2 text-right" + lossClass(r.margin_pct_365)}>{pct(r.margin_pct_365)}</td>
                   </>}
                 </tr>
               ))}
-              {!bottomRows.length && !loading && <tr><td className="p-3" colSpan={7}>No data</td></tr>}
+              {!bottomRows.length && !loading && <tr><td className="p-3" colSpan={12}>No data</td></tr>}
             </tbody>
           </table>
         </section>
@@ -4,27 +4,81 @@ import { Pool, PoolClient } from "@neondatabase/serverless";
 /*───────────────────────────────────────────────────────────────────────────*
   Types
 *───────────────────────────────────────────────────────────────────────────*/
-type Store = { domain: string; token: string };
+type Store = { domain: string; token: string; webhookSecret?: string };
 
 type Env = {
   DATABASE_URL: string;
-  SHOPIFY_STORES?: string;      // JSON array: [{domain, token}, ...]
+  SHOPIFY_STORES?: string;      // JSON array: [{domain, token, webhook_secret?}, ...]
   PAGE_SIZE?: string;           // default "100" (max 250)
   MAX_PAGES_PER_RUN?: string;   // default "10"
-  BACKFILL_TOKEN?: string;      // optional: require ?token=... for /api/admin/backfill
+  API_TOKENS?: string;          // JSON array: [{token, role: "viewer"|"operator"|"admin", name?}, ...]
+  BACKFILL_TOKEN?: string;      // legacy: accepted as an operator bearer token
+  REPORT_TZ?: string;           // IANA zone for report days, "today" and log timestamps (default America/Denver)
+  NETSUITE?: string;            // JSON: {account, consumer_key, consumer_secret, token_id, token_secret, base_url?}
 };
 
 /*───────────────────────────────────────────────────────────────────────────*
   Helpers (time, http, store parsing)
 *───────────────────────────────────────────────────────────────────────────*/
+const DEFAULT_REPORT_TZ = "America/Denver";
+let logTz = DEFAULT_REPORT_TZ;   // set from env.REPORT_TZ at the top of fetch/scheduled
+
+/** env.REPORT_TZ when Intl knows the zone, else the default (a typo shouldn't take the Worker down) */
+function reportTz(env: Env): string {
+  const tz = (env.REPORT_TZ || "").trim();
+  return tz && isValidTz(tz) ? tz : DEFAULT_REPORT_TZ;
+}
+
+function isValidTz(tz: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 function log(...args: unknown[]) {
   const ts = new Date().toLocaleString("en-US", {
-    timeZone: "America/Denver",
+    timeZone: logTz,
     hour12: false,
   });
   console.log(ts, ...args);
 }
 
+/** Today's date (YYYY-MM-DD) in a timezone */
+function todayIn(tz: string): string {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(new Date());
+  const get = (t: string) => parts.find((p) => p.type === t)?.value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+function isIsoDate(v: string): boolean {
+  const m = v.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.toISOString().slice(0, 10) === v;
+}
+
+/** Calendar-day arithmetic on YYYY-MM-DD (done in UTC, so no DST drift) */
+function addDays(iso: string, n: number): string {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400e3);
+}
+
+/** Same date a year earlier; Feb 29 → Feb 28 */
+function lastYear(iso: string): string {
+  const [y, m, d] = iso.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y - 1, m, 0)).getUTCDate();
+  return `${y - 1}-${String(m).padStart(2, "0")}-${String(Math.min(d, lastDay)).padStart(2, "0")}`;
+}
+
 function json(body: unknown, status = 200) {
   return new Response(JSON.stringify(body), {
     status,
@@ -32,6 +86,7 @@ function json(body: unknown, status = 200) {
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+      "Access-Control-Allow-Headers": "Authorization, Content-Type",
     },
   });
 }
@@ -56,6 +111,7 @@ function parseStores(raw?: string): Store[] {
     return arr.map((s: any) => ({
       domain: sanitizeDomain(String(s.domain ?? "")),
       token: String(s.token ?? ""),
+      webhookSecret: s.webhook_secret ? String(s.webhook_secret) : undefined,
     }));
   } catch {
     return [];
@@ -65,26 +121,28 @@ function parseStores(raw?: string): Store[] {
 /*───────────────────────────────────────────────────────────────────────────*
   Database helpers
 *───────────────────────────────────────────────────────────────────────────*/
-async function getClient(env: Env): Promise<PoolClient> {
+/** A connection for request handlers and cron; fails while migrations are pending (see MIGRATIONS).
+    Only the migrate routes pass { migrating: true }. */
+async function getClient(env: Env, opts: { migrating?: boolean } = {}): Promise<PoolClient> {
   if (!env.DATABASE_URL?.startsWith("postgresql")) {
     throw new Error("Missing or invalid DATABASE_URL secret (wrangler secret put DATABASE_URL).");
   }
   const pool = new Pool({ connectionString: env.DATABASE_URL });
-  return await pool.connect();
+  const client = await pool.connect();
+  try {
+    // the v_* views and TZ_SQL read this, so day boundaries follow REPORT_TZ instead of a SQL literal
+    await client.query(`SELECT set_config('bi.report_tz', $1, false)`, [reportTz(env)]);
+    if (!opts.migrating) await assertSchemaCurrent(client);
+  } catch (e) {
+    client.release();
+    throw e;
+  }
+  return client;
 }
 
-/** Match your live schema: composite PK (channel_id,key), value TEXT NOT NULL */
-async function ensureSyncState(client: PoolClient): Promise<void> {
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS sync_state (
-      channel_id int NOT NULL,
-      key        text NOT NULL,
-      value      text NOT NULL,
-      updated_at timestamptz DEFAULT now(),
-      PRIMARY KEY (channel_id, key)
-    )
-  `);
-}
+/* Reporting timezone / today inside queries (getClient sets bi.report_tz on every connection) */
+const TZ_SQL = `current_setting('bi.report_tz')`;
+const TODAY_SQL = `(now() AT TIME ZONE ${TZ_SQL})::date`;
 
 async function getStagingColumns(client: PoolClient): Promise<Set<string>> {
   const r = await client.query(`
@@ -95,56 +153,1173 @@ async function getStagingColumns(client: PoolClient): Promise<Set<string>> {
   return new Set(r.rows.map((x: any) => x.column_name));
 }
 
-async function getOrCreateShopifyChannelId(client: PoolClient): Promise<number> {
+async function getOrCreateChannelId(client: PoolClient, name: string): Promise<number> {
   await client.query(
-    `INSERT INTO channels(name) VALUES ('Shopify') ON CONFLICT (name) DO NOTHING`
+    `INSERT INTO channels(name) VALUES ($1) ON CONFLICT (name) DO NOTHING`, [name]
   );
-  const r = await client.query(`SELECT id FROM channels WHERE name='Shopify' ORDER BY id LIMIT 1`);
+  const r = await client.query(`SELECT id FROM channels WHERE name=$1 ORDER BY id LIMIT 1`, [name]);
   if (!r.rows?.[0]?.id) {
-    const ins = await client.query(`INSERT INTO channels(name) VALUES ('Shopify') RETURNING id`);
+    const ins = await client.query(`INSERT INTO channels(name) VALUES ($1) RETURNING id`, [name]);
     return Number(ins.rows[0].id);
   }
   return Number(r.rows[0].id);
 }
 
+function getOrCreateShopifyChannelId(client: PoolClient): Promise<number> {
+  return getOrCreateChannelId(client, "Shopify");
+}
+
 async function queryRows<T = any>(client: PoolClient, sql: string, params: any[] = []): Promise<T[]> {
   const r = await client.query(sql, params);
   return r.rows as T[];
 }
 
-/** Ensure compatibility view for legacy KPI queries */
-async function ensureCompatView(client: PoolClient): Promise<void> {
-  await client.query(`
-    CREATE OR REPLACE VIEW v_order_items_enriched AS
+/* top/bottom SKU grouping: one row per sku (+ title), or per catalog vendor / product type (per store) */
+type SkuGroup = "sku" | "vendor" | "product_type";
+
+/** Per-SKU (or per vendor / product type) window rollup shared by top/bottom SKUs. $1/$2 = from/to
+    (inclusive report-tz dates), $3 = store domain ('' = all), $4 = only these group keys (sku/vendor/type;
+    NULL = all; used to fetch a comparison period's rows), $5 = vendor ('' = all).
+    Gross is line revenue; refunds are matched to the sold line (refund_items, since refunds.amount has no
+    per-line split), so return_rate is units back / units sold.
+    Cost is landed_cost_alloc: NULL until a sku_costs row covers the line, so uncosted SKUs get a NULL
+    profit/margin (never a fake 100%) and partly costed ones report units_uncosted_window. */
+function skuWindowSql(opts: { include365: boolean; orderBy: string; limit?: number; groupBy?: SkuGroup }): string {
+  const by = opts.groupBy ?? "sku";
+  const keys = by === "sku" ? ["sku", "title"] : [by];
+  const sums = (suffix: string) => `
+        SUM(l.qty)::int                                  AS units_${suffix},
+        SUM(l.line_total)::numeric(20,2)                 AS revenue_${suffix},
+        SUM(COALESCE(l.units_refunded,0))::int           AS units_refunded_${suffix},
+        SUM(COALESCE(l.refunded,0))::numeric(20,2)       AS refunded_${suffix},
+        SUM(l.landed_cost_alloc)::numeric(20,2)          AS cost_${suffix}`;
+  return `
+    WITH item_refunds AS (
+      SELECT
+        ri.order_item_id,
+        SUM(COALESCE(ri.qty,0))::int               AS units_refunded,
+        SUM(COALESCE(ri.subtotal,0))::numeric(20,2) AS refunded
+      FROM refund_items ri
+      WHERE ri.order_item_id IS NOT NULL
+      GROUP BY 1
+    ),
+    lines AS (
+      -- the line's own sku/title win; the catalog fills gaps and adds vendor / product type
+      SELECT
+        COALESCE(NULLIF(oi.sku,''), pv.sku, oi.sku)                 AS sku,
+        COALESCE(NULLIF(oi.title,''), p.title, '')                  AS title,
+        COALESCE(p.vendor, '(no vendor)')                           AS vendor,
+        COALESCE(p.product_type, '(no type)')                       AS product_type,
+        o.shop_id,
+        COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+        o.placed_at,
+        oi.qty, oi.line_total, oi.landed_cost_alloc,
+        rf.units_refunded, rf.refunded
+      FROM v_order_items_enriched oi
+      JOIN orders o ON o.id = oi.order_id
+      LEFT JOIN shops sh ON sh.id = o.shop_id
+      LEFT JOIN product_variants pv ON pv.shop_id = o.shop_id AND pv.variant_id = oi.external_variant_id
+      LEFT JOIN products p ON p.shop_id = o.shop_id AND p.product_id = COALESCE(pv.product_id, oi.external_product_id)
+      LEFT JOIN item_refunds rf ON rf.order_item_id = oi.id
+      WHERE o.placed_at >= (${opts.include365 ? `LEAST($1::date, $2::date - 365)` : `$1::date`}::timestamp AT TIME ZONE ${TZ_SQL})
+        AND o.placed_at <  (($2::date + 1)::timestamp AT TIME ZONE ${TZ_SQL})
+        AND ($3::text = '' OR COALESCE(sh.domain, o.shop_domain) = $3)
+        AND ($5::text = '' OR lower(p.vendor) = lower($5))
+    ),
+    window_orders AS (
+      SELECT
+        ${keys.map((k) => `l.${k}`).join(", ")},
+        l.shop_id,
+        l.shop_domain,${by === "sku" ? "" : `
+        COUNT(DISTINCT l.sku)::int                       AS skus,`}${sums("window")},
+        COALESCE(SUM(l.qty) FILTER (WHERE l.landed_cost_alloc IS NULL),0)::int AS units_uncosted_window
+      FROM lines l
+      WHERE l.placed_at >= ($1::date::timestamp AT TIME ZONE ${TZ_SQL})
+        AND ($4::text[] IS NULL OR l.${by} = ANY($4::text[]))
+      GROUP BY ${keys.map((k) => `l.${k}`).join(", ")}, l.shop_id, l.shop_domain
+    )${opts.include365 ? `,
+    trailing_365 AS (
+      SELECT l.${by}, l.shop_id, l.shop_domain,${sums("365")}
+      FROM lines l
+      WHERE l.placed_at >= (($2::date - 365)::timestamp AT TIME ZONE ${TZ_SQL})
+      GROUP BY l.${by}, l.shop_id, l.shop_domain
+    )` : ``}
     SELECT
-      id,
-      order_id,
-      sku,
-      external_product_id,
-      title,
-      qty,
-      unit_price,
-      discount,
-      tax,
-      fees,
-      landed_cost_alloc,
-      external_item_id,
-      (
-        COALESCE(unit_price,0)
-        - COALESCE(discount,0)
-        + COALESCE(tax,0)
-        + COALESCE(fees,0)
-      )::numeric(18,2) AS line_total
-    FROM order_items;
+      ${keys.map((k) => `w.${k}`).join(",\n      ")},
+      w.shop_domain,${by === "sku" ? "" : `
+      w.skus,`}
+      w.units_window,
+      w.revenue_window,
+      w.revenue_window                                          AS gross_revenue_window,
+      w.refunded_window,
+      (w.revenue_window - w.refunded_window)::numeric(20,2)     AS net_revenue_window,
+      w.units_refunded_window,
+      ROUND(w.units_refunded_window::numeric / NULLIF(w.units_window,0), 4) AS return_rate,
+      w.cost_window,
+      (w.revenue_window - w.cost_window)::numeric(20,2)         AS gross_profit_window,
+      ROUND((w.revenue_window - w.cost_window) / NULLIF(w.revenue_window,0), 4) AS margin_pct,
+      w.units_uncosted_window
+      ${opts.include365 ? `,
+      x.units_365,
+      x.revenue_365,
+      x.refunded_365,
+      (x.revenue_365 - x.refunded_365)::numeric(20,2)           AS net_revenue_365,
+      ROUND(x.units_refunded_365::numeric / NULLIF(x.units_365,0), 4) AS return_rate_365,
+      x.cost_365,
+      (x.revenue_365 - x.cost_365)::numeric(20,2)               AS gross_profit_365,
+      ROUND((x.revenue_365 - x.cost_365) / NULLIF(x.revenue_365,0), 4) AS margin_pct_365` : ``}
+    FROM window_orders w
+    ${opts.include365 ? `
+    LEFT JOIN trailing_365 x
+      ON x.${by} IS NOT DISTINCT FROM w.${by}
+     AND x.shop_id IS NOT DISTINCT FROM w.shop_id AND x.shop_domain = w.shop_domain
+    ` : ``}
+    ORDER BY ${opts.orderBy}
+    ${opts.limit ? `LIMIT ${opts.limit}` : ``};
+  `;
+}
+
+type RunTrigger = "cron" | "manual" | "backfill";
+type RunRecord = {
+  kind: "ingest" | "transform" | "bulk" | "cron" | "products" | "inventory";
+  trigger: RunTrigger;
+  store?: string | null;
+  mode?: string | null;
+  pages?: number;
+  orders?: number;
+  startedAt: number;                 // Date.now() when the run began
+  cursorBefore?: string | null;
+  cursorAfter?: string | null;
+  error?: string | null;
+};
+
+/* History is best-effort: a failed insert is logged, never thrown into the run it describes */
+async function recordRun(client: PoolClient, r: RunRecord): Promise<void> {
+  try {
+    await client.query(
+      `INSERT INTO ingest_runs
+         (kind, trigger, store, mode, pages, orders, duration_ms, cursor_before, cursor_after, error, started_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10, to_timestamp($11 / 1000.0))`,
+      [
+        r.kind, r.trigger, r.store ?? null, r.mode ?? null, r.pages ?? 0, r.orders ?? 0,
+        Date.now() - r.startedAt, r.cursorBefore ?? null, r.cursorAfter ?? null, r.error ?? null, r.startedAt,
+      ]
+    );
+  } catch (e: any) {
+    log("runs:error", e?.message || String(e));
+  }
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Schema migrations: the one ordered list of DDL this Worker depends on
+  Applied by POST /api/admin/migrate, recorded in schema_migrations (id, name,
+  checksum). Request handlers never issue DDL; getClient refuses to hand out a
+  connection while a migration is pending. Every step is idempotent (IF NOT
+  EXISTS / OR REPLACE), so a database set up from the old hand-run schema.sql or
+  by the old request-time ensure* helpers adopts the list without errors. Never edit an
+  applied migration: append a new one (status reports checksum drift).
+*───────────────────────────────────────────────────────────────────────────*/
+type Migration = { id: number; name: string; sql: string };
+
+const MIGRATIONS: Migration[] = [
+  {
+    // channels / shops / staging / orders as the hand-run schema.sql first shipped them
+    id: 1, name: "baseline",
+    sql: `
+      CREATE EXTENSION IF NOT EXISTS pgcrypto;
+      CREATE TABLE IF NOT EXISTS channels (
+        id         serial PRIMARY KEY,
+        name       text UNIQUE NOT NULL,
+        created_at timestamptz DEFAULT now()
+      );
+      CREATE TABLE IF NOT EXISTS shops (
+        id         serial PRIMARY KEY,
+        channel_id int NOT NULL REFERENCES channels(id),
+        handle     text NOT NULL,
+        domain     text NOT NULL,
+        is_active  boolean DEFAULT true,
+        created_at timestamptz DEFAULT now(),
+        UNIQUE (channel_id, domain)
+      );
+      CREATE TABLE IF NOT EXISTS staging_raw (
+        id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        channel_id  int REFERENCES channels(id),
+        payload     jsonb NOT NULL,
+        received_at timestamptz DEFAULT now(),
+        domain      text
+      );
+      -- composite PK (channel_id, key), value text NOT NULL, as in the live schema
+      CREATE TABLE IF NOT EXISTS sync_state (
+        channel_id int NOT NULL,
+        key        text NOT NULL,
+        value      text NOT NULL,
+        updated_at timestamptz DEFAULT now(),
+        PRIMARY KEY (channel_id, key)
+      );
+      CREATE TABLE IF NOT EXISTS customers (
+        id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        channel_id          int NOT NULL REFERENCES channels(id),
+        shop_id             int REFERENCES shops(id),
+        channel_customer_id text,
+        email               text,
+        first_name          text,
+        last_name           text,
+        first_seen          timestamptz,
+        last_seen           timestamptz,
+        lifetime_value      numeric(18,2) DEFAULT 0,
+        order_count         int DEFAULT 0,
+        UNIQUE (channel_id, shop_id, channel_customer_id)
+      );
+      CREATE TABLE IF NOT EXISTS orders (
+        id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        channel_id         int NOT NULL REFERENCES channels(id),
+        external_id        text NOT NULL,
+        order_number       text,
+        name               text,
+        placed_at          timestamptz NOT NULL,
+        currency           text,
+        subtotal           numeric(18,2),
+        shipping           numeric(18,2),
+        tax                numeric(18,2),
+        discounts          numeric(18,2),
+        fees               numeric(18,2),
+        total              numeric(18,2),
+        financial_status   text,
+        fulfillment_status text,
+        customer_id        uuid REFERENCES customers(id)
+      );
+      CREATE TABLE IF NOT EXISTS order_items (
+        id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        order_id            uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        sku                 text,
+        external_product_id text,
+        title               text,
+        qty                 int NOT NULL,
+        unit_price          numeric(18,2),
+        discount            numeric(18,2),
+        tax                 numeric(18,2),
+        fees                numeric(18,2),
+        landed_cost_alloc   numeric(18,2)
+      );
+      CREATE INDEX IF NOT EXISTS idx_orders_placed_at ON orders (placed_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_items_order_id ON order_items (order_id);
+    `,
+  },
+  {
+    // columns + unique keys the transform upserts against (same guards as the old hand-run transform_from_staging_v6b.sql)
+    id: 2, name: "transform_keys",
+    sql: `
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS shop_domain text;
+      ALTER TABLE order_items ADD COLUMN IF NOT EXISTS external_item_id text;
+      ALTER TABLE order_items ADD COLUMN IF NOT EXISTS external_variant_id text;
+      ALTER TABLE customers ADD COLUMN IF NOT EXISTS company text;
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_orders_external_id ON orders (external_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_order_items_order_extitem ON order_items (order_id, external_item_id);
+      CREATE INDEX IF NOT EXISTS idx_customers_shop_email ON customers (shop_id, email);
+      CREATE INDEX IF NOT EXISTS idx_staging_raw_received_at ON staging_raw (received_at);
+    `,
+  },
+  {
+    // compatibility view for legacy KPI queries
+    id: 3, name: "order_items_enriched",
+    sql: `
+      CREATE OR REPLACE VIEW v_order_items_enriched AS
+      SELECT
+        id,
+        order_id,
+        sku,
+        external_product_id,
+        title,
+        qty,
+        unit_price,
+        discount,
+        tax,
+        fees,
+        landed_cost_alloc,
+        external_item_id,
+        -- net of line discounts; tax and fees stay out of revenue (they are in tax / fees)
+        (
+          COALESCE(unit_price,0) * COALESCE(qty,0)
+          - COALESCE(discount,0)
+        )::numeric(18,2) AS line_total,
+        external_variant_id
+      FROM order_items;
+    `,
+  },
+  {
+    // refunds split out of order payloads (refunds[]) and refunds/create webhooks
+    id: 4, name: "refunds",
+    sql: `
+      CREATE TABLE IF NOT EXISTS refunds (
+        id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        order_id    uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        external_id text NOT NULL UNIQUE,
+        created_at  timestamptz,
+        note        text,
+        amount      numeric(18,2)
+      );
+      CREATE TABLE IF NOT EXISTS refund_items (
+        id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        refund_id        uuid NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+        order_item_id    uuid REFERENCES order_items(id) ON DELETE SET NULL,
+        external_id      text NOT NULL,
+        external_item_id text,
+        sku              text,
+        qty              int NOT NULL DEFAULT 0,
+        subtotal         numeric(18,2),
+        tax              numeric(18,2),
+        restock_type     text,
+        UNIQUE (refund_id, external_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds (order_id);
+      CREATE INDEX IF NOT EXISTS idx_refund_items_order_item ON refund_items (order_item_id);
+    `,
+  },
+  {
+    // backfills as rows cron can advance and /api/admin/jobs can report on.
+    // kind=rest pages the REST cursor; kind=bulk mirrors a GraphQL bulk operation (external_id).
+    id: 5, name: "backfill_jobs",
+    sql: `
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id          serial PRIMARY KEY,
+        kind        text NOT NULL DEFAULT 'rest',
+        store       text NOT NULL,
+        days        int  NOT NULL,
+        hard_reset  boolean NOT NULL DEFAULT false,
+        status      text NOT NULL DEFAULT 'queued',
+        external_id text,
+        iterations  int  NOT NULL DEFAULT 0,
+        pages       int  NOT NULL DEFAULT 0,
+        orders      int  NOT NULL DEFAULT 0,
+        errors      int  NOT NULL DEFAULT 0,
+        last_error  text,
+        created_at  timestamptz NOT NULL DEFAULT now(),
+        started_at  timestamptz,
+        finished_at timestamptz,
+        updated_at  timestamptz NOT NULL DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs (status, created_at);
+    `,
+  },
+  {
+    // effective-dated per-unit landed cost per SKU (same as db/sku_costs.sql)
+    id: 6, name: "sku_costs",
+    sql: `
+      CREATE TABLE IF NOT EXISTS sku_costs (
+        sku            text NOT NULL,
+        cost           numeric(18,4) NOT NULL,
+        effective_from date NOT NULL,
+        effective_to   date,
+        created_at     timestamptz DEFAULT now(),
+        PRIMARY KEY (sku, effective_from)
+      );
+      CREATE INDEX IF NOT EXISTS idx_sku_costs_range ON sku_costs (sku, effective_from, effective_to);
+    `,
+  },
+  {
+    // one row per ingest pass (per store), transform, bulk slice and cron tick
+    id: 7, name: "ingest_runs",
+    sql: `
+      CREATE TABLE IF NOT EXISTS ingest_runs (
+        id            bigserial PRIMARY KEY,
+        kind          text NOT NULL,
+        trigger       text NOT NULL,
+        store         text,
+        mode          text,
+        pages         int NOT NULL DEFAULT 0,
+        orders        int NOT NULL DEFAULT 0,
+        duration_ms   int,
+        cursor_before text,
+        cursor_after  text,
+        error         text,
+        started_at    timestamptz NOT NULL,
+        finished_at   timestamptz NOT NULL DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_ingest_runs_store_started ON ingest_runs (store, started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ingest_runs_started ON ingest_runs (started_at DESC);
+    `,
+  },
+  {
+    // the shops registry's own columns; orders and staging rows carry shop_id
+    id: 8, name: "shops_registry",
+    sql: `
+      ALTER TABLE shops ADD COLUMN IF NOT EXISTS name text;
+      ALTER TABLE shops ADD COLUMN IF NOT EXISTS timezone text;
+      ALTER TABLE shops ADD COLUMN IF NOT EXISTS currency text;
+      ALTER TABLE shops ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+      ALTER TABLE staging_raw ADD COLUMN IF NOT EXISTS shop_id int;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS shop_id int;
+      CREATE INDEX IF NOT EXISTS idx_orders_shop_placed ON orders (shop_id, placed_at DESC);
+    `,
+  },
+  {
+    // Shopify catalog per store; order lines join on (shop_id, variant_id)
+    id: 9, name: "catalog",
+    sql: `
+      CREATE TABLE IF NOT EXISTS products (
+        shop_id      int  NOT NULL,
+        product_id   text NOT NULL,
+        title        text,
+        handle       text,
+        vendor       text,
+        product_type text,
+        tags         text[] NOT NULL DEFAULT '{}',
+        status       text,
+        updated_at   timestamptz,
+        synced_at    timestamptz NOT NULL DEFAULT now(),
+        PRIMARY KEY (shop_id, product_id)
+      );
+      CREATE TABLE IF NOT EXISTS product_variants (
+        shop_id           int  NOT NULL,
+        variant_id        text NOT NULL,
+        product_id        text NOT NULL,
+        sku               text,
+        title             text,
+        price             numeric(18,2),
+        inventory_item_id text,
+        updated_at        timestamptz,
+        synced_at         timestamptz NOT NULL DEFAULT now(),
+        PRIMARY KEY (shop_id, variant_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_products_vendor ON products (vendor);
+      CREATE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants (sku);
+    `,
+  },
+  {
+    // daily per-(shop, sku, location) stock levels
+    id: 10, name: "inventory_snapshots",
+    sql: `
+      CREATE TABLE IF NOT EXISTS inventory_snapshots (
+        id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+        channel_id  int  NOT NULL REFERENCES channels(id),
+        shop_id     int  REFERENCES shops(id),
+        sku         text NOT NULL,
+        on_hand     int,
+        committed   int,
+        backordered int,
+        updated_at  timestamptz NOT NULL DEFAULT now()
+      );
+      ALTER TABLE inventory_snapshots
+        ADD COLUMN IF NOT EXISTS inventory_item_id text,
+        ADD COLUMN IF NOT EXISTS location_id       text,
+        ADD COLUMN IF NOT EXISTS location_name     text,
+        ADD COLUMN IF NOT EXISTS available         int,
+        ADD COLUMN IF NOT EXISTS incoming          int,
+        ADD COLUMN IF NOT EXISTS snapshot_date     date NOT NULL DEFAULT CURRENT_DATE;
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_inventory_snapshots_day
+        ON inventory_snapshots (shop_id, sku, location_id, snapshot_date);
+      CREATE INDEX IF NOT EXISTS idx_inventory_snapshots_date ON inventory_snapshots (snapshot_date DESC);
+    `,
+  },
+  {
+    // NetSuite purchase order exports; open lines feed /api/inventory/reorder
+    id: 11, name: "purchase_orders",
+    sql: `
+      CREATE TABLE IF NOT EXISTS purchase_order_imports (
+        id         bigserial PRIMARY KEY,
+        filename   text,
+        lines      int NOT NULL DEFAULT 0,
+        replaced   boolean NOT NULL DEFAULT false,
+        closed     int NOT NULL DEFAULT 0,
+        created_at timestamptz NOT NULL DEFAULT now()
+      );
+      CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        id                bigserial PRIMARY KEY,
+        import_id         bigint NOT NULL REFERENCES purchase_order_imports(id) ON DELETE CASCADE,
+        po_number         text,
+        vendor            text,
+        sku               text NOT NULL,
+        quantity          numeric(18,2) NOT NULL,
+        quantity_received numeric(18,2) NOT NULL DEFAULT 0,
+        unit_cost         numeric(18,4),
+        order_date        date,
+        expected_date     date,
+        status            text NOT NULL DEFAULT 'open',
+        closed_at         timestamptz,
+        created_at        timestamptz NOT NULL DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_po_lines_open_sku ON purchase_order_lines (sku) WHERE status = 'open';
+      CREATE INDEX IF NOT EXISTS idx_po_lines_po_sku ON purchase_order_lines (po_number, sku);
+    `,
+  },
+  {
+    // what the stores send, mapped to the global customer (customers.id)
+    id: 12, name: "customer_identities",
+    sql: `
+      CREATE TABLE IF NOT EXISTS customer_identities (
+        kind        text NOT NULL,               -- shopify | email | phone
+        shop_id     int  NOT NULL DEFAULT 0,     -- shops.id for kind=shopify; 0 = any store
+        value       text NOT NULL,
+        customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        created_at  timestamptz DEFAULT now(),
+        PRIMARY KEY (kind, shop_id, value)
+      );
+      CREATE INDEX IF NOT EXISTS idx_customer_identities_customer ON customer_identities (customer_id);
+    `,
+  },
+  {
+    // cancelled orders are zeroed by the transform; the payload id index serves its latest-payload lookup
+    id: 13, name: "order_cancellations",
+    sql: `
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at timestamptz;
+      CREATE INDEX IF NOT EXISTS idx_staging_raw_payload_id ON staging_raw ((payload->>'id'));
+    `,
+  },
+  {
+    // the KPI views and report-tz functions the routes read; the drop lets a view change its columns
+    id: 14, name: "kpi_views",
+    sql: `
+      -- 0) Drop existing (handles dependency order)
+      DO $$
+      DECLARE v text;
+      BEGIN
+        FOR v IN
+          SELECT format('%I.%I', n.nspname, c.relname)
+          FROM pg_class c
+          JOIN pg_namespace n ON n.oid = c.relnamespace
+          WHERE c.relkind = 'v'
+            AND c.relname = ANY (ARRAY[
+              'v_customer_cohort_activity_all',
+              'v_customer_cohort_activity',
+              'v_channel_margin_daily',
+              'v_new_returning_by_store_daily',
+              'v_aov_by_store_daily',
+              'v_store_summary_yday_vs_prev7',
+              'v_kpis_rolling_7_30',
+              'v_daily_kpis_by_store',
+              'v_sku_sales_daily',
+              'v_sales_by_store_daily'
+            ])
+        LOOP
+          EXECUTE 'DROP VIEW IF EXISTS ' || v || ' CASCADE';
+        END LOOP;
+      END$$;
+
+      -- 0b) Reporting timezone. The Worker sets bi.report_tz on every connection from REPORT_TZ;
+      --     psql sessions fall back to America/Denver unless you
+      --     ALTER DATABASE ... SET bi.report_tz = '<IANA zone>'. day_mt columns are days in this zone.
+      CREATE OR REPLACE FUNCTION public.bi_report_tz() RETURNS text
+      LANGUAGE sql STABLE AS $$
+        SELECT COALESCE(NULLIF(current_setting('bi.report_tz', true), ''), 'America/Denver')
+      $$;
+
+      -- "today" in the reporting timezone (CURRENT_DATE is the session's, i.e. UTC on Neon)
+      CREATE OR REPLACE FUNCTION public.bi_today() RETURNS date
+      LANGUAGE sql STABLE AS $$
+        SELECT (now() AT TIME ZONE public.bi_report_tz())::date
+      $$;
+
+      -- 1) Per‑store per‑day sales (orders, units, gross / refunded / net revenue)
+      --    Gross lands on the order day, refunds on the day they were issued (reporting tz).
+      --    Refunded money is refunds.amount (what was paid back, refunds without lines included), as in LTV and RFM.
+      --    "revenue" stays = gross for existing consumers.
+      CREATE OR REPLACE VIEW public.v_sales_by_store_daily AS
+      WITH orders_mt AS (
+        SELECT
+          o.shop_id,
+          COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+          (date_trunc('day', (o.placed_at AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+          o.id,
+          (o.total)::numeric(12,2) AS order_total
+        FROM public.orders o
+        LEFT JOIN public.shops sh ON sh.id = o.shop_id
+      ),
+      items AS (
+        SELECT
+          oi.order_id,
+          SUM(COALESCE(oi.qty,0))::int AS units,
+          SUM((COALESCE(oi.qty,0))::numeric * COALESCE(oi.unit_price,0::numeric))::numeric(12,2) AS item_revenue
+        FROM public.order_items oi
+        GROUP BY 1
+      ),
+      sales AS (
+        SELECT
+          om.shop_id,
+          om.shop_domain,
+          om.day_mt,
+          COUNT(*)::int                                  AS orders,
+          COALESCE(SUM(i.units),0)::int                  AS units,
+          COALESCE(SUM(i.item_revenue),0)::numeric(12,2) AS revenue
+        FROM orders_mt om
+        LEFT JOIN items i ON i.order_id = om.id
+        GROUP BY om.shop_id, om.shop_domain, om.day_mt
+      ),
+      refund_units AS (
+        SELECT ri.refund_id, SUM(COALESCE(ri.qty,0))::int AS units
+        FROM public.refund_items ri
+        GROUP BY 1
+      ),
+      refunds_mt AS (
+        SELECT
+          o.shop_id,
+          COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+          (date_trunc('day', (COALESCE(r.created_at, o.placed_at) AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+          SUM(COALESCE(ru.units,0))::int                 AS units_refunded,
+          SUM(COALESCE(r.amount,0))::numeric(12,2)       AS refunded
+        FROM public.refunds r
+        JOIN public.orders o           ON o.id = r.order_id
+        LEFT JOIN refund_units ru      ON ru.refund_id = r.id
+        LEFT JOIN public.shops sh      ON sh.id = o.shop_id
+        GROUP BY 1, 2, 3
+      )
+      SELECT
+        COALESCE(s.shop_id, rf.shop_id)                                  AS shop_id,
+        COALESCE(s.shop_domain, rf.shop_domain)                          AS shop_domain,
+        COALESCE(s.day_mt, rf.day_mt)                                    AS day_mt,
+        COALESCE(s.orders,0)::int                                        AS orders,
+        COALESCE(s.units,0)::int                                         AS units,
+        COALESCE(s.revenue,0)::numeric(12,2)                             AS revenue,
+        COALESCE(s.revenue,0)::numeric(12,2)                             AS gross_revenue,
+        COALESCE(rf.refunded,0)::numeric(12,2)                           AS refunded_revenue,
+        (COALESCE(s.revenue,0) - COALESCE(rf.refunded,0))::numeric(12,2) AS net_revenue,
+        COALESCE(rf.units_refunded,0)::int                               AS units_refunded
+      FROM sales s
+      FULL JOIN refunds_mt rf
+        ON rf.shop_id IS NOT DISTINCT FROM s.shop_id AND rf.shop_domain = s.shop_domain AND rf.day_mt = s.day_mt;
+
+      -- 1a) The same split per SKU: units sold on the order day, units refunded on the refund day
+      --     (used for sales velocity / days of cover by /api/inventory/cover)
+      CREATE OR REPLACE VIEW public.v_sku_sales_daily AS
+      WITH sold AS (
+        SELECT
+          o.shop_id,
+          COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+          oi.sku,
+          (date_trunc('day', (o.placed_at AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+          COUNT(DISTINCT o.id)::int                                                     AS orders,
+          SUM(COALESCE(oi.qty,0))::int                                                  AS units,
+          SUM((COALESCE(oi.qty,0))::numeric * COALESCE(oi.unit_price,0::numeric))::numeric(12,2) AS revenue
+        FROM public.orders o
+        JOIN public.order_items oi ON oi.order_id = o.id
+        LEFT JOIN public.shops sh  ON sh.id = o.shop_id
+        WHERE COALESCE(oi.sku,'') <> ''
+        GROUP BY 1, 2, 3, 4
+      ),
+      returned AS (
+        SELECT
+          o.shop_id,
+          COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+          COALESCE(NULLIF(ri.sku,''), oi.sku) AS sku,
+          (date_trunc('day', (COALESCE(r.created_at, o.placed_at) AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+          SUM(COALESCE(ri.qty,0))::int AS units_refunded
+        FROM public.refunds r
+        JOIN public.orders o             ON o.id = r.order_id
+        JOIN public.refund_items ri      ON ri.refund_id = r.id
+        LEFT JOIN public.order_items oi  ON oi.id = ri.order_item_id
+        LEFT JOIN public.shops sh        ON sh.id = o.shop_id
+        WHERE COALESCE(NULLIF(ri.sku,''), oi.sku, '') <> ''
+        GROUP BY 1, 2, 3, 4
+      )
+      SELECT
+        COALESCE(s.shop_id, rt.shop_id)          AS shop_id,
+        COALESCE(s.shop_domain, rt.shop_domain)  AS shop_domain,
+        COALESCE(s.sku, rt.sku)                  AS sku,
+        COALESCE(s.day_mt, rt.day_mt)            AS day_mt,
+        COALESCE(s.orders,0)::int                AS orders,
+        COALESCE(s.units,0)::int                 AS units,
+        COALESCE(s.revenue,0)::numeric(12,2)     AS revenue,
+        COALESCE(rt.units_refunded,0)::int       AS units_refunded
+      FROM sold s
+      FULL JOIN returned rt
+        ON rt.shop_id IS NOT DISTINCT FROM s.shop_id AND rt.shop_domain = s.shop_domain
+       AND rt.sku = s.sku AND rt.day_mt = s.day_mt;
+
+      -- 1b) New vs returning orders per store per day. An order is "returning" when the
+      --     same customer already ordered from that store; orders with no customer count as new.
+      CREATE OR REPLACE VIEW public.v_new_returning_by_store_daily AS
+      WITH ranked AS (
+        SELECT
+          o.shop_id,
+          COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+          (date_trunc('day', (o.placed_at AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+          o.customer_id,
+          ROW_NUMBER() OVER (
+            PARTITION BY COALESCE(o.shop_id::text, o.shop_domain), o.customer_id ORDER BY o.placed_at, o.id
+          ) AS nth
+        FROM public.orders o
+        LEFT JOIN public.shops sh ON sh.id = o.shop_id
+      )
+      SELECT
+        shop_id,
+        shop_domain,
+        day_mt,
+        COUNT(*) FILTER (WHERE customer_id IS NULL OR nth = 1)::int      AS new_orders,
+        COUNT(*) FILTER (WHERE customer_id IS NOT NULL AND nth > 1)::int AS returning_orders
+      FROM ranked
+      GROUP BY shop_id, shop_domain, day_mt;
+
+      -- 2) Simple daily KPIs compatibility view (used by /api/kpis/daily)
+      CREATE OR REPLACE VIEW public.v_daily_kpis_by_store AS
+      SELECT s.shop_id, s.shop_domain, s.day_mt, s.orders, s.units, s.revenue,
+             s.gross_revenue, s.refunded_revenue, s.net_revenue, s.units_refunded,
+             COALESCE(nr.new_orders,0)::int       AS new_orders,
+             COALESCE(nr.returning_orders,0)::int AS returning_orders
+      FROM public.v_sales_by_store_daily s
+      LEFT JOIN public.v_new_returning_by_store_daily nr
+        ON nr.shop_id IS NOT DISTINCT FROM s.shop_id AND nr.shop_domain = s.shop_domain AND nr.day_mt = s.day_mt;
+
+      -- 3) AOV by day (handy for dashboards that need it)
+      CREATE OR REPLACE VIEW public.v_aov_by_store_daily AS
+      SELECT
+        shop_id,
+        shop_domain,
+        day_mt,
+        orders,
+        revenue,
+        CASE WHEN orders > 0 THEN (revenue / orders)::numeric(12,2) ELSE NULL END AS aov
+      FROM public.v_sales_by_store_daily;
+
+      -- 4) Rolling 7d / 30d per store as of a day (used by /api/kpis/rolling?to=)
+      CREATE OR REPLACE FUNCTION public.kpis_rolling_7_30(as_of date)
+      RETURNS TABLE (
+        shop_domain text,
+        revenue_7d  numeric(12,2), orders_7d int, units_7d int,
+        revenue_30d numeric(12,2), orders_30d int, units_30d int
+      )
+      LANGUAGE sql STABLE AS $$
+        SELECT
+          shop_domain,
+          -- last 7 days
+          SUM(revenue) FILTER (WHERE day_mt >= as_of - 7)::numeric(12,2)  AS revenue_7d,
+          SUM(orders)  FILTER (WHERE day_mt >= as_of - 7)::int            AS orders_7d,
+          SUM(units)   FILTER (WHERE day_mt >= as_of - 7)::int            AS units_7d,
+          -- last 30 days
+          SUM(revenue) FILTER (WHERE day_mt >= as_of - 30)::numeric(12,2) AS revenue_30d,
+          SUM(orders)  FILTER (WHERE day_mt >= as_of - 30)::int           AS orders_30d,
+          SUM(units)   FILTER (WHERE day_mt >= as_of - 30)::int           AS units_30d
+        FROM public.v_daily_kpis_by_store
+        WHERE day_mt BETWEEN as_of - 30 AND as_of
+        GROUP BY shop_domain
+      $$;
+
+      CREATE OR REPLACE VIEW public.v_kpis_rolling_7_30 AS
+      SELECT * FROM public.kpis_rolling_7_30(public.bi_today());
+
+      -- 5) A day vs the prior 7‑day avg (used by /api/kpis/summary?to=); the view is yesterday's
+      CREATE OR REPLACE FUNCTION public.store_summary_vs_prev7(day date)
+      RETURNS TABLE (
+        shop_domain text,
+        yday_revenue numeric(12,2), yday_orders int, yday_units int,
+        avg7_revenue numeric(12,2), avg7_orders numeric(12,2), avg7_units numeric(12,2),
+        delta_revenue numeric(12,2), delta_orders numeric(12,2), delta_units numeric(12,2),
+        pct_revenue numeric(8,4), pct_orders numeric(8,4), pct_units numeric(8,4)
+      )
+      LANGUAGE sql STABLE AS $$
+      WITH base AS (
+        SELECT * FROM public.v_sales_by_store_daily
+      ),
+      yday AS (
+        SELECT
+          shop_domain,
+          SUM(revenue)::numeric(12,2) AS yday_revenue,
+          SUM(orders)::int            AS yday_orders,
+          SUM(units)::int             AS yday_units
+        FROM base
+        WHERE day_mt = day
+        GROUP BY shop_domain
+      ),
+      prev7 AS (
+        SELECT
+          shop_domain,
+          SUM(revenue)::numeric(12,2) AS sum7_rev,
+          SUM(orders)::int            AS sum7_ord,
+          SUM(units)::int             AS sum7_units,
+          COUNT(DISTINCT day_mt)::int AS days_seen
+        FROM base
+        WHERE day_mt BETWEEN day - 7 AND day - 1
+        GROUP BY shop_domain
+      )
+      SELECT
+        COALESCE(y.shop_domain, p.shop_domain)                    AS shop_domain,
+        COALESCE(y.yday_revenue, 0)::numeric(12,2)                AS yday_revenue,
+        COALESCE(y.yday_orders, 0)::int                           AS yday_orders,
+        COALESCE(y.yday_units, 0)::int                            AS yday_units,
+        -- average over the days we actually saw in the 7‑day window
+        (COALESCE(p.sum7_rev,0)  / NULLIF(p.days_seen,0))::numeric(12,2) AS avg7_revenue,
+        (COALESCE(p.sum7_ord,0)  / NULLIF(p.days_seen,0))::numeric(12,2) AS avg7_orders,
+        (COALESCE(p.sum7_units,0)/ NULLIF(p.days_seen,0))::numeric(12,2) AS avg7_units,
+        -- deltas and pct change (vs avg)
+        (COALESCE(y.yday_revenue,0) - (COALESCE(p.sum7_rev,0)  / NULLIF(p.days_seen,0)))::numeric(12,2) AS delta_revenue,
+        (COALESCE(y.yday_orders,0)  - (COALESCE(p.sum7_ord,0)  / NULLIF(p.days_seen,0)))::numeric(12,2) AS delta_orders,
+        (COALESCE(y.yday_units,0)   - (COALESCE(p.sum7_units,0)/ NULLIF(p.days_seen,0)))::numeric(12,2) AS delta_units,
+        CASE
+          WHEN COALESCE(p.sum7_rev,0)  = 0 OR p.days_seen = 0 THEN NULL
+          ELSE ((COALESCE(y.yday_revenue,0) / (p.sum7_rev / p.days_seen)) - 1)::numeric(8,4)
+        END AS pct_revenue,
+        CASE
+          WHEN COALESCE(p.sum7_ord,0)  = 0 OR p.days_seen = 0 THEN NULL
+          ELSE ((COALESCE(y.yday_orders,0)  / (p.sum7_ord / p.days_seen)) - 1)::numeric(8,4)
+        END AS pct_orders,
+        CASE
+          WHEN COALESCE(p.sum7_units,0) = 0 OR p.days_seen = 0 THEN NULL
+          ELSE ((COALESCE(y.yday_units,0)   / (p.sum7_units / p.days_seen)) - 1)::numeric(8,4)
+        END AS pct_units
+      FROM yday y
+      FULL JOIN prev7 p ON p.shop_domain = y.shop_domain
+      $$;
+
+      CREATE OR REPLACE VIEW public.v_store_summary_yday_vs_prev7 AS
+      SELECT * FROM public.store_summary_vs_prev7(public.bi_today() - 1);
+
+      -- 6) Revenue vs landed cost per channel per store per day (used by /api/metrics/channel_margin)
+      --    cost = order_items.landed_cost_alloc (line total); lines without a cost are counted, not guessed.
+      CREATE OR REPLACE VIEW public.v_channel_margin_daily AS
+      SELECT
+        o.shop_id,
+        COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+        COALESCE(c.name,'(unknown)')                               AS channel,
+        (date_trunc('day', (o.placed_at AT TIME ZONE public.bi_report_tz())))::date AS day_mt,
+        SUM((COALESCE(oi.qty,0))::numeric * COALESCE(oi.unit_price,0::numeric))::numeric(12,2) AS revenue,
+        SUM(COALESCE(oi.landed_cost_alloc,0))::numeric(12,2)                                   AS cost,
+        COUNT(*) FILTER (WHERE oi.landed_cost_alloc IS NULL)::int                              AS lines_without_cost
+      FROM public.orders o
+      JOIN public.order_items oi ON oi.order_id = o.id
+      LEFT JOIN public.channels c ON c.id = o.channel_id
+      LEFT JOIN public.shops sh   ON sh.id = o.shop_id
+      GROUP BY 1, 2, 3, 4;
+
+      -- 7) Monthly customer cohorts per store: customers active N months after their first order
+      --    (used by /api/metrics/cohorts)
+      CREATE OR REPLACE VIEW public.v_customer_cohort_activity AS
+      WITH keyed AS (
+        SELECT o.shop_id,
+               COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+               o.customer_id, o.placed_at
+        FROM public.orders o
+        LEFT JOIN public.shops sh ON sh.id = o.shop_id
+        WHERE o.customer_id IS NOT NULL
+      ),
+      firsts AS (
+        SELECT shop_id, shop_domain, customer_id,
+               date_trunc('month', MIN(placed_at AT TIME ZONE public.bi_report_tz()))::date AS cohort_month
+        FROM keyed
+        GROUP BY 1, 2, 3
+      ),
+      activity AS (
+        SELECT DISTINCT shop_id, shop_domain, customer_id,
+               date_trunc('month', placed_at AT TIME ZONE public.bi_report_tz())::date AS order_month
+        FROM keyed
+      )
+      SELECT
+        f.shop_id,
+        f.shop_domain,
+        f.cohort_month,
+        ((EXTRACT(YEAR FROM a.order_month) - EXTRACT(YEAR FROM f.cohort_month)) * 12
+          + (EXTRACT(MONTH FROM a.order_month) - EXTRACT(MONTH FROM f.cohort_month)))::int AS offset_month,
+        COUNT(DISTINCT a.customer_id)::int AS active
+      FROM firsts f
+      JOIN activity a
+        ON a.shop_id IS NOT DISTINCT FROM f.shop_id AND a.shop_domain = f.shop_domain AND a.customer_id = f.customer_id
+      GROUP BY 1, 2, 3, 4;
+
+      -- 7b) Same across all stores: the cohort is the customer's first order at any store
+      --     (customers are resolved across stores by the transform; used by /api/metrics/cohorts?shop=all)
+      CREATE OR REPLACE VIEW public.v_customer_cohort_activity_all AS
+      WITH firsts AS (
+        SELECT customer_id,
+               date_trunc('month', MIN(placed_at AT TIME ZONE public.bi_report_tz()))::date AS cohort_month
+        FROM public.orders
+        WHERE customer_id IS NOT NULL
+        GROUP BY 1
+      ),
+      activity AS (
+        SELECT DISTINCT customer_id,
+               date_trunc('month', placed_at AT TIME ZONE public.bi_report_tz())::date AS order_month
+        FROM public.orders
+        WHERE customer_id IS NOT NULL
+      )
+      SELECT
+        f.cohort_month,
+        ((EXTRACT(YEAR FROM a.order_month) - EXTRACT(YEAR FROM f.cohort_month)) * 12
+          + (EXTRACT(MONTH FROM a.order_month) - EXTRACT(MONTH FROM f.cohort_month)))::int AS offset_month,
+        COUNT(DISTINCT a.customer_id)::int AS active
+      FROM firsts f
+      JOIN activity a ON a.customer_id = f.customer_id
+      GROUP BY 1, 2;
+    `,
+  },
+  {
+    // customer repeat rates and LTV per registry store or across stores, for a date range or all time;
+    // the two views are its all-time rows (the views from db/views_bi.sql keyed stores by shop_domain)
+    id: 15, name: "repeat_rate_views",
+    sql: `
+      DROP VIEW IF EXISTS v_customer_repeat_rates_all;
+      DROP VIEW IF EXISTS v_customer_repeat_rates;
+
+      -- orders placed from_day..to_day (report-tz days; NULL = open); by_store false = one 'all' row,
+      -- where a customer who bought from two stores counts once
+      CREATE OR REPLACE FUNCTION public.customer_repeat_rates(from_day date, to_day date, by_store boolean)
+      RETURNS TABLE (
+        shop_id int, shop_domain text, total_customers bigint, repeat_customers bigint, repeat_rate numeric,
+        one_time_customers bigint, avg_ltv numeric, avg_ltv_repeat numeric
+      )
+      LANGUAGE sql STABLE AS $$
+        WITH per_customer AS (
+          SELECT
+            CASE WHEN by_store THEN o.shop_id END                                                  AS shop_id,
+            CASE WHEN by_store THEN COALESCE(sh.domain, NULLIF(o.shop_domain, ''), '(unknown)') ELSE 'all' END AS shop_domain,
+            o.customer_id,
+            COUNT(DISTINCT o.id)                         AS order_count,
+            SUM(o.total) - COALESCE(SUM(rf.refunded), 0) AS spend   -- lifetime value in the range
+          FROM orders o
+          LEFT JOIN shops sh ON sh.id = o.shop_id
+          LEFT JOIN (SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY 1) rf ON rf.order_id = o.id
+          WHERE (from_day IS NULL OR o.placed_at >= (from_day::timestamp AT TIME ZONE public.bi_report_tz()))
+            AND (to_day IS NULL OR o.placed_at < ((to_day + 1)::timestamp AT TIME ZONE public.bi_report_tz()))
+          GROUP BY 1, 2, 3
+        )
+        SELECT
+          pc.shop_id,
+          pc.shop_domain,
+          COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL)                         AS total_customers,
+          COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL AND pc.order_count > 1)  AS repeat_customers,
+          CASE
+            WHEN COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL) = 0 THEN 0
+            ELSE ROUND(
+              (COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL AND pc.order_count > 1))::numeric
+              / COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL),
+              4
+            )
+          END                                                                        AS repeat_rate,
+          COUNT(*) FILTER (WHERE pc.customer_id IS NOT NULL AND pc.order_count = 1)  AS one_time_customers,
+          ROUND(AVG(pc.spend) FILTER (WHERE pc.customer_id IS NOT NULL), 2)          AS avg_ltv,
+          ROUND(AVG(pc.spend) FILTER (WHERE pc.customer_id IS NOT NULL AND pc.order_count > 1), 2) AS avg_ltv_repeat
+        FROM per_customer pc
+        GROUP BY pc.shop_id, pc.shop_domain
+        ORDER BY pc.shop_domain
+      $$;
+
+      CREATE VIEW v_customer_repeat_rates AS
+      SELECT * FROM public.customer_repeat_rates(NULL, NULL, true);
+
+      CREATE VIEW v_customer_repeat_rates_all AS
+      SELECT * FROM public.customer_repeat_rates(NULL, NULL, false);
+    `,
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].id;
+const MIGRATE_LOCK = 734_119_025;   // pg_advisory_lock key: one migrate at a time
+
+type AppliedMigration = { id: number; name: string; checksum: string; applied_at: string; duration_ms: number };
+
+async function migrationChecksum(sql: string): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(sql));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Rows of schema_migrations, or null when the table doesn't exist (a database from before migrations) */
+async function appliedMigrations(client: PoolClient): Promise<AppliedMigration[] | null> {
+  const t = await client.query(`SELECT to_regclass('public.schema_migrations') IS NOT NULL AS tracked`);
+  if (!t.rows[0]?.tracked) return null;
+  return queryRows<AppliedMigration>(client, `
+    SELECT id, name, checksum, applied_at, duration_ms FROM schema_migrations ORDER BY id
   `);
 }
 
+/** Where this database stands against MIGRATIONS: applied, pending, and applied ones whose SQL has changed since */
+async function migrationStatus(client: PoolClient) {
+  const applied = await appliedMigrations(client);
+  const done = new Map((applied ?? []).map((m) => [Number(m.id), m]));
+  const modified: number[] = [];
+  for (const m of MIGRATIONS) {
+    const row = done.get(m.id);
+    if (row && row.checksum !== await migrationChecksum(m.sql)) modified.push(m.id);
+  }
+  const pending = MIGRATIONS.filter((m) => !done.has(m.id)).map(({ id, name }) => ({ id, name }));
+  return {
+    tracked: applied !== null,                  // false = schema_migrations missing; the first migrate adopts the database
+    version: applied?.length ? Math.max(...done.keys()) : null,
+    latest: SCHEMA_VERSION,
+    applied: applied ?? [],
+    pending,
+    modified,
+    // migrations the database has but this Worker doesn't know (applied by a newer deploy)
+    unknown: [...done.keys()].filter((id) => !MIGRATIONS.some((m) => m.id === id)),
+  };
+}
+
+/* Set once this isolate has seen every migration applied; checked by getClient */
+let schemaCurrent = false;
+
+async function assertSchemaCurrent(client: PoolClient): Promise<void> {
+  if (schemaCurrent) return;
+  const applied = await appliedMigrations(client);
+  const done = new Set((applied ?? []).map((m) => Number(m.id)));
+  const pending = MIGRATIONS.filter((m) => !done.has(m.id));
+  if (pending.length) {
+    throw new Error(
+      `Database schema is behind this Worker (pending migrations: ${pending.map((m) => `${m.id} ${m.name}`).join(", ")}). ` +
+      `Run POST /api/admin/migrate.`
+    );
+  }
+  schemaCurrent = true;
+}
+
+/** Apply pending migrations in order, each in its own transaction with its schema_migrations row */
+async function runMigrations(client: PoolClient): Promise<{ applied: Array<{ id: number; name: string; duration_ms: number }> }> {
+  await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATE_LOCK]);
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id          int PRIMARY KEY,
+        name        text NOT NULL,
+        checksum    text NOT NULL,
+        applied_at  timestamptz NOT NULL DEFAULT now(),
+        duration_ms int
+      )
+    `);
+    const done = new Set((await queryRows(client, `SELECT id FROM schema_migrations`)).map((r: any) => Number(r.id)));
+    const applied: Array<{ id: number; name: string; duration_ms: number }> = [];
+    for (const m of MIGRATIONS) {
+      if (done.has(m.id)) continue;
+      const t0 = Date.now();
+      try {
+        await client.query("BEGIN");
+        await client.query(m.sql);
+        await client.query(
+          `INSERT INTO schema_migrations (id, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)`,
+          [m.id, m.name, await migrationChecksum(m.sql), Date.now() - t0]
+        );
+        await client.query("COMMIT");
+      } catch (e: any) {
+        await client.query("ROLLBACK");
+        throw new Error(`migration ${m.id} (${m.name}) failed: ${e?.message || String(e)}`);
+      }
+      log("migrate:applied", m.id, m.name);
+      applied.push({ id: m.id, name: m.name, duration_ms: Date.now() - t0 });
+    }
+    schemaCurrent = true;
+    return { applied };
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATE_LOCK]);
+  }
+}
+
 /*───────────────────────────────────────────────────────────────────────────*
-  Cursor + schedule index (sync_state) — composite PK + TEXT value
+  Shops registry (shops): stable ids, display name, timezone, currency, is_active
+  SHOPIFY_STORES still holds the tokens; every configured store gets a row here
+  (ids follow config order on first sync and never change after), admins rename
+  or deactivate through /api/admin/shops, and orders/staging_raw carry shop_id.
 *───────────────────────────────────────────────────────────────────────────*/
-function cursorKey(domain: string) {
-  return `shopify:cursor:${domain}`;
+type ShopRow = {
+  id: number;
+  handle: string;
+  domain: string;
+  name: string | null;
+  timezone: string | null;
+  currency: string | null;
+  is_active: boolean;
+};
+
+/** Register any configured store missing from shops (existing rows are left alone), then return all rows */
+async function syncShops(client: PoolClient, env: Env, channelId: number): Promise<ShopRow[]> {
+  const domains = parseStores(env.SHOPIFY_STORES).map((s) => s.domain).filter(isValidDomain);
+  if (domains.length) {
+    await client.query(`
+      INSERT INTO shops (channel_id, handle, domain, name)
+      SELECT $1, split_part(d, '.', 1), d, split_part(d, '.', 1)
+      FROM unnest($2::text[]) WITH ORDINALITY AS t(d, ord)
+      WHERE NOT EXISTS (SELECT 1 FROM shops x WHERE x.channel_id = $1 AND x.domain = t.d)   -- don't burn ids
+      ORDER BY ord
+      ON CONFLICT (channel_id, domain) DO NOTHING
+    `, [channelId, domains]);
+  }
+  return queryRows<ShopRow>(client, `
+    SELECT id, handle, domain, name, timezone, currency, COALESCE(is_active, true) AS is_active
+    FROM shops WHERE channel_id = $1 ORDER BY id
+  `, [channelId]);
+}
+
+/** Every registered shop on every channel, tagged with its channel. Read-only: ingest, the transform and
+    POST /api/admin/shops/sync register configured stores. */
+async function listShops(client: PoolClient): Promise<Array<ShopRow & { channel: string }>> {
+  return queryRows(client, `
+    SELECT s.id, s.handle, s.domain, s.name, s.timezone, s.currency, COALESCE(s.is_active, true) AS is_active, c.name AS channel
+    FROM shops s JOIN channels c ON c.id = s.channel_id
+    ORDER BY s.id
+  `);
+}
+
+/** Configured stores (with tokens) whose registry row is active — what ingest, cron and backfills run over */
+async function activeStores(client: PoolClient, env: Env): Promise<Store[]> {
+  const channelId = await getOrCreateShopifyChannelId(client);
+  const active = new Set((await syncShops(client, env, channelId)).filter((r) => r.is_active).map((r) => r.domain));
+  return parseStores(env.SHOPIFY_STORES).filter((s) => active.has(s.domain));
+}
+
+const shopIdCache = new Map<string, number>();   // "channelId:domain" → shops.id (ids never change)
+
+async function shopIdFor(client: PoolClient, channelId: number, domain: string): Promise<number | null> {
+  const key = `${channelId}:${domain}`;
+  if (shopIdCache.has(key)) return shopIdCache.get(key)!;
+  const r = await client.query(`SELECT id FROM shops WHERE channel_id = $1 AND domain = $2`, [channelId, domain]);
+  const id = r.rows[0]?.id == null ? null : Number(r.rows[0].id);
+  if (id != null) shopIdCache.set(key, id);
+  return id;
+}
+
+/** shop=all | {shop_id} | a domain → the registry row (null = all stores); inactive shops still resolve */
+async function resolveShop(
+  client: PoolClient,
+  shop: string
+): Promise<{ id: number | null; domain: string | null } | { error: string }> {
+  const v = (shop || "all").trim().toLowerCase();
+  if (v === "all" || v === "") return { id: null, domain: null };
+  const rows = await listShops(client);
+  const hit = /^\d+$/.test(v) ? rows.find((r) => r.id === Number(v)) : rows.find((r) => r.domain === sanitizeDomain(v));
+  return hit ? { id: hit.id, domain: hit.domain } : { error: `unknown shop ${shop}` };
+}
+
+/** name/timezone/currency from Shopify's shop.json (timezone + currency always; name only if never renamed) */
+async function refreshShopMeta(client: PoolClient, env: Env, channelId: number): Promise<Record<string, unknown>> {
+  const out: Record<string, unknown> = {};
+  for (const s of parseStores(env.SHOPIFY_STORES)) {
+    try {
+      const resp = await shopifyFetch(s.domain, s.token, "shop.json", newCallStats());
+      const shop = (await resp.json() as any)?.shop ?? {};
+      await client.query(`
+        UPDATE shops
+        SET timezone   = COALESCE($3, timezone),
+            currency   = COALESCE($4, currency),
+            name       = CASE WHEN name IS NULL OR name = handle THEN COALESCE($5, name) ELSE name END,
+            updated_at = now()
+        WHERE channel_id = $1 AND domain = $2
+      `, [channelId, s.domain, shop.iana_timezone || null, shop.currency || null, shop.name || null]);
+      out[s.domain] = { timezone: shop.iana_timezone ?? null, currency: shop.currency ?? null };
+    } catch (e: any) {
+      out[s.domain] = { error: e?.message || String(e) };
+    }
+  }
+  return out;
 }
+
+/** Fill shop_id on rows written before the registry existed (matched on the legacy domain text) */
+async function backfillShopIds(client: PoolClient, channelId: number): Promise<{ orders: number; staging: number }> {
+  const o = await client.query(`
+    UPDATE orders o SET shop_id = s.id
+    FROM shops s
+    WHERE o.shop_id IS NULL AND s.channel_id = $1 AND s.domain = o.shop_domain
+  `, [channelId]);
+  const r = await client.query(`
+    UPDATE staging_raw r SET shop_id = s.id
+    FROM shops s
+    WHERE r.shop_id IS NULL AND s.channel_id = $1 AND s.domain = r.domain
+  `, [channelId]);
+  return { orders: o.rowCount ?? 0, staging: r.rowCount ?? 0 };
+}
+
+function shopFieldError(q: { timezone: string; currency: string }): string | null {
+  if (q.timezone && !isValidTz(q.timezone)) return `unknown timezone ${q.timezone}`;
+  if (q.currency && !/^[A-Za-z]{3}$/.test(q.currency)) return "currency must be a 3-letter ISO code";
+  return null;
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Cursor + schedule index (sync_state) — composite PK + TEXT value
+  Ingest cursors and marks are keyed "<adapter source>:cursor|updated:<domain>"
+  under the adapter's channel, so every channel shares these helpers.
+*───────────────────────────────────────────────────────────────────────────*/
 function enc(obj: any): string {
   return JSON.stringify(obj ?? {});
 }
@@ -152,20 +1327,20 @@ function dec(txt: any): any {
   try { return typeof txt === "string" ? JSON.parse(txt) : (txt ?? {}); } catch { return {}; }
 }
 
-async function getCursor(client: PoolClient, channelId: number, domain: string): Promise<string | null> {
-  await ensureSyncState(client);
+/** The JSON value stored under `key`, or null when there is none */
+async function getState<T>(client: PoolClient, channelId: number, key: string): Promise<T | null> {
   const r = await client.query(
     `SELECT value FROM sync_state WHERE channel_id=$1 AND key=$2 LIMIT 1`,
-    [channelId, cursorKey(domain)]
+    [channelId, key]
   );
-  const obj = dec(r.rows?.[0]?.value ?? null);
-  return typeof obj?.page_info === "string" ? obj.page_info : null;
+  if (!r.rows?.length) return null;
+  const obj = dec(r.rows[0].value);
+  return obj && typeof obj === "object" ? obj : null;
 }
 
-async function setCursor(client: PoolClient, channelId: number, domain: string, pageInfo: string | null): Promise<void> {
-  await ensureSyncState(client);
-  const key = cursorKey(domain);
-  if (!pageInfo) {
+/** Store `value` under `key`; null deletes the key */
+async function setState(client: PoolClient, channelId: number, key: string, value: object | null): Promise<void> {
+  if (!value) {
     await client.query(`DELETE FROM sync_state WHERE channel_id=$1 AND key=$2`, [channelId, key]);
     return;
   }
@@ -174,638 +1349,4668 @@ async function setCursor(client: PoolClient, channelId: number, domain: string,
      VALUES ($1, $2, $3::text, now())
      ON CONFLICT (channel_id, key) DO UPDATE
        SET value = EXCLUDED.value, updated_at = now()`,
-    [channelId, key, enc({ page_info: pageInfo })]
+    [channelId, key, enc(value)]
   );
 }
 
-const SCHEDULE_KEY = "shopify:schedule_idx";
-
-async function getScheduleIndex(client: PoolClient, channelId: number): Promise<number> {
-  await ensureSyncState(client);
-  const r = await client.query(
-    `SELECT value FROM sync_state WHERE channel_id=$1 AND key=$2 LIMIT 1`,
-    [channelId, SCHEDULE_KEY]
-  );
-  const obj = dec(r.rows?.[0]?.value ?? null);
-  return typeof obj?.idx !== "undefined" ? Number(obj.idx) || 0 : 0;
-}
+/* created sync mode: the page_info of an unfinished pass */
+type CursorState = { page_info: string };
 
-async function setScheduleIndex(client: PoolClient, channelId: number, idx: number): Promise<void> {
-  await ensureSyncState(client);
-  await client.query(
-    `INSERT INTO sync_state(channel_id, key, value, updated_at)
-     VALUES ($1, $2, $3::text, now())
-     ON CONFLICT (channel_id, key) DO UPDATE
-       SET value = EXCLUDED.value, updated_at = now()`,
-    [channelId, SCHEDULE_KEY, enc({ idx })]
-  );
+function cursorKey(domain: string, source = "shopify") {
+  return `${source}:cursor:${domain}`;
 }
 
-/*───────────────────────────────────────────────────────────────────────────*
-  HTTP Router (fetch) + Cron (scheduled)
-*───────────────────────────────────────────────────────────────────────────*/
-export default {
-  async fetch(req: Request, env: Env): Promise<Response> {
-    if (req.method === "OPTIONS") return json({ ok: true });
-
-    const url = new URL(req.url);
-
-    // 1) Shops (from secret)
-    if (url.pathname === "/api/shops" && req.method === "GET") {
-      const stores = parseStores(env.SHOPIFY_STORES);
-      const shops = stores.map((s, i) => ({
-        id: i + 1,
-        handle: s.domain.split(".")[0],
-        domain: s.domain,
-      }));
-      return shops.length ? json({ ok: true, shops }) : json({ ok: false, error: "No stores configured" });
-    }
+/* updated_at sync mode: high-water mark + in-progress pass, next to cursorKey */
+type IngestMode = "created" | "updated";
+type UpdatedState = { updated_at_min: string; page_info?: string; max_seen?: string; pass_started?: string };
 
-    // 2) Debug: store parsing preview
-    if (url.pathname === "/api/debug/stores" && req.method === "GET") {
-      const stores = parseStores(env.SHOPIFY_STORES);
-      const preview = stores.map((s) => {
-        const d = sanitizeDomain(s.domain);
-        return { raw: s.domain, sanitized: d, valid: isValidDomain(d) };
-      });
-      return json({ ok: true, preview });
-    }
+/* A finished pass's mark stays this far behind the pass start (clock skew between Shopify and us) */
+const UPDATED_OVERLAP_MS = 5 * 60 * 1000;
 
-    // 3) Debug: DB ping
-    if (url.pathname === "/api/debug/db" && req.method === "GET") {
-      try {
-        const client = await getClient(env);
-        const r = await client.query("select now()");
-        await client.release();
-        return json({ ok: true, now: r?.rows?.[0]?.now ?? null });
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      }
-    }
+/** The updated_at_min a pass that began at `started` leaves: pages arrive in id order, so an order edited
+    after its page was read can be older than the newest updated_at the pass saw, never older than its start */
+function markBefore(started: string): string {
+  return new Date(Date.parse(started) - UPDATED_OVERLAP_MS).toISOString();
+}
 
-    // 4) Debug: cursors dump
-    if (url.pathname === "/api/debug/cursor" && req.method === "GET") {
-      const stores = parseStores(env.SHOPIFY_STORES);
-      const client = await getClient(env);
-      try {
-        const channelId = await getOrCreateShopifyChannelId(client);
-        const out: Record<string, string | null> = {};
-        for (const s of stores) out[s.domain] = await getCursor(client, channelId, s.domain);
-        return json({ ok: true, cursors: out });
-      } finally {
-        await client.release();
-      }
-    }
+function updatedKey(domain: string, source = "shopify") {
+  return `${source}:updated:${domain}`;
+}
 
-    // 5) Debug: reset a cursor (?store=domain)
-    if (url.pathname === "/api/debug/reset" && req.method === "POST") {
-      const store = sanitizeDomain(url.searchParams.get("store") || "");
-      if (!store) return json({ ok: false, error: "store param required" }, 400);
-      const client = await getClient(env);
-      try {
-        const channelId = await getOrCreateShopifyChannelId(client);
-        await setCursor(client, channelId, store, null);
-        log("cursor:cleared", store);
-        return json({ ok: true, cleared: store });
-      } finally {
-        await client.release();
-      }
-    }
+/* products.json sync per store: same shape as the orders updated_at mark */
+function productsKey(domain: string) {
+  return `shopify:products:${domain}`;
+}
 
-    // 6) Debug: health snapshot (includes per-store totals)
-    if (url.pathname === "/api/debug/health" && req.method === "GET") {
-      const stores = parseStores(env.SHOPIFY_STORES);
-      try {
-        const client = await getClient(env);
-        try {
-          const channelId = await getOrCreateShopifyChannelId(client);
-          const mtNow = new Date().toLocaleString("en-US", { timeZone: "America/Denver", hour12: false });
-          const scheduleIndex = await getScheduleIndex(client, channelId);
-
-          // cursors
-          const cursors: Record<string, string | null> = {};
-          for (const s of stores) cursors[s.domain] = await getCursor(client, channelId, s.domain);
-
-          // totals
-          const orders = (await client.query(`select count(*)::int as n from orders`)).rows[0].n;
-          const items  = (await client.query(`select count(*)::int as n from order_items`)).rows[0].n;
-          const last   = (await client.query(`select max(placed_at) as t from orders`)).rows[0].t;
-
-          // per-store orders
-          const rsOrders = await client.query(`
-            select coalesce(shop_domain,'(unknown)') as shop_domain,
-                   count(*)::int as orders,
-                   min(placed_at) as first_order_at,
-                   max(placed_at) as last_order_at
-            from orders
-            group by 1
-            order by 2 desc
-          `);
-
-          // per-store items
-          const rsItems = await client.query(`
-            select coalesce(o.shop_domain,'(unknown)') as shop_domain,
-                   count(*)::int as items
-            from order_items oi
-            join orders o on o.id = oi.order_id
-            group by 1
-            order by 2 desc
-          `);
-
-          const itemsByStore: Record<string, number> = {};
-          for (const row of rsItems.rows) itemsByStore[row.shop_domain] = row.items;
-
-          const per_store = rsOrders.rows.map((r: any) => ({
-            shop_domain: r.shop_domain,
-            orders: r.orders,
-            items: itemsByStore[r.shop_domain] ?? 0,
-            first_order_at: r.first_order_at,
-            last_order_at: r.last_order_at,
-          }));
-
-          return json({
-            ok: true,
-            now_mt: mtNow,
-            schedule_index: scheduleIndex,
-            stores: stores.map(s => s.domain),
-            cursors,
-            totals: { orders, items, last_order_at: last },
-            per_store,
-          });
-        } finally {
-          await client.release();
-        }
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      }
-    }
+/* Inventory levels pass per store: GraphQL cursor mid-pass, and when the last full pass finished */
+type InventoryState = { cursor?: string; completed_at?: string };
 
-    // 7) Ingest trigger (supports ?store=, ?days=, ?reset=)
-    if (url.pathname === "/ingest/shopify/run" && req.method === "POST") {
-      try {
-        const res = await runShopifyIngest(env, url.searchParams);
-        return json({ ok: true, ...res });
-      } catch (e: any) {
-        log("ingest:error", e?.message ?? String(e));
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      }
-    }
+function inventoryKey(domain: string) {
+  return `shopify:inventory:${domain}`;
+}
 
-    // === KPIs: daily ===
-    if (url.pathname === "/api/kpis/daily" && req.method === "GET") {
-      const days = Math.min(Math.max(Number(url.searchParams.get("days") || 14), 1), 365);
-      const store = sanitizeDomain(url.searchParams.get("store") || "");
-      const client = await getClient(env);
-      try {
-        const sql =
-          `SELECT * FROM v_daily_kpis_by_store
-           WHERE day_mt >= (CURRENT_DATE - INTERVAL '${days} days')` +
-          (store ? ` AND shop_domain = $1` : ``) +
-          ` ORDER BY day_mt DESC, shop_domain`;
-        const rows = await queryRows(client, sql, store ? [store] : []);
-        return json({ ok: true, rows });
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+/* Bulk backfill job per store: GraphQL bulk operation + how far its JSONL has been staged */
+type BulkStatus = "CREATED" | "RUNNING" | "COMPLETED" | "FAILED" | "CANCELED" | "CANCELING" | "EXPIRED" | "STAGING" | "DONE";
+type BulkState = {
+  id: string;                 // gid://shopify/BulkOperation/<n>
+  job_id?: number;            // backfill_jobs row mirroring this operation
+  status: BulkStatus;
+  days: number;
+  started_at: string;
+  url?: string | null;
+  object_count?: number;
+  offset?: number;            // bytes of the JSONL already staged
+  orders_staged?: number;
+  error?: string | null;
+  finished_at?: string | null;
+};
 
-    // === KPIs: sales by store daily ===
-    if (url.pathname === "/api/kpis/sales" && req.method === "GET") {
-      const days = Math.min(Math.max(Number(url.searchParams.get("days") || 14), 1), 365);
-      const store = sanitizeDomain(url.searchParams.get("store") || "");
-      const client = await getClient(env);
-      try {
-        const sql =
-          `SELECT * FROM v_sales_by_store_daily
-           WHERE day_mt >= (CURRENT_DATE - INTERVAL '${days} days')` +
-          (store ? ` AND shop_domain = $1` : ``) +
-          ` ORDER BY day_mt DESC, shop_domain`;
-        const rows = await queryRows(client, sql, store ? [store] : []);
-        return json({ ok: true, rows });
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+function bulkKey(domain: string) {
+  return `shopify:bulk:${domain}`;
+}
 
-    // === KPIs: rolling 7/30 as of today (MT) ===
-    if (url.pathname === "/api/kpis/rolling" && req.method === "GET") {
-      const client = await getClient(env);
-      try {
-        const rows = await queryRows(client, `SELECT * FROM v_kpis_rolling_7_30 ORDER BY shop_domain`);
-        return json({ ok: true, rows });
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+/** Save the bulk job and mirror its progress onto its backfill_jobs row */
+async function setBulkState(client: PoolClient, channelId: number, domain: string, state: BulkState): Promise<void> {
+  await setState(client, channelId, bulkKey(domain), state);
+  if (state.job_id) {
+    const done = state.status === "DONE";
+    const failed = ["FAILED", "CANCELED", "EXPIRED"].includes(state.status);
+    await client.query(
+      `UPDATE backfill_jobs
+          SET status = $2, orders = $3, last_error = $4,
+              finished_at = CASE WHEN $2 IN ('done','failed') THEN COALESCE(finished_at, now()) END,
+              updated_at = now()
+        WHERE id = $1`,
+      [state.job_id, done ? "done" : failed ? "failed" : "running", Number(state.orders_staged || 0), state.error ?? null]
+    );
+  }
+}
 
-    // === KPIs: store summary (yesterday vs prior 7‑day avg) ===
-    if (url.pathname === "/api/kpis/summary" && req.method === "GET") {
-      const client = await getClient(env);
-      try {
-        const rows = await queryRows(client, `SELECT * FROM v_store_summary_yday_vs_prev7 ORDER BY shop_domain`);
-        return json({ ok: true, rows });
-      } catch (e: any) {
-        return json({ ok: false, error: e?.message ?? String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+async function listBulkStates(client: PoolClient, channelId: number): Promise<Array<BulkState & { store: string }>> {
+  const r = await client.query(
+    `SELECT key, value FROM sync_state WHERE channel_id=$1 AND key LIKE 'shopify:bulk:%' ORDER BY key`,
+    [channelId]
+  );
+  return (r.rows || [])
+    .map((row: any) => ({ store: String(row.key).slice("shopify:bulk:".length), ...dec(row.value) }))
+    .filter((j: any) => typeof j.id === "string");
+}
 
-    // === KPIs: Top SKUs ===
-    if (url.pathname === "/api/kpis/top-skus" && req.method === "GET") {
-      const days = Math.min(Math.max(Number(url.searchParams.get("days") || 30), 1), 365);
-      const store = sanitizeDomain(url.searchParams.get("store") || "");
-      const limit = Math.min(Math.max(Number(url.searchParams.get("limit") || 50), 1), 500);
-      const include365 = (url.searchParams.get("include365") || "").toLowerCase() === "true";
+/* The cron's round-robin position: { idx } */
+const SCHEDULE_KEY = "shopify:schedule_idx";
 
-      const client = await getClient(env);
-      try {
-        await ensureCompatView(client);
-
-        const params: any[] = [days];
-        if (store) params.push(store);
-
-        const sql = `
-          WITH window_orders AS (
-            SELECT
-              oi.sku,
-              COALESCE(oi.title,'')                     AS title,
-              o.shop_domain,
-              SUM(oi.qty)::int                          AS units_window,
-              SUM(oi.line_total)::numeric(20,2)         AS revenue_window
-            FROM v_order_items_enriched oi
-            JOIN orders o ON o.id = oi.order_id
-            WHERE o.placed_at >= (CURRENT_DATE - ($1::int || ' days')::interval)
-              ${store ? `AND o.shop_domain = $2` : ``}
-            GROUP BY 1,2,3
-          )
-          SELECT
-            w.sku,
-            w.title,
-            w.shop_domain,
-            w.units_window,
-            w.revenue_window
-            ${include365 ? `,
-            x.units_365,
-            x.revenue_365` : ``}
-          FROM window_orders w
-          ${include365 ? `
-          LEFT JOIN LATERAL (
-            SELECT
-              SUM(oi2.qty)::int                  AS units_365,
-              SUM(oi2.line_total)::numeric(20,2) AS revenue_365
-            FROM v_order_items_enriched oi2
-            JOIN orders o2 ON o2.id = oi2.order_id
-            WHERE oi2.sku = w.sku
-              AND o2.shop_domain = w.shop_domain
-              AND o2.placed_at >= (CURRENT_DATE - INTERVAL '365 days')
-          ) x ON TRUE
-          ` : ``}
-          ORDER BY w.revenue_window DESC NULLS LAST
-          LIMIT ${limit};
-        `;
-
-        const rows = await queryRows(client, sql, params);
-        return json({ ok: true, rows });
-      } catch (e:any) {
-        return json({ ok:false, error:e?.message || String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+/* High-water mark of staging_raw.received_at already normalized: { received_at } (text, round-trips via ::timestamptz) */
+const TRANSFORM_KEY = "transform:last_received_at";
 
-    // === KPIs: Bottom SKUs ===
-    if (url.pathname === "/api/kpis/bottom-skus" && req.method === "GET") {
-      const days = Math.min(Math.max(Number(url.searchParams.get("days") || 30), 1), 365);
-      const store = sanitizeDomain(url.searchParams.get("store") || "");
-      const limit = Math.min(Math.max(Number(url.searchParams.get("limit") || 50), 1), 500);
-      const include365 = (url.searchParams.get("include365") || "").toLowerCase() === "true";
+/*───────────────────────────────────────────────────────────────────────────*
+  Auth: bearer tokens → roles (viewer < operator < admin)
+*───────────────────────────────────────────────────────────────────────────*/
+type Role = "viewer" | "operator" | "admin";
+type Principal = { role: Role; name: string };
 
-      const client = await getClient(env);
-      try {
-        await ensureCompatView(client);
-
-        const params: any[] = [days];
-        if (store) params.push(store);
-
-        const sql = `
-          WITH window_orders AS (
-            SELECT
-              oi.sku,
-              COALESCE(oi.title,'')                     AS title,
-              o.shop_domain,
-              SUM(oi.qty)::int                          AS units_window,
-              SUM(oi.line_total)::numeric(20,2)         AS revenue_window
-            FROM v_order_items_enriched oi
-            JOIN orders o ON o.id = oi.order_id
-            WHERE o.placed_at >= (CURRENT_DATE - ($1::int || ' days')::interval)
-              ${store ? `AND o.shop_domain = $2` : ``}
-            GROUP BY 1,2,3
-          )
-          SELECT
-            w.sku,
-            w.title,
-            w.shop_domain,
-            w.units_window,
-            w.revenue_window
-            ${include365 ? `,
-            x.units_365,
-            x.revenue_365` : ``}
-          FROM window_orders w
-          ${include365 ? `
-          LEFT JOIN LATERAL (
-            SELECT
-              SUM(oi2.qty)::int                  AS units_365,
-              SUM(oi2.line_total)::numeric(20,2) AS revenue_365
-            FROM v_order_items_enriched oi2
-            JOIN orders o2 ON o2.id = oi2.order_id
-            WHERE oi2.sku = w.sku
-              AND o2.shop_domain = w.shop_domain
-              AND o2.placed_at >= (CURRENT_DATE - INTERVAL '365 days')
-          ) x ON TRUE
-          ` : ``}
-          ORDER BY w.revenue_window ASC NULLS LAST, w.units_window ASC NULLS LAST
-          LIMIT ${limit};
-        `;
-
-        const rows = await queryRows(client, sql, params);
-        return json({ ok: true, rows });
-      } catch (e:any) {
-        return json({ ok:false, error:e?.message || String(e) }, 500);
-      } finally {
-        await client.release();
-      }
-    }
+const ROLE_RANK: Record<Role, number> = { viewer: 1, operator: 2, admin: 3 };
 
-    // === KPIs: Repeat Rates ===
-    if (url.pathname === "/api/kpis/repeat-rates" && req.method === "GET") {
-      const client = await getClient(env);
-      try {
-        const rows = await queryRows(client, `SELECT * FROM v_customer_repeat_rates ORDER BY shop_domain`);
-        return json({ ok:true, rows });
-      } catch (e:any) {
-        return json({ ok:false, error:e?.message || String(e) }, 500);
-      } finally {
-        await client.release();
+function parseApiTokens(env: Env): Array<Principal & { token: string }> {
+  const out: Array<Principal & { token: string }> = [];
+  if (env.API_TOKENS) {
+    try {
+      const arr = JSON.parse(env.API_TOKENS);
+      for (const t of Array.isArray(arr) ? arr : []) {
+        if (typeof t?.token === "string" && t.token && t.role in ROLE_RANK) {
+          out.push({ token: t.token, role: t.role, name: String(t.name || t.role) });
+        }
       }
+    } catch {
+      log("auth:error", "API_TOKENS is not valid JSON");
     }
+  }
+  if (env.BACKFILL_TOKEN) out.push({ token: env.BACKFILL_TOKEN, role: "operator", name: "backfill-token" });
+  return out;
+}
 
-    // === ADMIN: Backfill historical Shopify data ===
-    // POST /api/admin/backfill?days=365&store=<optional>&hard_reset=true&token=XYZ
-    if (url.pathname === "/api/admin/backfill" && req.method === "POST") {
-      try {
-        if (env.BACKFILL_TOKEN) {
-          const token = url.searchParams.get("token") || "";
-          if (token !== env.BACKFILL_TOKEN) {
-            return json({ ok: false, error: "unauthorized" }, 401);
-          }
-        }
+function bearerToken(req: Request): string {
+  const h = req.headers.get("Authorization") || "";
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
 
-        const days = Math.min(Math.max(Number(url.searchParams.get("days") || 365), 1), 365);
-        const store = sanitizeDomain(url.searchParams.get("store") || "");
-        const hardReset = (url.searchParams.get("hard_reset") || "").toLowerCase() === "true";
+/** Returns a 401/403 response when the caller lacks the route's role (null = public), else null. */
+function authorize(req: Request, env: Env, url: URL, need: Role | null): Response | null {
+  if (!need) return null;
 
-        const res = await backfillShopify(env, { days, store, hardReset });
-        return json({ ok: true, ...res });
-      } catch (e:any) {
-        log("backfill:error", e?.message || String(e));
-        return json({ ok:false, error:e?.message || String(e) }, 500);
-      }
-    }
+  const token = bearerToken(req);
+  const principal = token ? parseApiTokens(env).find((t) => safeEqual(t.token, token)) : undefined;
 
-    // fallback
-    return new Response("OK", { status: 200 });
-  },
+  const denied = (status: number, error: string) => {
+    log("auth:denied", {
+      method: req.method,
+      path: url.pathname,
+      need,
+      who: principal?.name ?? null,
+      role: principal?.role ?? null,
+      ip: req.headers.get("CF-Connecting-IP"),
+      ...(url.searchParams.has("token") ? { note: "?token= is no longer accepted; send Authorization: Bearer" } : {}),
+    });
+    return json({ ok: false, error }, status);
+  };
 
-  async scheduled(_event: ScheduledEvent, env: Env, ctx: ExecutionContext): Promise<void> {
-    log("cron:start");
-    ctx.waitUntil(
-      runShopifyIngestRoundRobin(env)
-        .then((res) => log("cron:done", res))
-        .catch((e) => log("cron:error", e?.message || String(e)))
-    );
-  },
-};
+  if (!principal) return denied(401, token ? "invalid token" : "missing bearer token");
+  if (ROLE_RANK[principal.role] < ROLE_RANK[need]) return denied(403, `requires ${need} role`);
+  return null;
+}
 
 /*───────────────────────────────────────────────────────────────────────────*
-  Round-robin cron + backfill + main ingest
+  HTTP Router (fetch) + Cron (scheduled)
+  route table → auth, query parsing, db client, errors, OpenAPI
 *───────────────────────────────────────────────────────────────────────────*/
-async function runShopifyIngestRoundRobin(env: Env): Promise<{ store: string; result: unknown }> {
-  const stores = parseStores(env.SHOPIFY_STORES);
-  if (!stores.length) throw new Error("No stores configured");
+type ParamSpec =
+  | { type: "int"; default: number; min: number; max: number; description?: string }
+  | { type: "bool"; description?: string }
+  | { type: "string"; enum?: readonly string[]; default?: string; required?: boolean; description?: string }
+  | { type: "store"; description?: string }
+  | { type: "range"; default: string; max: number; description?: string }    // "30d" | "12w" | "6m" | "1y" → days
+  | { type: "date"; description?: string };                                  // YYYY-MM-DD or ""
+type ParamSchema = Record<string, ParamSpec>;
 
-  const client = await getClient(env);
-  try {
-    const channelId = await getOrCreateShopifyChannelId(client);
+type ParamValue<P extends ParamSpec> =
+  P extends { type: "int" } ? number :
+  P extends { type: "range" } ? number :
+  P extends { type: "bool" } ? boolean :
+  string;
+type Query<S extends ParamSchema> = { [K in keyof S]: ParamValue<S[K]> };
 
-    const idx = await getScheduleIndex(client, channelId);
-    const nextIdx = idx % stores.length;
-    const store = stores[nextIdx];
-    log("cron:store", store.domain, { nextIdx, totalStores: stores.length });
+type RouteCtx<S extends ParamSchema> = {
+  req: Request;
+  env: Env;
+  ctx: ExecutionContext;
+  url: URL;
+  q: Query<S>;
+  path: Record<string, string>;   // :params and the trailing * as "rest"
+  client: PoolClient;             // only when the route sets db: true
+};
 
-    const result = await runShopifyIngest(env, new URLSearchParams({ store: store.domain }));
-    await setScheduleIndex(client, channelId, nextIdx + 1);
+type RouteDef<S extends ParamSchema> = {
+  method: "GET" | "POST";
+  path: string;                   // "/api/admin/jobs/:id", "/webhooks/shopify/*"
+  id: string;                     // operationId, also the log prefix for errors
+  summary: string;
+  tag: string;
+  role: Role | null;              // null = public
+  query?: S;
+  db?: boolean;
+  // plain objects are sent as { ok: true, ...result }; a Response is passed through
+  handler: (c: RouteCtx<S>) => Promise<Response | Record<string, unknown>>;
+};
+type Route = RouteDef<any>;
+
+function route<S extends ParamSchema = {}>(def: RouteDef<S>): Route {
+  return def;
+}
+
+/* Shared parameter specs — the clamping every block used to repeat */
+const P_STORE = { type: "store", description: "Shop domain (e.g. cbguys.myshopify.com); all stores when omitted" } as const;
+const pDays  = (def: number, max = 365) => ({ type: "int", default: def, min: 1, max, description: "Trailing window in days" } as const);
+const pLimit = (def: number, max = 500) => ({ type: "int", default: def, min: 1, max, description: "Max rows" } as const);
+const pFlag  = (description: string) => ({ type: "bool", description } as const);
+/* top/bottom SKU ranking; uncosted SKUs (NULL profit/margin) sort last either way */
+const SKU_SORT = {
+  revenue: "w.revenue_window",
+  profit:  "gross_profit_window",
+  margin:  "margin_pct",
+  units:   "w.units_window",
+} as const;
+const P_SKU_SORT = { type: "string", enum: Object.keys(SKU_SORT), default: "revenue", description: "Rank by revenue, profit, margin or units" } as const;
+const P_SKU_GROUP = { type: "string", enum: ["sku", "vendor", "product_type"], default: "sku", description: "One row per sku, or per catalog vendor / product type" } as const;
+const P_VENDOR = { type: "string", description: "Only lines whose catalog vendor matches (case-insensitive), e.g. Square D" } as const;
+/* RFM segments (CUSTOMER_RFM_CTE), best first */
+const SEGMENT_ORDER = ["champions", "loyal", "big_spenders", "new", "needs_attention", "at_risk", "hibernating"];
+const CUSTOMER_SORT = {
+  revenue: "p.revenue DESC",
+  orders:  "p.orders DESC, p.revenue DESC",
+  recent:  "p.last_order DESC",
+  ltv:     "c.lifetime_value DESC NULLS LAST",
+} as const;
+const P_RANGE = { type: "range", default: "30d", max: 730, description: "Trailing window: 30d, 12w, 6m, 1y" } as const;
+const P_SHOP  = { type: "string", default: "all", description: "all, a shop id from /api/shops, or a shop domain" } as const;
+const P_FROM  = { type: "date", description: "First day (YYYY-MM-DD, reporting timezone); overrides days" } as const;
+const P_TO    = { type: "date", description: "Last day, inclusive (YYYY-MM-DD); defaults to today" } as const;
+const P_COMPARE = {
+  type: "string", enum: ["previous_period", "previous_year"],
+  description: "Also return the comparison period's figures and deltas",
+} as const;
+
+/* Parse + validate a query string against a schema. ints are clamped (as before), enums must match. */
+function parseQuery(schema: ParamSchema | undefined, sp: URLSearchParams): { q: any } | { error: string } {
+  const q: any = {};
+  for (const [name, spec] of Object.entries(schema || {})) {
+    const raw = sp.get(name);
+    switch (spec.type) {
+      case "int": {
+        const n = raw == null || raw === "" ? NaN : Number(raw);
+        q[name] = Math.min(Math.max(Number.isFinite(n) ? Math.trunc(n) : spec.default, spec.min), spec.max);
+        break;
+      }
+      case "bool":
+        q[name] = (raw || "").toLowerCase() === "true";
+        break;
+      case "store":
+        q[name] = sanitizeDomain(raw || "");
+        break;
+      case "date":
+        if (raw && !isIsoDate(raw)) return { error: `${name} must be a date (YYYY-MM-DD)` };
+        q[name] = raw || "";
+        break;
+      case "range": {
+        const days = rangeDays(raw || spec.default);
+        if (days == null) return { error: `${name} must look like 30d, 12w, 6m or 1y` };
+        q[name] = Math.min(days, spec.max);
+        break;
+      }
+      case "string": {
+        const v = raw ?? spec.default ?? "";
+        if (spec.required && !v) return { error: `${name} param required` };
+        if (v && spec.enum && !spec.enum.includes(v.toLowerCase())) {
+          return { error: `${name} must be one of ${spec.enum.join(", ")}` };
+        }
+        q[name] = spec.enum ? v.toLowerCase() : v;
+        break;
+      }
+    }
+  }
+  return { q };
+}
+
+function rangeDays(v: string): number | null {
+  const m = String(v).trim().toLowerCase().match(/^(\d+)([dwmy]?)$/);
+  if (!m || Number(m[1]) < 1) return null;
+  return Number(m[1]) * ({ "": 1, d: 1, w: 7, m: 30, y: 365 } as Record<string, number>)[m[2]];
+}
+
+/*── Reporting periods: from/to (or trailing days), compare=previous_period|previous_year ──*/
+type Period = { from: string; to: string };   // inclusive YYYY-MM-DD in the reporting timezone
+
+/** from/to when given, else the trailing `days` window ending today (day >= today - days, as before) */
+function resolvePeriod(env: Env, q: { from?: string; to?: string; days?: number }): Period | { error: string } {
+  const to = q.to || todayIn(reportTz(env));
+  const from = q.from || addDays(to, -(q.days ?? 30));
+  if (from > to) return { error: `from (${from}) is after to (${to})` };
+  if (daysBetween(from, to) > 3660) return { error: "from/to may span at most 10 years" };
+  return { from, to };
+}
+
+/** previous_period = the same number of days right before; previous_year = the same dates a year earlier */
+function comparePeriod(p: Period, mode: string): Period | null {
+  if (mode === "previous_period") {
+    const len = daysBetween(p.from, p.to) + 1;
+    return { from: addDays(p.from, -len), to: addDays(p.from, -1) };
+  }
+  if (mode === "previous_year") return { from: lastYear(p.from), to: lastYear(p.to) };
+  return null;
+}
+
+type Delta = { abs: number | null; pct: number | null };
+
+/** Add `compare` (the other period's figures) and `delta` ({ abs, pct } change) to each row, matched on key.
+    A key missing from the comparison counts as 0 for `sums` and null for `ratios`. */
+function attachCompare(
+  rows: Record<string, any>[],
+  prev: Record<string, any>[],
+  key: (r: Record<string, any>) => string,
+  sums: string[],
+  ratios: string[] = []
+): Record<string, any>[] {
+  const byKey = new Map(prev.map((r) => [key(r), r]));
+  const num = (v: unknown) => (v == null ? null : Number(v));
+  return rows.map((r) => {
+    const p = byKey.get(key(r));
+    const compare: Record<string, number | null> = {};
+    const delta: Record<string, Delta> = {};
+    for (const m of [...sums, ...ratios]) {
+      const cur = num(r[m]);
+      const old = p ? num(p[m]) : sums.includes(m) ? 0 : null;
+      compare[m] = old;
+      delta[m] = {
+        abs: cur != null && old != null ? Math.round((cur - old) * 100) / 100 : null,
+        pct: cur != null && old ? Math.round((cur / old - 1) * 10000) / 10000 : null,
+      };
+    }
+    return { ...r, compare, delta };
+  });
+}
+
+/** Sum `metrics` per key (e.g. daily rows → one totals row per store) */
+function totalsBy(rows: Record<string, any>[], keyCol: string, metrics: string[]): Record<string, any>[] {
+  const out = new Map<string, Record<string, any>>();
+  for (const r of rows) {
+    const t = out.get(r[keyCol]) ?? out.set(r[keyCol], { [keyCol]: r[keyCol], ...Object.fromEntries(metrics.map((m) => [m, 0])) }).get(r[keyCol])!;
+    for (const m of metrics) t[m] = Math.round((t[m] + Number(r[m] ?? 0)) * 100) / 100;
+  }
+  return [...out.values()];
+}
+
+function compilePath(path: string): RegExp {
+  const src = path
+    .split("/")
+    .map((seg) => seg === "*" ? "(?<rest>.+)" : seg.startsWith(":") ? `(?<${seg.slice(1)}>[^/]+)` : seg.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("/");
+  return new RegExp(`^${src}/?$`);
+}
+
+function matchRoute(method: string, pathname: string): { route: Route; path: Record<string, string> } | null {
+  for (const r of ROUTES) {
+    if (r.method !== method) continue;
+    const m = ROUTE_PATTERNS.get(r)!.exec(pathname);
+    if (m) return { route: r, path: { ...(m.groups || {}) } };
+  }
+  return null;
+}
+
+/** OpenAPI 3.0 document generated from ROUTES */
+function openApiDoc(origin: string) {
+  const paths: Record<string, any> = {};
+  for (const r of ROUTES) {
+    const p = r.path.replace(/:([A-Za-z_]+)/g, "{$1}").replace(/\*$/, "{rest}");
+    const pathParams = [...p.matchAll(/\{([A-Za-z_]+)\}/g)].map((m) => ({
+      name: m[1], in: "path", required: true, schema: { type: "string" },
+    }));
+    const queryParams = Object.entries((r.query || {}) as ParamSchema).map(([name, s]) => ({
+      name,
+      in: "query",
+      required: s.type === "string" && !!s.required,
+      ...(s.description ? { description: s.description } : {}),
+      schema:
+        s.type === "int"    ? { type: "integer", default: s.default, minimum: s.min, maximum: s.max } :
+        s.type === "bool"   ? { type: "boolean", default: false } :
+        s.type === "store"  ? { type: "string", format: "hostname" } :
+        s.type === "range"  ? { type: "string", pattern: "^[0-9]+[dwmy]?$", default: s.default } :
+        s.type === "date"   ? { type: "string", format: "date" } :
+        { type: "string", ...(s.enum ? { enum: s.enum } : {}), ...(s.default ? { default: s.default } : {}) },
+    }));
+    paths[p] = paths[p] || {};
+    paths[p][r.method.toLowerCase()] = {
+      operationId: r.id,
+      summary: r.summary,
+      tags: [r.tag],
+      parameters: [...pathParams, ...queryParams],
+      ...(r.role ? { security: [{ bearerAuth: [] }], "x-role": r.role } : { security: [] }),
+      responses: {
+        "200": { description: "OK", content: { "application/json": { schema: { $ref: "#/components/schemas/Ok" } } } },
+        "400": { $ref: "#/components/responses/Error" },
+        ...(r.role ? { "401": { $ref: "#/components/responses/Error" }, "403": { $ref: "#/components/responses/Error" } } : {}),
+        "500": { $ref: "#/components/responses/Error" },
+      },
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "netsuite-bi-ingest", version: "1.0.0" },
+    servers: [{ url: origin }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer" } },
+      schemas: {
+        Ok: { type: "object", properties: { ok: { type: "boolean", enum: [true] } }, additionalProperties: true },
+        Error: { type: "object", properties: { ok: { type: "boolean", enum: [false] }, error: { type: "string" } } },
+      },
+      responses: {
+        Error: { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+      },
+    },
+  };
+}
+
+/* Every MT day in the trailing $1-day window, so trend charts get zero days instead of gaps */
+const METRIC_DAYS_CTE = `
+  WITH days AS (
+    SELECT generate_series(${TODAY_SQL} - ($1::int - 1), ${TODAY_SQL}, interval '1 day')::date AS day_mt
+  )`;
+
+/* Figures compared/totalled per KPI endpoint */
+const SALES_METRICS = ["orders", "units", "revenue", "gross_revenue", "refunded_revenue", "net_revenue", "units_refunded"];
+const DAILY_METRICS = [...SALES_METRICS, "new_orders", "returning_orders"];
+const ROLLING_METRICS = ["revenue_7d", "orders_7d", "units_7d", "revenue_30d", "orders_30d", "units_30d"];
+const SUMMARY_METRICS = ["yday_revenue", "yday_orders", "yday_units"];
+
+/** daily/sales: the view's rows in the period, per-store totals, and (with compare) the other period + deltas */
+async function dailyKpis(
+  client: PoolClient,
+  env: Env,
+  view: string,
+  metrics: string[],
+  q: { days: number; from: string; to: string; compare: string; store: string }
+): Promise<Response | Record<string, unknown>> {
+  const period = resolvePeriod(env, q);
+  if ("error" in period) return json({ ok: false, error: period.error }, 400);
+  const load = (p: Period) => queryRows(client, `
+    SELECT * FROM ${view}
+    WHERE day_mt BETWEEN $1::date AND $2::date
+      AND ($3::text = '' OR shop_domain = $3)
+    ORDER BY day_mt DESC, shop_domain
+  `, [p.from, p.to, q.store]);
+
+  const rows = await load(period);
+  const totals = totalsBy(rows, "shop_domain", metrics);
+  const cmp = comparePeriod(period, q.compare);
+  if (!cmp) return { period, rows, totals };
+  const prevRows = await load(cmp);
+  return {
+    period,
+    rows,
+    totals: attachCompare(totals, totalsBy(prevRows, "shop_domain", metrics), (r) => r.shop_domain, metrics),
+    compare: { mode: q.compare, period: cmp, rows: prevRows },
+  };
+}
+
+/** top/bottom SKUs for the period; with compare, each row gets the same SKU's figures for the other period */
+async function skuKpis(
+  client: PoolClient,
+  env: Env,
+  q: {
+    days: number; from: string; to: string; compare: string; store: string; limit: number; include365: boolean; sort: string;
+    group_by: string; vendor: string;
+  },
+  dir: "DESC" | "ASC"
+): Promise<Response | Record<string, unknown>> {
+  const period = resolvePeriod(env, q);
+  if ("error" in period) return json({ ok: false, error: period.error }, 400);
+  const groupBy = q.group_by as SkuGroup;
+
+  const col = SKU_SORT[q.sort as keyof typeof SKU_SORT];
+  const orderBy = dir === "DESC"
+    ? `${col} DESC NULLS LAST, w.revenue_window DESC NULLS LAST`
+    : `${col} ASC NULLS LAST, w.revenue_window ASC NULLS LAST, w.units_window ASC NULLS LAST`;
+  const rows = await queryRows(client, skuWindowSql({ include365: q.include365, orderBy, limit: q.limit, groupBy }),
+    [period.from, period.to, q.store, null, q.vendor]);
+
+  const cmp = comparePeriod(period, q.compare);
+  if (!cmp) return { period, group_by: groupBy, rows };
+  const prev = await queryRows(client, skuWindowSql({ include365: false, orderBy: `w.${groupBy}`, groupBy }),
+    [cmp.from, cmp.to, q.store, [...new Set(rows.map((r: any) => r[groupBy]))], q.vendor]);
+  const key = groupBy === "sku"
+    ? (r: Record<string, any>) => `${r.sku}|${r.shop_domain}|${r.title}`
+    : (r: Record<string, any>) => `${r[groupBy]}|${r.shop_domain}`;
+  return {
+    period,
+    group_by: groupBy,
+    rows: attachCompare(rows, prev, key,
+      ["units_window", "revenue_window", "net_revenue_window", "cost_window", "gross_profit_window"],
+      ["margin_pct", "return_rate"]),
+    compare: { mode: q.compare, period: cmp },
+  };
+}
+
+/* Repeat rates among customers who ordered in $1..$2 (report-tz dates): the same function (migration 15) the
+   all-time views read, per registry store or as one 'all' row */
+const REPEAT_RATES_SQL = `SELECT * FROM customer_repeat_rates($1::date, $2::date, true)`;
+const REPEAT_RATES_ALL_SQL = `SELECT * FROM customer_repeat_rates($1::date, $2::date, false)`;
+
+/* Gross → net per store for $1..$2 ($3 = store domain or ''): order money on the order day, refunds
+   (refunds.amount, as in v_sales_by_store_daily) on the day they were issued */
+const WATERFALL_SQL = `
+  WITH placed AS (
+    SELECT
+      COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+      COUNT(*)::int                                  AS orders,
+      COUNT(*) FILTER (WHERE o.subtotal IS NULL)::int AS orders_without_breakdown,
+      SUM(o.subtotal)  AS gross,
+      SUM(o.discounts) AS discounts,
+      SUM(o.shipping)  AS shipping,
+      SUM(o.tax)       AS tax,
+      SUM(o.fees)      AS fees
+    FROM orders o
+    LEFT JOIN shops sh ON sh.id = o.shop_id
+    WHERE o.placed_at >= ($1::date::timestamp AT TIME ZONE ${TZ_SQL})
+      AND o.placed_at <  (($2::date + 1)::timestamp AT TIME ZONE ${TZ_SQL})
+      AND ($3::text = '' OR COALESCE(sh.domain, o.shop_domain) = $3)
+    GROUP BY 1
+  ),
+  refunded AS (
+    SELECT
+      COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+      SUM(r.amount) AS refunds
+    FROM refunds r
+    JOIN orders o      ON o.id = r.order_id
+    LEFT JOIN shops sh ON sh.id = o.shop_id
+    WHERE COALESCE(r.created_at, o.placed_at) >= ($1::date::timestamp AT TIME ZONE ${TZ_SQL})
+      AND COALESCE(r.created_at, o.placed_at) <  (($2::date + 1)::timestamp AT TIME ZONE ${TZ_SQL})
+      AND ($3::text = '' OR COALESCE(sh.domain, o.shop_domain) = $3)
+    GROUP BY 1
+  ),
+  w AS (
+    SELECT
+      COALESCE(p.shop_domain, rf.shop_domain) AS shop_domain,
+      COALESCE(p.orders, 0)                   AS orders,
+      COALESCE(p.orders_without_breakdown, 0) AS orders_without_breakdown,
+      COALESCE(p.gross, 0)     AS gross,
+      COALESCE(p.discounts, 0) AS discounts,
+      COALESCE(rf.refunds, 0)  AS refunds,
+      COALESCE(p.shipping, 0)  AS shipping,
+      COALESCE(p.tax, 0)       AS tax,
+      COALESCE(p.fees, 0)      AS fees
+    FROM placed p
+    FULL JOIN refunded rf ON rf.shop_domain = p.shop_domain
+  )
+  SELECT
+    shop_domain, orders, orders_without_breakdown,
+    gross::numeric(20,2),
+    discounts::numeric(20,2),
+    refunds::numeric(20,2),
+    (gross - discounts - refunds)::numeric(20,2)                    AS net,
+    shipping::numeric(20,2),
+    tax::numeric(20,2),
+    fees::numeric(20,2),
+    (gross - discounts - refunds + shipping + tax + fees)::numeric(20,2) AS total
+  FROM w
+  ORDER BY shop_domain`;
+
+const WATERFALL_METRICS = ["orders", "gross", "discounts", "refunds", "net", "shipping", "tax", "fees", "total"];
+
+/** The all-stores row as chart steps: deductions negative, net/total are running subtotals */
+function waterfallSteps(t: Record<string, number>): Array<{ step: string; amount: number; subtotal?: true }> {
+  return [
+    { step: "gross", amount: t.gross },
+    { step: "discounts", amount: -t.discounts },
+    { step: "refunds", amount: -t.refunds },
+    { step: "net", amount: t.net, subtotal: true },
+    { step: "shipping", amount: t.shipping },
+    { step: "tax", amount: t.tax },
+    { step: "fees", amount: t.fees },
+    { step: "total", amount: t.total, subtotal: true },
+  ];
+}
+
+/* (cohort, months since first order) cells for the last $1 monthly cohorts; $2 = store domain or '' (all stores:
+   cohort = first order at any store). Revenue is order totals net of refunds, booked in the order's month. */
+const COHORT_RETENTION_SQL = `
+  WITH keyed AS (
+    SELECT o.customer_id,
+           date_trunc('month', o.placed_at AT TIME ZONE ${TZ_SQL})::date AS order_month,
+           o.total - COALESCE(rf.refunded, 0) AS revenue
+    FROM orders o
+    LEFT JOIN shops sh ON sh.id = o.shop_id
+    LEFT JOIN (SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY 1) rf ON rf.order_id = o.id
+    WHERE o.customer_id IS NOT NULL
+      AND ($2::text = '' OR COALESCE(sh.domain, NULLIF(o.shop_domain,'')) = $2)
+  ),
+  firsts AS (
+    SELECT customer_id, MIN(order_month) AS cohort_month FROM keyed GROUP BY 1
+  )
+  SELECT
+    to_char(f.cohort_month, 'YYYY-MM') AS cohort,
+    ((EXTRACT(YEAR FROM k.order_month) - EXTRACT(YEAR FROM f.cohort_month)) * 12
+      + (EXTRACT(MONTH FROM k.order_month) - EXTRACT(MONTH FROM f.cohort_month)))::int AS offset_month,
+    COUNT(DISTINCT k.customer_id)::int AS customers,
+    SUM(k.revenue)::numeric(20,2)      AS revenue
+  FROM keyed k
+  JOIN firsts f ON f.customer_id = k.customer_id
+  WHERE f.cohort_month >= (date_trunc('month', ${TODAY_SQL}) - (($1::int - 1) || ' months')::interval)::date
+  GROUP BY 1, 2
+  ORDER BY 1, 2`;
+
+type CohortCell = { offset: number; customers: number; retention: number; revenue: number; cum_revenue_per_customer: number };
+
+/** Sparse cohort cells → one row per cohort with every month from 0 to the current month filled in */
+function cohortMatrix(rows: Record<string, any>[], today: string) {
+  const [ty, tm] = today.split("-").map(Number);
+  const byCohort = new Map<string, Map<number, Record<string, any>>>();
+  for (const r of rows) {
+    if (!byCohort.has(r.cohort)) byCohort.set(r.cohort, new Map());
+    byCohort.get(r.cohort)!.set(r.offset_month, r);
+  }
+  return [...byCohort].map(([cohort, cells]) => {
+    const [cy, cm] = cohort.split("-").map(Number);
+    const size = Number(cells.get(0)?.customers ?? 0);
+    const row: CohortCell[] = [];
+    let cum = 0;
+    for (let offset = 0; offset <= (ty - cy) * 12 + (tm - cm); offset++) {
+      const c = cells.get(offset);
+      const revenue = Number(c?.revenue ?? 0);
+      cum += revenue;
+      row.push({
+        offset,
+        customers: Number(c?.customers ?? 0),
+        retention: size ? Math.round((Number(c?.customers ?? 0) / size) * 10000) / 10000 : 0,
+        revenue,
+        cum_revenue_per_customer: size ? Math.round((cum / size) * 100) / 100 : 0,
+      });
+    }
+    return { cohort, customers: size, cells: row };
+  });
+}
+
+/* Current stock per (store, SKU), summed over locations ($2 = shop id or NULL). Each location contributes its
+   newest row from the store's last two snapshot days, so a pass still paging through today keeps yesterday's
+   figures for the items it hasn't reached yet. */
+const INVENTORY_NOW_CTE = `
+  inv_latest AS (
+    SELECT DISTINCT ON (i.shop_id, i.sku, i.location_id) i.*
+    FROM inventory_snapshots i
+    JOIN (SELECT shop_id, MAX(snapshot_date) AS last_date FROM inventory_snapshots GROUP BY 1) m
+      ON m.shop_id IS NOT DISTINCT FROM i.shop_id
+    WHERE i.snapshot_date >= m.last_date - 1
+      AND ($2::int IS NULL OR i.shop_id = $2)
+    ORDER BY i.shop_id, i.sku, i.location_id, i.snapshot_date DESC, i.updated_at DESC
+  ),
+  inventory_now AS (
+    SELECT shop_id, sku,
+           SUM(COALESCE(on_hand, 0))::int                                        AS on_hand,
+           SUM(COALESCE(available, on_hand - COALESCE(committed, 0), 0))::int    AS available,
+           SUM(COALESCE(committed, 0))::int                                      AS committed,
+           SUM(COALESCE(incoming, 0))::int                                       AS incoming,
+           SUM(COALESCE(backordered, 0))::int                                    AS backordered,
+           COUNT(*)::int                                                         AS locations,
+           MAX(updated_at)                                                       AS updated_at
+    FROM inv_latest
+    GROUP BY 1, 2
+  )`;
+
+/* Days of cover per (store, SKU): available stock ÷ net units/day over the trailing $1 days (v_sku_sales_daily).
+   $2 = shop id or NULL, $3 = lead days (less cover than this is at_risk), $4 = days without a sale before
+   stock on hand counts as dead. Stock is valued at the sku_costs row in effect today. */
+const INVENTORY_STATUS = ["out", "at_risk", "dead", "ok"];
+const INVENTORY_COVER_SQL = `
+  WITH ${INVENTORY_NOW_CTE},
+  sold AS (
+    SELECT shop_id, sku,
+           SUM(units - units_refunded) FILTER (WHERE day_mt > ${TODAY_SQL} - $1::int) AS units,
+           MAX(day_mt) FILTER (WHERE units > 0)                                       AS last_sold_on
+    FROM v_sku_sales_daily
+    WHERE day_mt > ${TODAY_SQL} - GREATEST($1::int, $4::int)
+      AND ($2::int IS NULL OR shop_id = $2)
+    GROUP BY 1, 2
+  ),
+  rated AS (
+    SELECT n.*, COALESCE(s.units, 0)::int AS units_sold, s.last_sold_on,
+           GREATEST(COALESCE(s.units, 0), 0)::numeric / $1 AS velocity
+    FROM inventory_now n
+    LEFT JOIN sold s ON s.shop_id = n.shop_id AND s.sku = n.sku
+  ),
+  covered AS (
+    SELECT r.*,
+           CASE WHEN r.velocity > 0 THEN GREATEST(r.available, 0) / r.velocity END AS cover,
+           CASE
+             WHEN r.velocity > 0 AND r.available <= 0 THEN 'out'
+             WHEN r.velocity > 0 AND r.available / r.velocity < $3 THEN 'at_risk'
+             WHEN r.on_hand > 0 AND (r.last_sold_on IS NULL OR r.last_sold_on <= ${TODAY_SQL} - $4::int) THEN 'dead'
+             ELSE 'ok'
+           END AS status
+    FROM rated r
+  )
+  SELECT
+    c.sku, sh.domain AS shop_domain, cat.title, cat.vendor, c.status,
+    c.on_hand, c.available, c.committed, c.incoming, c.backordered, c.locations,
+    c.units_sold,
+    ROUND(c.velocity, 3)                                   AS daily_velocity,
+    ROUND(c.cover, 1)                                      AS days_of_cover,
+    c.last_sold_on,
+    sc.cost                                                AS unit_cost,
+    (GREATEST(c.on_hand, 0) * sc.cost)::numeric(20,2)      AS stock_value,
+    c.updated_at
+  FROM covered c
+  LEFT JOIN shops sh ON sh.id = c.shop_id
+  LEFT JOIN LATERAL (
+    SELECT s.cost
+    FROM sku_costs s
+    WHERE s.sku = c.sku
+      AND s.effective_from <= ${TODAY_SQL}
+      AND (s.effective_to IS NULL OR s.effective_to >= ${TODAY_SQL})
+    ORDER BY s.effective_from DESC
+    LIMIT 1
+  ) sc ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(p.title, pv.title) AS title, p.vendor
+    FROM product_variants pv
+    LEFT JOIN products p ON p.shop_id = pv.shop_id AND p.product_id = pv.product_id
+    WHERE pv.shop_id = c.shop_id AND pv.sku = c.sku
+    ORDER BY pv.updated_at DESC NULLS LAST
+    LIMIT 1
+  ) cat ON TRUE
+  ORDER BY array_position(ARRAY['out','at_risk','dead','ok'], c.status),
+           c.cover NULLS LAST, c.velocity DESC, stock_value DESC NULLS LAST, c.sku`;
+
+/* Reorder suggestion per SKU: cover the lead time plus `cover_days` at the trailing velocity, less stock available
+   now and open PO quantity. $1 velocity days, $2 shop id or NULL, $3 lead days, $4 cover days, $5 vendor or ''
+   (matches the PO vendor or the catalog vendor). Stock and sales are summed over the selected stores; POs are
+   company-wide. SKUs with neither inventory nor an open PO are left out. */
+const INVENTORY_REORDER_SQL = `
+  WITH ${INVENTORY_NOW_CTE},
+  stock AS (
+    SELECT sku, SUM(on_hand)::int AS on_hand, SUM(available)::int AS available
+    FROM inventory_now
+    GROUP BY 1
+  ),
+  sold AS (
+    SELECT sku, SUM(units - units_refunded) AS units
+    FROM v_sku_sales_daily
+    WHERE day_mt > ${TODAY_SQL} - $1::int
+      AND ($2::int IS NULL OR shop_id = $2)
+    GROUP BY 1
+  ),
+  po AS (
+    SELECT sku,
+           SUM(GREATEST(quantity - quantity_received, 0)) FILTER (WHERE status = 'open')                          AS open_qty,
+           SUM(GREATEST(quantity - quantity_received, 0)) FILTER (WHERE status = 'open'
+                                                                    AND expected_date > ${TODAY_SQL} + $3::int)  AS open_qty_late,
+           MIN(expected_date) FILTER (WHERE status = 'open' AND quantity > quantity_received)                     AS next_expected,
+           COUNT(DISTINCT po_number) FILTER (WHERE status = 'open' AND quantity > quantity_received)::int         AS open_pos,
+           (array_agg(vendor ORDER BY COALESCE(order_date, expected_date) DESC NULLS LAST, id DESC)
+              FILTER (WHERE vendor IS NOT NULL))[1]                                                              AS po_vendor,
+           (array_agg(unit_cost ORDER BY COALESCE(order_date, expected_date) DESC NULLS LAST, id DESC)
+              FILTER (WHERE unit_cost IS NOT NULL))[1]                                                           AS last_po_cost
+    FROM purchase_order_lines
+    GROUP BY 1
+  ),
+  base AS (
+    SELECT COALESCE(st.sku, po.sku) AS sku,
+           COALESCE(st.on_hand, 0) AS on_hand, COALESCE(st.available, 0) AS available,
+           COALESCE(po.open_qty, 0) AS open_po_qty, COALESCE(po.open_qty_late, 0) AS open_po_qty_late,
+           po.next_expected, COALESCE(po.open_pos, 0) AS open_pos, po.po_vendor, po.last_po_cost,
+           GREATEST(COALESCE(s.units, 0), 0) AS units_sold,
+           GREATEST(COALESCE(s.units, 0), 0)::numeric / $1 AS velocity
+    FROM stock st
+    FULL JOIN (SELECT * FROM po WHERE open_qty > 0) po ON po.sku = st.sku
+    LEFT JOIN sold s ON s.sku = COALESCE(st.sku, po.sku)
+  ),
+  sized AS (
+    SELECT b.*,
+           CEIL(b.velocity * ($3 + $4))                                              AS target_qty,
+           GREATEST(b.available, 0) + b.open_po_qty                                   AS position,
+           GREATEST(CEIL(b.velocity * ($3 + $4)) - GREATEST(b.available, 0) - b.open_po_qty, 0)::int AS suggested_qty
+    FROM base b
+  )
+  SELECT
+    z.sku, cat.title, cat.vendor, z.po_vendor,
+    z.on_hand, z.available, z.open_po_qty, z.open_po_qty_late, z.open_pos, z.next_expected,
+    z.units_sold, ROUND(z.velocity, 3) AS daily_velocity,
+    CASE WHEN z.velocity > 0 THEN ROUND(GREATEST(z.available, 0) / z.velocity, 1) END  AS days_of_cover,
+    CASE WHEN z.velocity > 0 THEN ROUND(z.position / z.velocity, 1) END                 AS days_of_cover_with_po,
+    z.target_qty::int, z.suggested_qty,
+    COALESCE(z.last_po_cost, sc.cost)                                                  AS unit_cost,
+    (z.suggested_qty * COALESCE(z.last_po_cost, sc.cost))::numeric(20,2)               AS suggested_cost
+  FROM sized z
+  LEFT JOIN LATERAL (
+    SELECT s.cost
+    FROM sku_costs s
+    WHERE s.sku = z.sku
+      AND s.effective_from <= ${TODAY_SQL}
+      AND (s.effective_to IS NULL OR s.effective_to >= ${TODAY_SQL})
+    ORDER BY s.effective_from DESC
+    LIMIT 1
+  ) sc ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(p.title, pv.title) AS title, p.vendor
+    FROM product_variants pv
+    LEFT JOIN products p ON p.shop_id = pv.shop_id AND p.product_id = pv.product_id
+    WHERE pv.sku = z.sku AND ($2::int IS NULL OR pv.shop_id = $2)
+    ORDER BY pv.updated_at DESC NULLS LAST
+    LIMIT 1
+  ) cat ON TRUE
+  WHERE ($5::text = '' OR lower(z.po_vendor) = lower($5) OR lower(cat.vendor) = lower($5))
+  ORDER BY (z.suggested_qty > 0) DESC, days_of_cover_with_po NULLS LAST, z.velocity DESC, z.sku`;
+
+/* The route table. Order matters only for overlapping paths (first match wins). */
+const ROUTES: Route[] = [
+  route({
+    method: "GET", path: "/api/openapi.json", id: "openapi", tag: "meta", role: null,
+    summary: "This document",
+    handler: async ({ url }) => json(openApiDoc(url.origin)),
+  }),
+
+  route({
+    method: "GET", path: "/api/shops", id: "shops", tag: "meta", role: "viewer", db: true,
+    summary: "Active stores from the shops registry, every channel (ids are stable; pass them as shop=)",
+    handler: async ({ client }) => {
+      const rows = await listShops(client);
+      // empty until the first cron tick or POST /api/admin/shops/sync registers the configured stores
+      return { shops: rows.filter((r) => r.is_active).map(({ is_active, ...r }) => r) };
+    },
+  }),
+
+  /* ── Debug ── */
+  route({
+    method: "GET", path: "/api/debug/stores", id: "debugStores", tag: "debug", role: "operator",
+    summary: "Store parsing preview",
+    handler: async ({ env }) => {
+      const stores = parseStores(env.SHOPIFY_STORES);
+      const preview = stores.map((s) => {
+        const d = sanitizeDomain(s.domain);
+        return { raw: s.domain, sanitized: d, valid: isValidDomain(d) };
+      });
+      return { preview };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/debug/db", id: "debugDb", tag: "debug", role: "operator", db: true,
+    summary: "DB ping",
+    handler: async ({ client }) => {
+      const r = await client.query("select now()");
+      return { now: r?.rows?.[0]?.now ?? null };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/debug/cursor", id: "debugCursor", tag: "debug", role: "operator", db: true,
+    summary: "Cursors and updated_at marks per store",
+    handler: async ({ env, client }) => {
+      const out: Record<string, string | null> = {};
+      const updated: Record<string, UpdatedState | null> = {};
+      for (const a of channelAdapters()) {
+        const channelId = await getOrCreateChannelId(client, a.channel);
+        for (const domain of a.domains(env)) {
+          out[domain] = (await getState<CursorState>(client, channelId, cursorKey(domain, a.source)))?.page_info ?? null;
+          updated[domain] = await getState<UpdatedState>(client, channelId, updatedKey(domain, a.source));
+        }
+      }
+      return { cursors: out, updated };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/debug/reset", id: "debugReset", tag: "debug", role: "admin", db: true,
+    summary: "Clear a store's cursor (mode=created) or updated_at mark (mode=updated)",
+    query: {
+      store: { type: "string", required: true, description: "Shop domain" },
+      mode: { type: "string", enum: ["created", "updated"], default: "created" },
+    },
+    handler: async ({ env, q, client }) => {
+      const store = sanitizeDomain(q.store);
+      if (!store) return json({ ok: false, error: "store param required" }, 400);
+      const mode = q.mode as IngestMode;
+      await clearIngestState(client, adapterForStore(env, store) ?? SHOPIFY_ADAPTER, store, mode);
+      log("cursor:cleared", store, { mode });
+      return { cleared: store, mode };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/debug/health", id: "debugHealth", tag: "debug", role: "operator", db: true,
+    summary: "Health snapshot with per-store totals",
+    handler: async ({ env, client }) => {
+      const stores = parseStores(env.SHOPIFY_STORES);
+      const channelId = await getOrCreateShopifyChannelId(client);
+      const mtNow = new Date().toLocaleString("en-US", { timeZone: reportTz(env), hour12: false });
+      const scheduleIndex = Number((await getState<{ idx: number }>(client, channelId, SCHEDULE_KEY))?.idx) || 0;
+
+      // cursors
+      const cursors: Record<string, string | null> = {};
+      for (const s of stores) cursors[s.domain] = (await getState<CursorState>(client, channelId, cursorKey(s.domain)))?.page_info ?? null;
+
+      // totals
+      const orders = (await client.query(`select count(*)::int as n from orders`)).rows[0].n;
+      const items  = (await client.query(`select count(*)::int as n from order_items`)).rows[0].n;
+      const last   = (await client.query(`select max(placed_at) as t from orders`)).rows[0].t;
+
+      // per-store orders
+      const rsOrders = await client.query(`
+        select coalesce(shop_domain,'(unknown)') as shop_domain,
+               count(*)::int as orders,
+               min(placed_at) as first_order_at,
+               max(placed_at) as last_order_at
+        from orders
+        group by 1
+        order by 2 desc
+      `);
+
+      // per-store items
+      const rsItems = await client.query(`
+        select coalesce(o.shop_domain,'(unknown)') as shop_domain,
+               count(*)::int as items
+        from order_items oi
+        join orders o on o.id = oi.order_id
+        group by 1
+        order by 2 desc
+      `);
+
+      const itemsByStore: Record<string, number> = {};
+      for (const row of rsItems.rows) itemsByStore[row.shop_domain] = row.items;
+
+      const per_store = rsOrders.rows.map((r: any) => ({
+        shop_domain: r.shop_domain,
+        orders: r.orders,
+        items: itemsByStore[r.shop_domain] ?? 0,
+        first_order_at: r.first_order_at,
+        last_order_at: r.last_order_at,
+      }));
+
+      return {
+        now_mt: mtNow,                 // "now" in REPORT_TZ; key kept for existing readers
+        report_tz: reportTz(env),
+        schedule_index: scheduleIndex,
+        stores: stores.map(s => s.domain),
+        cursors,
+        totals: { orders, items, last_order_at: last },
+        per_store,
+      };
+    },
+  }),
+
+  /* ── Ingest ── */
+  route({
+    method: "POST", path: "/ingest/shopify/run", id: "ingestRun", tag: "ingest", role: "operator",
+    summary: "One ingest pass (up to MAX_PAGES_PER_RUN pages) for one or all stores",
+    query: {
+      store: P_STORE,
+      days: pDays(90),
+      reset: pFlag("Clear the cursor / updated_at mark first"),
+      mode: { type: "string", enum: ["created", "updated"], default: "created" },
+    },
+    // runShopifyIngest reads the raw params itself
+    handler: async ({ env, url }) => runShopifyIngest(env, url.searchParams),
+  }),
+
+  route({
+    method: "POST", path: "/ingest/shopify/products", id: "ingestProducts", tag: "ingest", role: "operator",
+    summary: "One products.json pass (changes since the last sync; the whole catalog the first time) for one or all stores",
+    query: { store: P_STORE, reset: pFlag("Clear the store's products mark first (full resync)") },
+    handler: async ({ env, q }) => syncShopifyProducts(env, { store: q.store || undefined, reset: q.reset }),
+  }),
+
+  route({
+    method: "POST", path: "/ingest/shopify/inventory", id: "ingestInventory", tag: "ingest", role: "operator",
+    summary: "One inventory levels pass (up to MAX_PAGES_PER_RUN pages) into today's snapshot for one or all stores",
+    query: { store: P_STORE, reset: pFlag("Drop an unfinished pass and start over from the first item") },
+    handler: async ({ env, q }) => syncShopifyInventory(env, { store: q.store || undefined, reset: q.reset }),
+  }),
+
+  route({
+    method: "POST", path: "/ingest/netsuite/run", id: "ingestNetSuite", tag: "ingest", role: "operator",
+    summary: "One SuiteQL pass (up to MAX_PAGES_PER_RUN pages) of NetSuite sales orders modified since the last one",
+    query: {
+      days: { ...pDays(90), description: "First run (or reset): start this many days back" },
+      reset: pFlag("Clear the lastmodifieddate mark first"),
+    },
+    // runChannelIngest reads the raw params itself
+    handler: async ({ env, url }) => {
+      if (!parseNetSuite(env)) return json({ ok: false, error: "NETSUITE is not configured" }, 400);
+      return runChannelIngest(env, NETSUITE_ADAPTER, url.searchParams);
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/ingest/runs", id: "ingestRuns", tag: "ingest", role: "operator", db: true,
+    summary: "Ingest/transform/bulk/cron run history, plus the last error-free ingest per store",
+    query: {
+      store: P_STORE,
+      kind: { type: "string", enum: ["ingest", "transform", "bulk", "cron", "products", "inventory"] },
+      trigger: { type: "string", enum: ["cron", "manual", "backfill"] },
+      limit: pLimit(50),
+    },
+    handler: async ({ q, client }) => {
+      const runs = await queryRows(client, `
+        SELECT * FROM ingest_runs
+        WHERE ($1::text IS NULL OR store = $1)
+          AND ($2::text IS NULL OR kind = $2)
+          AND ($3::text IS NULL OR trigger = $3)
+        ORDER BY started_at DESC, id DESC
+        LIMIT $4
+      `, [q.store || null, q.kind || null, q.trigger || null, q.limit]);
+      const lastOk = await queryRows(client, `
+        SELECT DISTINCT ON (store) store, finished_at, trigger, mode, pages, orders
+        FROM ingest_runs
+        WHERE kind = 'ingest' AND error IS NULL
+          AND ($1::text IS NULL OR store = $1)
+        ORDER BY store, finished_at DESC
+      `, [q.store || null]);
+      return { runs, last_ok: lastOk };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/webhooks/shopify/*", id: "shopifyWebhook", tag: "ingest", role: null,
+    summary: "Shopify webhook receiver (orders/create|updated|cancelled, refunds/create), HMAC-verified per store",
+    handler: async ({ req, env, path }) => handleShopifyWebhook(req, env, path.rest),
+  }),
+
+  /* ── KPIs: days=N or from/to (report-tz dates), compare=previous_period|previous_year ── */
+  route({
+    method: "GET", path: "/api/kpis/daily", id: "kpisDaily", tag: "kpis", role: "viewer", db: true,
+    summary: "Daily KPIs by store (v_daily_kpis_by_store) with per-store totals",
+    query: { days: pDays(14), from: P_FROM, to: P_TO, compare: P_COMPARE, store: P_STORE },
+    handler: async ({ env, q, client }) => dailyKpis(client, env, "v_daily_kpis_by_store", DAILY_METRICS, q),
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/sales", id: "kpisSales", tag: "kpis", role: "viewer", db: true,
+    summary: "Sales by store by day (v_sales_by_store_daily) with per-store totals",
+    query: { days: pDays(14), from: P_FROM, to: P_TO, compare: P_COMPARE, store: P_STORE },
+    handler: async ({ env, q, client }) => dailyKpis(client, env, "v_sales_by_store_daily", SALES_METRICS, q),
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/rolling", id: "kpisRolling", tag: "kpis", role: "viewer", db: true,
+    summary: "Rolling 7/30-day KPIs as of a day (default today)",
+    query: { to: { ...P_TO, description: "As-of day (YYYY-MM-DD); defaults to today" }, compare: P_COMPARE },
+    handler: async ({ env, q, client }) => {
+      const asOf = q.to || todayIn(reportTz(env));
+      const load = (day: string) =>
+        queryRows(client, `SELECT * FROM kpis_rolling_7_30($1::date) ORDER BY shop_domain`, [day]);
+      const rows = await load(asOf);
+      // the period is the 30-day window, so previous_period is the 30 days before it
+      const cmp = comparePeriod({ from: addDays(asOf, -30), to: asOf }, q.compare);
+      if (!cmp) return { as_of: asOf, rows };
+      return {
+        as_of: asOf,
+        rows: attachCompare(rows, await load(cmp.to), (r) => r.shop_domain, ROLLING_METRICS),
+        compare: { mode: q.compare, as_of: cmp.to },
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/summary", id: "kpisSummary", tag: "kpis", role: "viewer", db: true,
+    summary: "Store summary: a day (default yesterday) vs its prior 7-day average",
+    query: { to: { ...P_TO, description: "Day to summarize (YYYY-MM-DD); defaults to yesterday" }, compare: P_COMPARE },
+    handler: async ({ env, q, client }) => {
+      const day = q.to || addDays(todayIn(reportTz(env)), -1);
+      const load = (d: string) =>
+        queryRows(client, `SELECT * FROM store_summary_vs_prev7($1::date) ORDER BY shop_domain`, [d]);
+      const rows = await load(day);
+      const cmp = comparePeriod({ from: day, to: day }, q.compare);
+      if (!cmp) return { day, rows };
+      return {
+        day,
+        rows: attachCompare(rows, await load(cmp.to), (r) => r.shop_domain, SUMMARY_METRICS),
+        compare: { mode: q.compare, day: cmp.to },
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/top-skus", id: "kpisTopSkus", tag: "kpis", role: "viewer", db: true,
+    summary: "Best SKUs (or vendors / product types) in the period by revenue, profit, margin or units, with refunds, cost and margin",
+    query: {
+      days: pDays(30), from: P_FROM, to: P_TO, compare: P_COMPARE, store: P_STORE,
+      limit: pLimit(50), include365: pFlag("Add 365-day columns (ending at to)"), sort: P_SKU_SORT,
+      group_by: P_SKU_GROUP, vendor: P_VENDOR,
+    },
+    handler: async ({ env, q, client }) => skuKpis(client, env, q, "DESC"),
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/bottom-skus", id: "kpisBottomSkus", tag: "kpis", role: "viewer", db: true,
+    summary: "Worst SKUs (or vendors / product types) in the period by revenue, profit, margin or units, with refunds, cost and margin",
+    query: {
+      days: pDays(30), from: P_FROM, to: P_TO, compare: P_COMPARE, store: P_STORE,
+      limit: pLimit(50), include365: pFlag("Add 365-day columns (ending at to)"), sort: P_SKU_SORT,
+      group_by: P_SKU_GROUP, vendor: P_VENDOR,
+    },
+    handler: async ({ env, q, client }) => skuKpis(client, env, q, "ASC"),
+  }),
+
+  route({
+    method: "GET", path: "/api/catalog/vendors", id: "catalogVendors", tag: "catalog", role: "viewer", db: true,
+    summary: "Vendors in the synced catalog with product / variant counts (values for vendor=)",
+    query: { store: P_STORE },
+    handler: async ({ q, client }) => {
+      const vendors = await queryRows(client, `
+        SELECT p.vendor,
+               COUNT(DISTINCT (p.shop_id, p.product_id))::int AS products,
+               COUNT(pv.variant_id)::int                      AS variants,
+               array_agg(DISTINCT sh.domain ORDER BY sh.domain) AS stores
+        FROM products p
+        JOIN shops sh ON sh.id = p.shop_id
+        LEFT JOIN product_variants pv ON pv.shop_id = p.shop_id AND pv.product_id = p.product_id
+        WHERE p.vendor IS NOT NULL
+          AND ($1::text = '' OR sh.domain = $1)
+        GROUP BY 1
+        ORDER BY 1
+      `, [q.store]);
+      return { store: q.store || "all", vendors };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/repeat-rates", id: "kpisRepeatRates", tag: "kpis", role: "viewer", db: true,
+    summary: "Customer repeat rates by store and across all stores (all time, or among customers who ordered in from/to)",
+    query: { from: P_FROM, to: P_TO, compare: P_COMPARE },
+    handler: async ({ env, q, client }) => {
+      if (!q.from && !q.to) {
+        if (q.compare) return json({ ok: false, error: "compare needs from and/or to" }, 400);
+        return {
+          rows: await queryRows(client, `SELECT * FROM v_customer_repeat_rates ORDER BY shop_domain`),
+          all_stores: (await queryRows(client, `SELECT * FROM v_customer_repeat_rates_all`))[0] ?? null,
+        };
+      }
+      const period = resolvePeriod(env, q);
+      if ("error" in period) return json({ ok: false, error: period.error }, 400);
+      const rows = await queryRows(client, REPEAT_RATES_SQL, [period.from, period.to]);
+      const all = await queryRows(client, REPEAT_RATES_ALL_SQL, [period.from, period.to]);
+      const cmp = comparePeriod(period, q.compare);
+      if (!cmp) return { period, rows, all_stores: all[0] ?? null };
+      const withCompare = (cur: Record<string, any>[], prev: Record<string, any>[]) =>
+        attachCompare(cur, prev, (r) => r.shop_domain, ["total_customers", "repeat_customers"], ["repeat_rate"]);
+      return {
+        period,
+        rows: withCompare(rows, await queryRows(client, REPEAT_RATES_SQL, [cmp.from, cmp.to])),
+        all_stores: withCompare(all, await queryRows(client, REPEAT_RATES_ALL_SQL, [cmp.from, cmp.to]))[0] ?? null,
+        compare: { mode: q.compare, period: cmp },
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/cohorts", id: "kpisCohorts", tag: "kpis", role: "viewer", db: true,
+    summary: "Cohort retention matrix: customers, retention and cumulative revenue per customer by months since first order",
+    query: {
+      months: { type: "int", default: 12, min: 1, max: 36, description: "Monthly cohorts to include, newest last" },
+      store: P_STORE,
+    },
+    handler: async ({ env, q, client }) => {
+      const rows = await queryRows(client, COHORT_RETENTION_SQL, [q.months, q.store]);
+      return { months: q.months, store: q.store || "all", cohorts: cohortMatrix(rows, todayIn(reportTz(env))) };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/kpis/waterfall", id: "kpisWaterfall", tag: "kpis", role: "viewer", db: true,
+    summary: "Gross → discounts → refunds → net, then shipping, tax and fees, per store and in total",
+    query: { days: pDays(30), from: P_FROM, to: P_TO, compare: P_COMPARE, store: P_STORE },
+    handler: async ({ env, q, client }) => {
+      const period = resolvePeriod(env, q);
+      if ("error" in period) return json({ ok: false, error: period.error }, 400);
+      const load = async (p: Period) => {
+        const rows = await queryRows(client, WATERFALL_SQL, [p.from, p.to, q.store]);
+        const total: Record<string, number> = {};
+        for (const m of [...WATERFALL_METRICS, "orders_without_breakdown"]) {
+          total[m] = Math.round(rows.reduce((sum, r) => sum + Number(r[m] ?? 0), 0) * 100) / 100;
+        }
+        return { rows, total };
+      };
+
+      const cur = await load(period);
+      const out = { period, rows: cur.rows, total: cur.total, steps: waterfallSteps(cur.total) };
+      const cmp = comparePeriod(period, q.compare);
+      if (!cmp) return out;
+      const prev = await load(cmp);
+      return {
+        ...out,
+        rows: attachCompare(cur.rows, prev.rows, (r) => r.shop_domain, WATERFALL_METRICS),
+        total: attachCompare([cur.total], [prev.total], () => "all", WATERFALL_METRICS)[0],
+        compare: { mode: q.compare, period: cmp, steps: waterfallSteps(prev.total) },
+      };
+    },
+  }),
+
+  /* ── Metrics: range=30d&shop=all|{shop_id}, built on the v_* views ── */
+  route({
+    method: "GET", path: "/api/metrics/revenue_trend", id: "metricsRevenueTrend", tag: "metrics", role: "viewer", db: true,
+    summary: "Daily gross / refunded / net revenue (every day in the range, zeros included)",
+    query: { range: P_RANGE, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const points = await queryRows(client, `
+        ${METRIC_DAYS_CTE}
+        SELECT d.day_mt::text AS date,
+               COALESCE(SUM(v.orders),0)::int             AS orders,
+               COALESCE(SUM(v.revenue),0)::float8         AS revenue,
+               COALESCE(SUM(v.refunded_revenue),0)::float8 AS refunded_revenue,
+               COALESCE(SUM(v.net_revenue),0)::float8     AS net_revenue
+        FROM days d
+        LEFT JOIN v_sales_by_store_daily v
+          ON v.day_mt = d.day_mt AND ($2::int IS NULL OR v.shop_id = $2)
+        GROUP BY d.day_mt
+        ORDER BY d.day_mt
+      `, [q.range, shop.id]);
+      return { range_days: q.range, shop: shop.domain ?? "all", points };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/orders_trend", id: "metricsOrdersTrend", tag: "metrics", role: "viewer", db: true,
+    summary: "Daily orders and units (every day in the range, zeros included)",
+    query: { range: P_RANGE, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const points = await queryRows(client, `
+        ${METRIC_DAYS_CTE}
+        SELECT d.day_mt::text AS date,
+               COALESCE(SUM(v.orders),0)::int AS orders,
+               COALESCE(SUM(v.units),0)::int  AS units
+        FROM days d
+        LEFT JOIN v_sales_by_store_daily v
+          ON v.day_mt = d.day_mt AND ($2::int IS NULL OR v.shop_id = $2)
+        GROUP BY d.day_mt
+        ORDER BY d.day_mt
+      `, [q.range, shop.id]);
+      return { range_days: q.range, shop: shop.domain ?? "all", points };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/aov", id: "metricsAov", tag: "metrics", role: "viewer", db: true,
+    summary: "Average order value over the range, plus the daily series",
+    query: { range: P_RANGE, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const points = await queryRows(client, `
+        ${METRIC_DAYS_CTE}
+        SELECT d.day_mt::text AS date,
+               COALESCE(SUM(v.orders),0)::int     AS orders,
+               COALESCE(SUM(v.revenue),0)::float8 AS revenue,
+               (SUM(v.revenue) / NULLIF(SUM(v.orders),0))::float8 AS aov
+        FROM days d
+        LEFT JOIN v_aov_by_store_daily v
+          ON v.day_mt = d.day_mt AND ($2::int IS NULL OR v.shop_id = $2)
+        GROUP BY d.day_mt
+        ORDER BY d.day_mt
+      `, [q.range, shop.id]);
+      const orders = points.reduce((a: number, p: any) => a + p.orders, 0);
+      const revenue = points.reduce((a: number, p: any) => a + p.revenue, 0);
+      return { range_days: q.range, shop: shop.domain ?? "all", orders, revenue, aov: orders ? revenue / orders : null, points };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/returning_rate", id: "metricsReturningRate", tag: "metrics", role: "viewer", db: true,
+    summary: "Share of orders from returning customers over the range, plus the daily series",
+    query: { range: { ...P_RANGE, default: "90d" }, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const points = await queryRows(client, `
+        ${METRIC_DAYS_CTE}
+        SELECT d.day_mt::text AS date,
+               COALESCE(SUM(v.new_orders),0)::int       AS new_orders,
+               COALESCE(SUM(v.returning_orders),0)::int AS returning_orders
+        FROM days d
+        LEFT JOIN v_new_returning_by_store_daily v
+          ON v.day_mt = d.day_mt AND ($2::int IS NULL OR v.shop_id = $2)
+        GROUP BY d.day_mt
+        ORDER BY d.day_mt
+      `, [q.range, shop.id]);
+      const newOrders = points.reduce((a: number, p: any) => a + p.new_orders, 0);
+      const returning = points.reduce((a: number, p: any) => a + p.returning_orders, 0);
+      return {
+        range_days: q.range,
+        shop: shop.domain ?? "all",
+        new_orders: newOrders,
+        returning_orders: returning,
+        rate: newOrders + returning ? returning / (newOrders + returning) : null,
+        points,
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/top_products", id: "metricsTopProducts", tag: "metrics", role: "viewer", db: true,
+    summary: "Top SKUs by revenue over the range (summed across stores for shop=all)",
+    query: { range: P_RANGE, shop: P_SHOP, limit: pLimit(10, 100) },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const items = await queryRows(client, `
+        SELECT oi.sku,
+               MAX(oi.title)                   AS title,
+               SUM(oi.qty)::int                AS units,
+               SUM(oi.line_total)::float8      AS revenue,
+               COUNT(DISTINCT oi.order_id)::int AS orders
+        FROM v_order_items_enriched oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE o.placed_at >= ((${TODAY_SQL} - $1::int)::timestamp AT TIME ZONE ${TZ_SQL})
+          AND ($2::int IS NULL OR o.shop_id = $2)
+        GROUP BY oi.sku
+        ORDER BY revenue DESC NULLS LAST
+        LIMIT $3
+      `, [q.range, shop.id, q.limit]);
+      return { range_days: q.range, shop: shop.domain ?? "all", items };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/channel_margin", id: "metricsChannelMargin", tag: "metrics", role: "viewer", db: true,
+    summary: "Revenue, landed cost and margin per sales channel over the range",
+    query: { range: P_RANGE, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const channels = await queryRows(client, `
+        SELECT channel,
+               SUM(revenue)::float8               AS revenue,
+               SUM(cost)::float8                  AS cost,
+               (SUM(revenue) - SUM(cost))::float8 AS margin,
+               ((SUM(revenue) - SUM(cost)) / NULLIF(SUM(revenue),0))::float8 AS margin_pct,
+               SUM(lines_without_cost)::int       AS lines_without_cost
+        FROM v_channel_margin_daily
+        WHERE day_mt >= ${TODAY_SQL} - $1::int
+          AND ($2::int IS NULL OR shop_id = $2)
+        GROUP BY channel
+        ORDER BY revenue DESC
+      `, [q.range, shop.id]);
+      return { range_days: q.range, shop: shop.domain ?? "all", channels };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/low_stock", id: "metricsLowStock", tag: "metrics", role: "viewer", db: true,
+    summary: "SKUs whose latest inventory snapshot is at or below the threshold",
+    query: {
+      threshold: { type: "int", default: 10, min: 0, max: 100000, description: "Max on_hand to report" },
+      shop: P_SHOP,
+      limit: pLimit(100),
+    },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const items = await queryRows(client, `
+        WITH ${INVENTORY_NOW_CTE}
+        SELECT n.sku, s.domain AS shop_domain, n.on_hand, n.available, n.committed, n.backordered,
+               n.locations, n.updated_at
+        FROM inventory_now n
+        LEFT JOIN shops s ON s.id = n.shop_id
+        WHERE n.on_hand <= $1
+        ORDER BY n.on_hand, n.sku
+        LIMIT $3
+      `, [q.threshold, shop.id, q.limit]);
+      return { threshold: q.threshold, shop: shop.domain ?? "all", items };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/inventory/cover", id: "inventoryCover", tag: "inventory", role: "viewer", db: true,
+    summary: "Days of cover per SKU (stock on hand vs trailing sales velocity), with stockout risk and dead stock",
+    query: {
+      shop: P_SHOP,
+      range: { ...P_RANGE, max: 365, description: "Sales velocity window: 30d, 12w, 6m" },
+      lead_days: { type: "int", default: 14, min: 1, max: 180, description: "Less cover than this is at_risk" },
+      dead_days: { type: "int", default: 90, min: 7, max: 730, description: "Stock with no sale in this many days is dead" },
+      status: { type: "string", enum: ["all", ...INVENTORY_STATUS], default: "all", description: "Only SKUs in this state" },
+      limit: pLimit(200, 2000),
+    },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const rows = await queryRows(client, INVENTORY_COVER_SQL, [q.range, shop.id, q.lead_days, q.dead_days]);
+
+      const summary = Object.fromEntries(INVENTORY_STATUS.map((st) => [st, { skus: 0, on_hand: 0, stock_value: 0 }]));
+      for (const r of rows) {
+        const b = summary[r.status];
+        b.skus++;
+        b.on_hand += Number(r.on_hand) || 0;
+        b.stock_value += Number(r.stock_value) || 0;
+      }
+      for (const b of Object.values(summary)) b.stock_value = Math.round(b.stock_value * 100) / 100;
+      const last = await queryRows(client, `
+        SELECT MAX(snapshot_date)::text AS snapshot_date FROM inventory_snapshots WHERE ($1::int IS NULL OR shop_id = $1)
+      `, [shop.id]);
+
+      const items = (q.status === "all" ? rows : rows.filter((r) => r.status === q.status)).slice(0, q.limit);
+      return {
+        shop: shop.domain ?? "all", range_days: q.range, lead_days: q.lead_days, dead_days: q.dead_days,
+        snapshot_date: last[0]?.snapshot_date ?? null, summary, items,
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/inventory/reorder", id: "inventoryReorder", tag: "inventory", role: "viewer", db: true,
+    summary: "Suggested reorder quantity per SKU from sales velocity, stock available, open PO quantity and lead time",
+    query: {
+      shop: P_SHOP,
+      range: { ...P_RANGE, max: 365, description: "Sales velocity window: 30d, 12w, 6m" },
+      lead_days: { type: "int", default: 14, min: 0, max: 180, description: "Supplier lead time in days" },
+      cover_days: { type: "int", default: 30, min: 0, max: 365, description: "Days of sales to have on hand once the order lands" },
+      vendor: { ...P_VENDOR, description: "Only SKUs whose PO vendor or catalog vendor matches (case-insensitive)" },
+      all: pFlag("Include SKUs that need no reorder"),
+      limit: pLimit(200, 2000),
+    },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const rows = await queryRows(client, INVENTORY_REORDER_SQL, [q.range, shop.id, q.lead_days, q.cover_days, q.vendor || ""]);
+      const reorder = rows.filter((r) => r.suggested_qty > 0);
+      const lastImport = await queryRows(client, `
+        SELECT id, filename, lines, replaced, created_at FROM purchase_order_imports ORDER BY id DESC LIMIT 1
+      `);
+      return {
+        shop: shop.domain ?? "all", range_days: q.range, lead_days: q.lead_days, cover_days: q.cover_days,
+        vendor: q.vendor || null, last_po_import: lastImport[0] ?? null,
+        totals: {
+          skus: reorder.length,
+          units: reorder.reduce((a, r) => a + r.suggested_qty, 0),
+          cost: Math.round(reorder.reduce((a, r) => a + (Number(r.suggested_cost) || 0), 0) * 100) / 100,
+          uncosted_skus: reorder.filter((r) => r.suggested_cost == null).length,
+        },
+        items: (q.all ? rows : reorder).slice(0, q.limit),
+      };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/inventory/purchase-orders", id: "inventoryPurchaseOrders", tag: "inventory", role: "viewer", db: true,
+    summary: "Imported purchase order lines (open by default), soonest expected first",
+    query: {
+      sku: { type: "string", description: "Only this SKU" },
+      vendor: { ...P_VENDOR, description: "Only this PO vendor (case-insensitive)" },
+      status: { type: "string", enum: ["open", "closed", "all"], default: "open" },
+      limit: pLimit(200, 2000),
+    },
+    handler: async ({ q, client }) => {
+      const lines = await queryRows(client, `
+        SELECT l.id, l.po_number, l.vendor, l.sku, l.quantity, l.quantity_received,
+               GREATEST(l.quantity - l.quantity_received, 0) AS open_qty,
+               l.unit_cost, l.order_date, l.expected_date, l.status, l.import_id, l.closed_at,
+               (l.status = 'open' AND COALESCE(l.expected_date < ${TODAY_SQL}, false)) AS overdue
+        FROM purchase_order_lines l
+        WHERE ($1 = 'all' OR l.status = $1)
+          AND ($2 = '' OR l.sku = $2)
+          AND ($3 = '' OR lower(l.vendor) = lower($3))
+        ORDER BY l.expected_date NULLS LAST, l.po_number, l.sku
+        LIMIT $4
+      `, [q.status, q.sku || "", q.vendor || "", q.limit]);
+      return { status: q.status, lines };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/metrics/cohorts", id: "metricsCohorts", tag: "metrics", role: "viewer", db: true,
+    summary: "Monthly customer cohorts: active customers by months since first order (first order at any store for shop=all)",
+    query: { months: { type: "int", default: 6, min: 1, max: 24, description: "Cohorts to include (and max offset)" }, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      // across all stores a customer's cohort is their first order anywhere, and they count once per month
+      const perStore = shop.id != null;
+      const points = await queryRows(client, `
+        SELECT to_char(cohort_month, 'YYYY-MM') AS cohort,
+               offset_month,
+               SUM(active)::int AS active
+        FROM ${perStore ? "v_customer_cohort_activity" : "v_customer_cohort_activity_all"}
+        WHERE cohort_month >= (date_trunc('month', ${TODAY_SQL}) - ($1::int || ' months')::interval)::date
+          AND offset_month <= $1
+          ${perStore ? "AND shop_id = $2" : ""}
+        GROUP BY 1, 2
+        ORDER BY 1, 2
+      `, perStore ? [q.months, shop.id] : [q.months]);
+      return { months: q.months, shop: shop.domain ?? "all", points };
+    },
+  }),
+
+  /* ── Customers: LTV + RFM (range=365d&shop=all|{shop_id}) ── */
+  route({
+    method: "GET", path: "/api/customers/segments", id: "customersSegments", tag: "customers", role: "viewer", db: true,
+    summary: "RFM segments per store: customers, orders, revenue and share of store revenue",
+    query: { range: { ...P_RANGE, default: "365d", max: 1825 }, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const rows = await queryRows(client, `
+        WITH ${CUSTOMER_RFM_CTE}
+        SELECT
+          shop_domain,
+          segment,
+          COUNT(*)::int                          AS customers,
+          SUM(orders)::int                       AS orders,
+          SUM(revenue)::numeric(20,2)            AS revenue,
+          ROUND(SUM(revenue) / NULLIF(SUM(SUM(revenue)) OVER (PARTITION BY shop_domain), 0), 4) AS revenue_share,
+          ROUND(AVG(recency_days))::int          AS avg_recency_days,
+          ROUND(SUM(revenue) / NULLIF(COUNT(*), 0), 2) AS revenue_per_customer
+        FROM rfm
+        GROUP BY 1, 2
+        ORDER BY 1, array_position($3::text[], segment)
+      `, [q.range, shop.id, SEGMENT_ORDER]);
+      const totals = totalsBy(rows, "segment", ["customers", "orders", "revenue"])
+        .sort((a, b) => SEGMENT_ORDER.indexOf(a.segment) - SEGMENT_ORDER.indexOf(b.segment));
+      return { range_days: q.range, shop: shop.domain ?? "all", segments: SEGMENT_ORDER, rows, totals };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/customers/top", id: "customersTop", tag: "customers", role: "operator", db: true,
+    summary: "Best accounts over the range (name, company, email, stores, orders, revenue, RFM segment, lifetime value)",
+    query: {
+      range: { ...P_RANGE, default: "365d", max: 1825 },
+      shop: P_SHOP,
+      limit: pLimit(50),
+      sort: { type: "string", enum: Object.keys(CUSTOMER_SORT), default: "revenue", description: "revenue, orders, recent or ltv" },
+      segment: { type: "string", enum: SEGMENT_ORDER, description: "Only customers in this segment" },
+    },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const customers = await queryRows(client, `
+        WITH ${CUSTOMER_RFM_CTE},
+        per AS (
+          SELECT
+            r.customer_id,
+            array_agg(r.shop_domain ORDER BY r.revenue DESC)  AS stores,
+            SUM(r.orders)::int                                AS orders,
+            SUM(r.revenue)::numeric(20,2)                     AS revenue,
+            MIN(r.first_order)                                AS first_order,
+            MAX(r.last_order)                                 AS last_order,
+            MIN(r.recency_days)                               AS recency_days,
+            (array_agg(r.segment ORDER BY r.revenue DESC))[1] AS segment   -- in the store they spend most at
+          FROM rfm r
+          GROUP BY 1
+        )
+        SELECT
+          c.id AS customer_id, c.email, c.first_name, c.last_name, c.company,
+          p.stores, p.orders, p.revenue,
+          ROUND(p.revenue / NULLIF(p.orders, 0), 2) AS aov,
+          p.first_order, p.last_order, p.recency_days, p.segment,
+          c.lifetime_value, c.order_count AS lifetime_orders
+        FROM per p
+        JOIN customers c ON c.id = p.customer_id
+        WHERE ($3::text = '' OR p.segment = $3)
+        ORDER BY ${CUSTOMER_SORT[q.sort as keyof typeof CUSTOMER_SORT]}
+        LIMIT $4
+      `, [q.range, shop.id, q.segment, q.limit]);
+      return { range_days: q.range, shop: shop.domain ?? "all", sort: q.sort, customers };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/customers/cross-shop", id: "customersCrossShop", tag: "customers", role: "viewer", db: true,
+    summary: "Cross-shopping: customers by number of stores bought from, shared customers per store pair, cross-shop rate per store",
+    query: { range: { ...P_RANGE, default: "365d", max: 1825 } },
+    handler: async ({ q, client }) => {
+      const by_store_count = await queryRows(client, `
+        WITH ${CROSS_SHOP_CTE},
+        per_customer AS (
+          SELECT customer_id, MAX(store_count) AS stores, SUM(orders) AS orders, SUM(revenue) AS revenue
+          FROM spread GROUP BY 1
+        )
+        SELECT
+          stores,
+          COUNT(*)::int                  AS customers,
+          SUM(orders)::int               AS orders,
+          SUM(revenue)::numeric(20,2)    AS revenue,
+          ROUND(SUM(revenue) / NULLIF(SUM(SUM(revenue)) OVER (), 0), 4) AS revenue_share
+        FROM per_customer
+        GROUP BY 1
+        ORDER BY 1
+      `, [q.range]);
+      const stores = await queryRows(client, `
+        WITH ${CROSS_SHOP_CTE}
+        SELECT
+          shop_domain,
+          COUNT(*)::int                                          AS customers,
+          COUNT(*) FILTER (WHERE store_count > 1)::int           AS cross_shoppers,
+          ROUND(COUNT(*) FILTER (WHERE store_count > 1)::numeric / NULLIF(COUNT(*), 0), 4) AS cross_shop_rate,
+          COALESCE(SUM(revenue) FILTER (WHERE store_count > 1), 0)::numeric(20,2)         AS cross_shopper_revenue
+        FROM spread
+        GROUP BY 1
+        ORDER BY 1
+      `, [q.range]);
+      const pairs = await queryRows(client, `
+        WITH ${CROSS_SHOP_CTE}
+        SELECT a.shop_domain AS store_a, b.shop_domain AS store_b, COUNT(*)::int AS shared_customers
+        FROM spread a
+        JOIN spread b ON b.customer_id = a.customer_id AND b.shop_domain > a.shop_domain
+        WHERE a.store_count > 1
+        GROUP BY 1, 2
+        ORDER BY 3 DESC, 1, 2
+      `, [q.range]);
+      const customers = by_store_count.reduce((n, r) => n + r.customers, 0);
+      const cross = by_store_count.filter((r) => r.stores > 1).reduce((n, r) => n + r.customers, 0);
+      return {
+        range_days: q.range,
+        totals: { customers, cross_shoppers: cross, cross_shop_rate: customers ? Number((cross / customers).toFixed(4)) : 0 },
+        by_store_count,
+        stores,
+        pairs,
+      };
+    },
+  }),
+
+  /* ── Admin ── */
+  route({
+    method: "POST", path: "/api/admin/backfill", id: "adminBackfill", tag: "admin", role: "operator",
+    summary: "Queue a REST backfill job per store (cron advances them), or start a GraphQL bulk export (mode=bulk)",
+    query: {
+      days: pDays(365),
+      store: P_STORE,
+      hard_reset: pFlag("Clear the store's cursor (its updated mark on updated-only channels) before queueing (REST mode)"),
+      mode: { type: "string", enum: ["rest", "bulk"], default: "rest" },
+    },
+    handler: async ({ env, ctx, q }) => {
+      if (q.mode === "bulk") {
+        const res = await startBulkBackfill(env, { days: q.days, store: q.store });
+        return { mode: "bulk", ...res };
+      }
+
+      const res = await queueBackfill(env, { days: q.days, store: q.store, hardReset: q.hard_reset });
+      // take the first step now instead of waiting for the next cron tick
+      ctx.waitUntil(
+        advanceBackfillJobs(env)
+          .then((r) => log("jobs:kick", r))
+          .catch((e) => log("jobs:error", e?.message || String(e)))
+      );
+      return res;
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/admin/jobs", id: "adminJobs", tag: "admin", role: "operator", db: true,
+    summary: "Backfill jobs, newest first",
+    query: {
+      status: { type: "string", enum: ["queued", "running", "done", "failed"] },
+      store: P_STORE,
+      limit: pLimit(50),
+    },
+    handler: async ({ q, client }) => {
+      const rows = await queryRows(client, `
+        SELECT * FROM backfill_jobs
+        WHERE ($1::text IS NULL OR status = $1)
+          AND ($2::text IS NULL OR store = $2)
+        ORDER BY id DESC
+        LIMIT $3
+      `, [q.status || null, q.store || null, q.limit]);
+      return { jobs: rows };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/admin/jobs/:id", id: "adminJob", tag: "admin", role: "operator", db: true,
+    summary: "One backfill job",
+    handler: async ({ path, client }) => {
+      if (!/^\d+$/.test(path.id)) return json({ ok: false, error: "id must be an integer" }, 400);
+      const rows = await queryRows(client, `SELECT * FROM backfill_jobs WHERE id = $1`, [Number(path.id)]);
+      if (!rows.length) return json({ ok: false, error: "job not found" }, 404);
+      return { job: rows[0] };
+    },
+  }),
+
+  route({
+    method: "GET", path: "/api/admin/backfill/status", id: "adminBulkStatus", tag: "admin", role: "operator", db: true,
+    summary: "Bulk export state per store (by job id, bulk operation gid, or store)",
+    query: {
+      id: { type: "string", description: "backfill_jobs id or BulkOperation gid" },
+      store: P_STORE,
+    },
+    handler: async ({ q, client }) => {
+      const channelId = await getOrCreateShopifyChannelId(client);
+      const jobs = await listBulkStates(client, channelId);
+      const rows = jobs.filter((j) => (!q.id || j.id === q.id || String(j.job_id) === q.id) && (!q.store || j.store === q.store));
+      if (q.id && !rows.length) return json({ ok: false, error: "job not found" }, 404);
+      return { jobs: rows };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/transform", id: "adminTransform", tag: "admin", role: "operator",
+    summary: "Transform staging_raw → customers/orders/order_items/refunds",
+    query: { full: pFlag("Reprocess all of staging_raw instead of rows since the last mark") },
+    handler: async ({ env, q }) => runTransform(env, { full: q.full }),
+  }),
+
+  route({
+    method: "GET", path: "/api/admin/migrate/status", id: "adminMigrateStatus", tag: "admin", role: "operator",
+    summary: "Schema version: applied and pending migrations, and applied ones whose SQL has changed",
+    handler: async ({ env }) => {
+      const client = await getClient(env, { migrating: true });
+      try {
+        return await migrationStatus(client);
+      } finally {
+        await client.release();
+      }
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/migrate", id: "adminMigrate", tag: "admin", role: "admin",
+    summary: "Apply pending schema migrations in order (idempotent; adopts a database that predates schema_migrations)",
+    query: { dry_run: pFlag("Only report what would be applied") },
+    handler: async ({ env, q }) => {
+      const client = await getClient(env, { migrating: true });
+      try {
+        if (q.dry_run) return { dry_run: true, ...(await migrationStatus(client)) };
+        const { applied } = await runMigrations(client);
+        const { version, latest, modified } = await migrationStatus(client);
+        return { migrated: applied, version, latest, modified };
+      } finally {
+        await client.release();
+      }
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/costs/upload", id: "adminCostsUpload", tag: "admin", role: "admin",
+    summary: "Import a COGS CSV (sku,cost,effective_from[,effective_to]) into sku_costs and re-cost those SKUs",
+    query: {
+      dry_run: pFlag("Validate only; report valid rows and row-level errors without writing"),
+      skip_invalid: pFlag("Import the valid rows even if some rows fail validation"),
+    },
+    handler: async ({ req, env, q }) => {
+      const { rows, errors } = parseCostsCsv(await req.text());
+      if (q.dry_run) return { dry_run: true, valid: rows.length, errors };
+      if (errors.length && !q.skip_invalid) {
+        return json({ ok: false, error: `${errors.length} invalid row(s); nothing imported`, valid: rows.length, errors }, 400);
+      }
+      if (!rows.length) return json({ ok: false, error: "no cost rows in body", errors }, 400);
+      return { ...(await importSkuCosts(env, rows)), skipped: errors.length, errors };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/purchase-orders/upload", id: "adminPurchaseOrdersUpload", tag: "admin", role: "operator",
+    summary: "Import a NetSuite purchase order export (CSV: item, quantity[, expected receipt date, PO number, vendor, rate])",
+    query: {
+      dry_run: pFlag("Validate only; report valid rows and row-level errors without writing"),
+      skip_invalid: pFlag("Import the valid rows even if some rows fail validation (not with replace)"),
+      replace: pFlag("The file is the whole open-PO list: close every open line not in it"),
+      filename: { type: "string", description: "Recorded with the import" },
+    },
+    handler: async ({ req, env, q }) => {
+      const { rows, errors } = parsePurchaseOrdersCsv(await req.text());
+      if (q.dry_run) return { dry_run: true, valid: rows.length, errors };
+      // replace closes every open line missing from the file, so a skipped row would silently close its PO line
+      if (errors.length && (!q.skip_invalid || q.replace)) {
+        const why = q.skip_invalid ? "replace needs a file without invalid rows" : "nothing imported";
+        return json({ ok: false, error: `${errors.length} invalid row(s); ${why}`, valid: rows.length, errors }, 400);
+      }
+      if (!rows.length) return json({ ok: false, error: "no purchase order lines in body", errors }, 400);
+      return { ...(await importPurchaseOrders(env, rows, { replace: q.replace, filename: q.filename })), skipped: errors.length, errors };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/netsuite/upload", id: "adminNetSuiteUpload", tag: "admin", role: "operator",
+    summary: "Stage a NetSuite sales order saved-search export (CSV, one row per line: document number, date, item, quantity, rate/amount)",
+    query: {
+      dry_run: pFlag("Validate only; report valid rows and row-level errors without writing"),
+      skip_invalid: pFlag("Stage the valid rows even if some rows fail validation"),
+      filename: { type: "string", description: "Recorded with the run" },
+    },
+    handler: async ({ req, env, q }) => {
+      const { rows, errors } = parseNetSuiteOrdersCsv(await req.text());
+      if (q.dry_run) return { dry_run: true, valid: rows.length, orders: groupNsLines(rows).length, errors };
+      if (errors.length && !q.skip_invalid) {
+        return json({ ok: false, error: `${errors.length} invalid row(s); nothing staged`, valid: rows.length, errors }, 400);
+      }
+      if (!rows.length) return json({ ok: false, error: "no sales order lines in body", errors }, 400);
+      return { ...(await importNetSuiteOrders(env, rows, q.filename)), skipped: errors.length, errors };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/costs/recompute", id: "adminCostsRecompute", tag: "admin", role: "admin", db: true,
+    summary: "Re-apply sku_costs to order_items.landed_cost_alloc for orders in the range",
+    query: { range: { ...P_RANGE, default: "365d", max: 3650 }, shop: P_SHOP },
+    handler: async ({ env, q, client }) => {
+      const shop = await resolveShop(client, q.shop);
+      if ("error" in shop) return json({ ok: false, error: shop.error }, 400);
+      const updated = await allocateLandedCosts(client,
+        `o.placed_at >= ((${TODAY_SQL} - $1::int)::timestamp AT TIME ZONE ${TZ_SQL}) AND ($2::int IS NULL OR o.shop_id = $2)`,
+        [q.range, shop.id]
+      );
+      log("costs:recompute", { range_days: q.range, shop: shop.domain ?? "all", updated });
+      return { range_days: q.range, shop: shop.domain ?? "all", updated };
+    },
+  }),
+
+  /* ── Shops registry ── */
+  route({
+    method: "GET", path: "/api/admin/shops", id: "adminShops", tag: "admin", role: "operator", db: true,
+    summary: "Every registered shop, active or not, and whether SHOPIFY_STORES (or NETSUITE) has credentials for it",
+    handler: async ({ env, client }) => {
+      const configured = new Set(parseStores(env.SHOPIFY_STORES).map((s) => s.domain));
+      if (parseNetSuite(env)) configured.add(NETSUITE_DOMAIN);
+      const rows = await listShops(client);
+      return { shops: rows.map((r) => ({ ...r, configured: configured.has(r.domain) })) };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/shops", id: "adminShopAdd", tag: "admin", role: "admin", db: true,
+    summary: "Register a shop (ingest still needs its token in SHOPIFY_STORES)",
+    query: {
+      domain: { type: "string", required: true, description: "Shop domain (e.g. newstore.myshopify.com)" },
+      name: { type: "string", description: "Display name (default: the handle)" },
+      timezone: { type: "string", description: "IANA zone, e.g. America/Denver" },
+      currency: { type: "string", description: "ISO 4217 code, e.g. USD" },
+    },
+    handler: async ({ q, client }) => {
+      const domain = sanitizeDomain(q.domain);
+      if (!isValidDomain(domain)) return json({ ok: false, error: `invalid shop domain ${q.domain}` }, 400);
+      const bad = shopFieldError(q);
+      if (bad) return json({ ok: false, error: bad }, 400);
+      const channelId = await getOrCreateShopifyChannelId(client);
+      const handle = domain.split(".")[0];
+      const r = await client.query(`
+        INSERT INTO shops (channel_id, handle, domain, name, timezone, currency)
+        VALUES ($1, $2, $3, $4, NULLIF($5,''), NULLIF($6,''))
+        ON CONFLICT (channel_id, domain) DO NOTHING
+        RETURNING id, handle, domain, name, timezone, currency, is_active
+      `, [channelId, handle, domain, q.name.trim() || handle, q.timezone, q.currency.toUpperCase()]);
+      if (!r.rows.length) return json({ ok: false, error: `${domain} is already registered` }, 409);
+      log("shops:add", domain, { id: r.rows[0].id });
+      return { shop: r.rows[0] };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/shops/sync", id: "adminShopsSync", tag: "admin", role: "admin", db: true,
+    summary: "Register configured stores, pull timezone/currency/name from Shopify, backfill shop_id on old rows",
+    handler: async ({ env, client }) => {
+      const channelId = await getOrCreateShopifyChannelId(client);
+      await syncShops(client, env, channelId);
+      if (parseNetSuite(env)) await netsuiteShopId(client);
+      const meta = await refreshShopMeta(client, env, channelId);
+      const backfilled = await backfillShopIds(client, channelId);
+      log("shops:sync", { backfilled });
+      return { shops: await syncShops(client, env, channelId), meta, backfilled };
+    },
+  }),
+
+  route({
+    method: "POST", path: "/api/admin/shops/:id", id: "adminShopUpdate", tag: "admin", role: "admin", db: true,
+    summary: "Rename a shop, set its timezone/currency, or (de)activate it (inactive = skipped by ingest, hidden from /api/shops)",
+    query: {
+      name: { type: "string", description: "Display name" },
+      timezone: { type: "string", description: "IANA zone, e.g. America/Denver" },
+      currency: { type: "string", description: "ISO 4217 code, e.g. USD" },
+      active: { type: "string", enum: ["true", "false"], description: "false deactivates, true reactivates" },
+    },
+    handler: async ({ path, q, client }) => {
+      if (!/^\d+$/.test(path.id)) return json({ ok: false, error: "id must be an integer" }, 400);
+      const bad = shopFieldError(q);
+      if (bad) return json({ ok: false, error: bad }, 400);
+      if (!q.name && !q.timezone && !q.currency && !q.active) {
+        return json({ ok: false, error: "nothing to update (name, timezone, currency, active)" }, 400);
+      }
+      const r = await client.query(`
+        UPDATE shops
+        SET name       = COALESCE(NULLIF($2,''), name),
+            timezone   = COALESCE(NULLIF($3,''), timezone),
+            currency   = COALESCE(NULLIF($4,''), currency),
+            is_active  = COALESCE(NULLIF($5,'')::boolean, is_active),
+            updated_at = now()
+        WHERE id = $1
+        RETURNING id, handle, domain, name, timezone, currency, is_active
+      `, [Number(path.id), q.name.trim(), q.timezone, q.currency.toUpperCase(), q.active]);
+      if (!r.rows.length) return json({ ok: false, error: "shop not found" }, 404);
+      log("shops:update", r.rows[0].domain, { name: q.name || undefined, active: q.active || undefined });
+      return { shop: r.rows[0] };
+    },
+  }),
+];
+
+const ROUTE_PATTERNS = new Map<Route, RegExp>(ROUTES.map((r) => [r, compilePath(r.path)]));
+
+export default {
+  async fetch(req: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+    if (req.method === "OPTIONS") return json({ ok: true });
+    logTz = reportTz(env);
+
+    const url = new URL(req.url);
+
+    const hit = matchRoute(req.method, url.pathname);
+    if (!hit) {
+      // unknown /api/* paths are a client bug worth surfacing; anything else is a liveness probe
+      if (url.pathname.startsWith("/api/")) return json({ ok: false, error: `no route ${req.method} ${url.pathname}` }, 404);
+      return new Response("OK", { status: 200 });
+    }
+    const { route: r, path } = hit;
+
+    const deny = authorize(req, env, url, r.role);
+    if (deny) return deny;
+
+    const parsed = parseQuery(r.query, url.searchParams);
+    if ("error" in parsed) return json({ ok: false, error: parsed.error }, 400);
+
+    let client: PoolClient | undefined;
+    try {
+      if (r.db) client = await getClient(env);
+      const res = await r.handler({ req, env, ctx, url, q: parsed.q, path, client: client! });
+      return res instanceof Response ? res : json({ ok: true, ...res });
+    } catch (e: any) {
+      log(`${r.id}:error`, e?.message ?? String(e));
+      return json({ ok: false, error: e?.message ?? String(e) }, 500);
+    } finally {
+      if (client) await client.release();
+    }
+  },
+
+  async scheduled(_event: ScheduledEvent, env: Env, ctx: ExecutionContext): Promise<void> {
+    logTz = reportTz(env);
+    log("cron:start");
+    const tick: CronTick = { startedAt: Date.now(), store: null, pages: 0, orders: 0, errors: [] };
+    const fail = (step: string) => (e: any) => {
+      const msg = e?.message || String(e);
+      log(`${step}:error`, msg);
+      tick.errors.push(`${step}: ${msg}`);
+    };
+    ctx.waitUntil(
+      runIngestRoundRobin(env)
+        .then((res) => {
+          log("cron:done", res);
+          tick.store = res.store;
+          for (const r of res.runs) {
+            for (const s of Object.values(r.summary)) {
+              tick.pages += s.pages;
+              tick.orders += s.ordersIngested;
+              if (s.error) tick.errors.push(`ingest:${r.mode}: ${s.error}`);
+            }
+          }
+          for (const [name, x] of Object.entries(res.extras)) {
+            for (const s of Object.values(x.summary)) {
+              if (s.error) tick.errors.push(`${name}: ${s.error}`);
+            }
+          }
+        })
+        .catch(fail("cron"))
+        // poll running bulk exports and stream a slice of any finished one into staging_raw
+        .then(() => advanceBulkBackfills(env))
+        .then((res) => log("bulk:tick", res))
+        .catch(fail("bulk"))
+        // one more slice of each queued/running REST backfill job
+        .then(() => advanceBackfillJobs(env))
+        .then((res) => log("jobs:tick", res))
+        .catch(fail("jobs"))
+        // normalize whatever was staged, even if this tick's ingest failed
+        .then(() => runTransform(env, { trigger: "cron" }))
+        .then((res) => log("transform:done", res))
+        .catch(fail("transform"))
+        .then(() => recordCronTick(env, tick))
+    );
+  },
+};
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Shopify Admin API client: retries, Retry-After, call-limit bucket
+*───────────────────────────────────────────────────────────────────────────*/
+const SHOPIFY_API_VERSION = "2024-07";
+const SHOPIFY_MAX_ATTEMPTS = 6;          // first try + 5 retries
+const SHOPIFY_BACKOFF_BASE_MS = 500;
+const SHOPIFY_BACKOFF_CAP_MS = 30_000;
+const SHOPIFY_BUCKET_HIGH = 0.8;         // pause once the leaky bucket is 80% full…
+const SHOPIFY_BUCKET_TARGET = 0.6;       // …until it has drained to ~60%
+const SHOPIFY_LEAK_PER_SEC = 2;          // REST bucket leak rate (standard plans)
+
+type ThrottleEvent = { at: string; reason: "429" | "5xx" | "network" | "bucket" | "graphql"; status?: number; attempt: number; waitMs: number };
+type ShopifyCallStats = { calls: number; retries: number; throttled: number; waitedMs: number; events: ThrottleEvent[] };
+type IngestStoreSummary = { pages: number; ordersIngested: number; throttle: ShopifyCallStats; error?: string };
+
+function newCallStats(): ShopifyCallStats {
+  return { calls: 0, retries: 0, throttled: 0, waitedMs: 0, events: [] };
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Full-jitter exponential backoff */
+function backoffMs(attempt: number): number {
+  const cap = Math.min(SHOPIFY_BACKOFF_CAP_MS, SHOPIFY_BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+/** Retry-After is seconds (Shopify sends e.g. "2.0"); fall back to backoff when absent */
+function retryAfterMs(resp: Response, attempt: number): number {
+  const v = Number(resp.headers.get("Retry-After"));
+  return Number.isFinite(v) && v > 0 ? Math.ceil(v * 1000) : backoffMs(attempt);
+}
+
+/** "32/40" → ms to wait so the bucket drains below the target, or 0 */
+function bucketPauseMs(resp: Response): number {
+  const m = (resp.headers.get("X-Shopify-Shop-Api-Call-Limit") || "").match(/^(\d+)\/(\d+)$/);
+  if (!m) return 0;
+  const used = Number(m[1]);
+  const size = Number(m[2]);
+  if (!size || used / size < SHOPIFY_BUCKET_HIGH) return 0;
+  return Math.ceil(((used - size * SHOPIFY_BUCKET_TARGET) / SHOPIFY_LEAK_PER_SEC) * 1000);
+}
+
+/** GraphQL THROTTLED (a 200): wait until the cost bucket has restored enough points for the query */
+function graphqlThrottleMs(body: any, attempt: number): number {
+  const cost = body?.extensions?.cost;
+  const status = cost?.throttleStatus;
+  const need = Number(cost?.requestedQueryCost) - Number(status?.currentlyAvailable);
+  const rate = Number(status?.restoreRate);
+  if (!Number.isFinite(need) || !(rate > 0)) return backoffMs(attempt);
+  return Math.ceil((Math.max(need, 0) / rate) * 1000) + 250;
+}
+
+function recordWait(stats: ShopifyCallStats, ev: Omit<ThrottleEvent, "at">) {
+  stats.waitedMs += ev.waitMs;
+  if (ev.reason === "429" || ev.reason === "bucket" || ev.reason === "graphql") stats.throttled++;
+  if (stats.events.length < 20) stats.events.push({ at: new Date().toISOString(), ...ev });
+  log("shopify:wait", ev);
+}
+
+/**
+ * GET/POST against the Admin API for one store. Retries 429 (honoring Retry-After),
+ * 5xx and network errors with jittered backoff; paces itself off the call-limit header.
+ * Throws after SHOPIFY_MAX_ATTEMPTS or on a non-retryable 4xx.
+ */
+async function shopifyFetch(
+  domain: string,
+  token: string,
+  path: string,
+  stats: ShopifyCallStats,
+  init: RequestInit = {}
+): Promise<Response> {
+  const urlStr = `https://${domain}/admin/api/${SHOPIFY_API_VERSION}/${path.replace(/^\/+/, "")}`;
+
+  for (let attempt = 0; ; attempt++) {
+    if (attempt > 0) stats.retries++;
+    stats.calls++;
+
+    let resp: Response;
+    try {
+      resp = await fetch(urlStr, {
+        ...init,
+        headers: {
+          "X-Shopify-Access-Token": token,
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          ...(init.headers as Record<string, string> | undefined),
+        },
+      });
+    } catch (e: any) {
+      if (attempt + 1 >= SHOPIFY_MAX_ATTEMPTS) throw new Error(`Shopify ${domain} network error: ${e?.message ?? e}`);
+      const waitMs = backoffMs(attempt);
+      recordWait(stats, { reason: "network", attempt, waitMs });
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (resp.ok) {
+      const pause = bucketPauseMs(resp);
+      if (pause > 0) {
+        recordWait(stats, { reason: "bucket", status: resp.status, attempt, waitMs: pause });
+        await sleep(pause);
+      }
+      return resp;
+    }
+
+    const retryable = resp.status === 429 || resp.status >= 500;
+    if (!retryable || attempt + 1 >= SHOPIFY_MAX_ATTEMPTS) {
+      const t = await resp.text();
+      throw new Error(`Shopify ${domain} ${resp.status}: ${t}`);
+    }
+
+    const waitMs = resp.status === 429 ? retryAfterMs(resp, attempt) : backoffMs(attempt);
+    await resp.body?.cancel();
+    recordWait(stats, { reason: resp.status === 429 ? "429" : "5xx", status: resp.status, attempt, waitMs });
+    await sleep(waitMs);
+  }
+}
+
+/** The next page's page_info from a REST Link header (<…?page_info=abc…>; rel="next"), or null on the last page */
+function shopifyNextPageInfo(link: string | null): string | null {
+  return link?.match(/<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/i)?.[1] ?? null;
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Channel adapters: the per-channel half of ingest
+  The runner below owns everything channels share: store selection against the
+  shops registry, paging up to MAX_PAGES_PER_RUN, cursors and updated marks in
+  sync_state, staging, run history, the cron round-robin and backfill jobs. An
+  adapter only fetches a page, says where the next one starts, splits it into
+  source records (staging mapping) and turns each record into the order payload
+  the transform reads (transform mapping: Shopify's REST order shape).
+*───────────────────────────────────────────────────────────────────────────*/
+type ChannelStore = { domain: string };
+
+type PageRequest = {
+  mode: IngestMode;
+  cursor: string | null;   // nextCursor of the previous page; null = first page of a pass
+  since: string;           // ISO lower bound for the first page: created_at (created) or updated_at (updated)
+  limit: number;           // PAGE_SIZE, for adapters whose API takes one
+};
+
+type CronExtra = {
+  name: string;
+  run: (env: Env, domain: string) => Promise<{ summary: Record<string, { error?: string }> }>;
+};
+
+type ChannelAdapter<S extends ChannelStore = any, P = any> = {
+  channel: string;                                   // channels.name
+  source: string;                                    // staging_raw.source and the sync_state key prefix
+  modes: IngestMode[];                               // the first is the default (and what backfill jobs run)
+  domains(env: Env): string[];                       // configured stores, registry or not
+  activeStores(client: PoolClient, env: Env): Promise<S[]>;   // configured, registered in shops and active
+  check(store: S): string | null;                    // why this store can't be ingested, or null
+  fetchPage(store: S, req: PageRequest, stats: ShopifyCallStats): Promise<P>;
+  nextCursor(page: P): string | null;
+  toStaging(page: P): any[];
+  toOrder(record: any): any;
+  passMark(pass: { started: string; maxSeen: string }): string;   // updated mode: the mark a finished pass leaves
+  cronExtras?: CronExtra[];                          // per-store steps the cron runs after the ingest passes
+};
+
+const SHOPIFY_ADAPTER: ChannelAdapter<Store, { orders: any[]; link: string | null }> = {
+  channel: "Shopify",
+  source: "shopify",
+  modes: ["created", "updated"],
+  domains: (env) => parseStores(env.SHOPIFY_STORES).map((s) => s.domain),
+  activeStores,
+  check: (s) => {
+    const domain = sanitizeDomain(s.domain);
+    if (!isValidDomain(domain)) return `Invalid shop domain: "${s.domain}" -> "${domain}"`;
+    if (!/^shpat_/.test(s.token || "")) return `Missing/invalid Admin API token for ${domain}`;
+    return null;
+  },
+  async fetchPage(s, req, stats) {
+    const qp = new URLSearchParams();
+    qp.set("limit", String(req.limit));
+    if (!req.cursor) {
+      qp.set("status", "any");
+      qp.set(req.mode === "updated" ? "updated_at_min" : "created_at_min", req.since);
+    } else {
+      qp.set("page_info", req.cursor);
+    }
+    const resp = await shopifyFetch(sanitizeDomain(s.domain), s.token, `orders.json?${qp.toString()}`, stats);
+    const data: any = await resp.json();
+    return { orders: Array.isArray(data.orders) ? data.orders : [], link: resp.headers.get("link") };
+  },
+  nextCursor: (page) => shopifyNextPageInfo(page.link),
+  toStaging: (page) => page.orders,
+  toOrder: (o) => o,
+  passMark: ({ started }) => markBefore(started),
+  cronExtras: [
+    // the store's catalog (products edited since its last sync)
+    { name: "products", run: (env, domain) => syncShopifyProducts(env, { store: domain }, "cron") },
+    // and today's inventory snapshot (continues a pass that ran out of pages last visit)
+    { name: "inventory", run: (env, domain) => syncShopifyInventory(env, { store: domain }, "cron") },
+  ],
+};
+
+/** Every channel ingest knows about, in round-robin order (a function: later sections define the adapters) */
+function channelAdapters(): ChannelAdapter[] {
+  return [SHOPIFY_ADAPTER, NETSUITE_ADAPTER];
+}
+
+/** The adapter whose configuration lists this store domain */
+function adapterForStore(env: Env, domain: string): ChannelAdapter | null {
+  return channelAdapters().find((a) => a.domains(env).includes(domain)) ?? null;
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Round-robin cron + backfill + main ingest
+*───────────────────────────────────────────────────────────────────────────*/
+type IngestResult = Awaited<ReturnType<typeof runChannelIngest>>;
+type CronTick = { startedAt: number; store: string | null; pages: number; orders: number; errors: string[] };
+
+/** One store per tick, across every channel: each of its adapter's ingest modes, then the adapter's extras */
+async function runIngestRoundRobin(env: Env): Promise<{
+  channel: string; store: string; runs: IngestResult[];
+  extras: Record<string, { summary: Record<string, { error?: string }> }>;
+}> {
+  const adapters = channelAdapters().filter((a) => a.domains(env).length);
+  if (!adapters.length) throw new Error("No stores configured");
+
+  const client = await getClient(env);
+  try {
+    const slots: Array<{ adapter: ChannelAdapter; domain: string }> = [];
+    for (const adapter of adapters) {
+      for (const s of await adapter.activeStores(client, env)) slots.push({ adapter, domain: sanitizeDomain(s.domain) });
+    }
+    if (!slots.length) throw new Error("No active stores");
+
+    const channelId = await getOrCreateShopifyChannelId(client);   // the rotation index has always lived here
+    const idx = Number((await getState<{ idx: number }>(client, channelId, SCHEDULE_KEY))?.idx) || 0;
+    const nextIdx = idx % slots.length;
+    const { adapter, domain } = slots[nextIdx];
+    log("cron:store", domain, { channel: adapter.channel, nextIdx, totalStores: slots.length });
+
+    // created first (new orders), then updated (refunds/cancellations/edits on ones already ingested)
+    const runs: IngestResult[] = [];
+    const extras: Record<string, { summary: Record<string, { error?: string }> }> = {};
+    try {
+      for (const mode of adapter.modes) {
+        runs.push(await runChannelIngest(env, adapter, new URLSearchParams({ store: domain, mode }), "cron"));
+      }
+      // each extra fails on its own: a catalog error still leaves inventory its turn
+      for (const x of adapter.cronExtras ?? []) {
+        try {
+          extras[x.name] = await x.run(env, domain);
+        } catch (e: any) {
+          extras[x.name] = { summary: { [domain]: { error: e?.message || String(e) } } };
+        }
+      }
+    } finally {
+      // whatever this store did, the next tick visits the next one
+      await setState(client, channelId, SCHEDULE_KEY, { idx: nextIdx + 1 });
+    }
+
+    return { channel: adapter.channel, store: domain, runs, extras };
+  } finally {
+    await client.release();
+  }
+}
+
+/* One ingest_runs row per cron tick: which store it visited, totals, and every step that failed */
+async function recordCronTick(env: Env, tick: CronTick): Promise<void> {
+  const client = await getClient(env);
+  try {
+    await recordRun(client, {
+      kind: "cron", trigger: "cron", store: tick.store, pages: tick.pages, orders: tick.orders,
+      startedAt: tick.startedAt, error: tick.errors.length ? tick.errors.join("; ") : null,
+    });
+  } finally {
+    await client.release();
+  }
+}
+
+/** Admin backfill: queue one REST job per store (or reuse the store's active one), on any channel. Cron advances them. */
+async function queueBackfill(env: Env, opts: { days: number; store?: string; hardReset?: boolean }) {
+  const adapters = channelAdapters().filter((a) => a.domains(env).length);
+  if (!adapters.length) throw new Error("No stores configured");
+
+  const client = await getClient(env);
+  try {
+    const list: Array<{ adapter: ChannelAdapter; domain: string }> = [];
+    for (const adapter of adapters) {
+      for (const s of await adapter.activeStores(client, env)) list.push({ adapter, domain: sanitizeDomain(s.domain) });
+    }
+    const target = opts.store ? sanitizeDomain(opts.store) : "";
+    const picked = target ? list.filter((s) => s.domain === target) : list;
+    if (target && !picked.length) throw new Error(`Unknown or inactive store ${target}`);
+
+    const jobs: any[] = [];
+
+    for (const { adapter, domain } of picked) {
+      const active = await queryRows(client, `
+        SELECT * FROM backfill_jobs
+        WHERE kind = 'rest' AND store = $1 AND status IN ('queued','running')
+        ORDER BY id LIMIT 1
+      `, [domain]);
+      if (active.length) {
+        jobs.push({ ...active[0], note: "already queued" });
+        continue;
+      }
+
+      if (opts.hardReset) {
+        await clearIngestState(client, adapter, domain, adapter.modes[0]);
+        log("backfill:reset", { domain });
+      }
+
+      const rows = await queryRows(client, `
+        INSERT INTO backfill_jobs (kind, store, days, hard_reset)
+        VALUES ('rest', $1, $2, $3)
+        RETURNING *
+      `, [domain, opts.days, !!opts.hardReset]);
+      log("backfill:queued", { domain, job: rows[0].id, days: opts.days });
+      jobs.push(rows[0]);
+    }
+
+    return { days: opts.days, hardReset: !!opts.hardReset, stores: picked.map((s) => s.domain), jobs };
+  } finally {
+    await client.release();
+  }
+}
+
+const BACKFILL_STEPS_PER_TICK = 3;    // runChannelIngest passes per cron tick, oldest job first
+const BACKFILL_MAX_ITERATIONS = 200;  // safety cap per job
+const BACKFILL_MAX_ERRORS = 5;        // consecutive failed passes before a job is marked failed
+
+/** Cron step: one runChannelIngest pass (the adapter's first mode) for each of the oldest queued/running REST jobs. */
+async function advanceBackfillJobs(env: Env): Promise<Record<string, unknown>> {
+  const out: Record<string, unknown> = {};
+
+  const client = await getClient(env);
+  try {
+    const jobs = await queryRows(client, `
+      SELECT id, store, days, iterations, errors FROM backfill_jobs
+      WHERE kind = 'rest' AND status IN ('queued','running')
+      ORDER BY id
+      LIMIT $1
+    `, [BACKFILL_STEPS_PER_TICK]);
+
+    for (const job of jobs) {
+      const adapter = adapterForStore(env, job.store);
+      if (!adapter) {
+        await client.query(
+          `UPDATE backfill_jobs SET status='failed', last_error='store no longer configured',
+             finished_at=now(), updated_at=now() WHERE id=$1`,
+          [job.id]
+        );
+        out[job.id] = { store: job.store, status: "failed" };
+        continue;
+      }
+
+      await client.query(
+        `UPDATE backfill_jobs SET status='running', started_at=COALESCE(started_at, now()), updated_at=now() WHERE id=$1`,
+        [job.id]
+      );
+
+      let run: IngestStoreSummary | undefined;
+      try {
+        const params = new URLSearchParams({ store: job.store, days: String(job.days), mode: adapter.modes[0] });
+        const res = await runChannelIngest(env, adapter, params, "backfill");
+        run = res.summary[job.store];
+      } catch (e: any) {
+        run = { pages: 0, ordersIngested: 0, throttle: newCallStats(), error: e?.message || String(e) };
+      }
+
+      const pages  = Number(run?.pages || 0);
+      const orders = Number(run?.ordersIngested || 0);
+      const iterations = Number(job.iterations) + 1;
+      const errors = run?.error ? Number(job.errors) + 1 : 0;
+
+      // same end-of-history heuristic the blocking loop used: a short pass or an empty one
+      const perRunCap = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
+      let status = "running";
+      if (run?.error) {
+        if (errors >= BACKFILL_MAX_ERRORS) status = "failed";
+      } else if (pages < perRunCap || orders === 0 || iterations >= BACKFILL_MAX_ITERATIONS) {
+        status = "done";
+      }
+
+      await client.query(
+        `UPDATE backfill_jobs
+            SET status = $2, iterations = $3, pages = pages + $4, orders = orders + $5,
+                errors = $6, last_error = COALESCE($7, last_error),
+                finished_at = CASE WHEN $2 IN ('done','failed') THEN now() END,
+                updated_at = now()
+          WHERE id = $1`,
+        [job.id, status, iterations, pages, orders, errors, run?.error ?? null]
+      );
+      log("backfill:iteration", { job: job.id, domain: job.store, iterations, pages, orders, status });
+      out[job.id] = { store: job.store, status, pages, orders, ...(run?.error ? { error: run.error } : {}) };
+    }
+
+    return out;
+  } finally {
+    await client.release();
+  }
+}
+
+/** Forget a store's created cursor or updated mark, so its next pass starts over */
+async function clearIngestState(client: PoolClient, adapter: ChannelAdapter, domain: string, mode: IngestMode): Promise<void> {
+  const channelId = await getOrCreateChannelId(client, adapter.channel);
+  const key = mode === "updated" ? updatedKey(domain, adapter.source) : cursorKey(domain, adapter.source);
+  await setState(client, channelId, key, null);
+}
+
+/* Core ingest: single pass (up to MAX_PAGES_PER_RUN) for one or all of a channel's stores.
+   mode=created (default) walks orders by created_at via the adapter's page cursor;
+   mode=updated re-fetches orders changed since the store's updated_at_min mark. */
+async function runChannelIngest(env: Env, adapter: ChannelAdapter, params: URLSearchParams, trigger: RunTrigger = "manual"): Promise<{
+  mode: IngestMode;
+  summary: Record<string, IngestStoreSummary>;
+}> {
+  if (!adapter.domains(env).length) throw new Error(`No ${adapter.channel} stores configured`);
+
+  const client = await getClient(env);
+
+  const limit    = Math.min(Math.max(Number(env.PAGE_SIZE || 100), 1), 250);
+  const maxPages = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
+  const days     = Math.min(Math.max(Number(params.get("days") || 90), 1), 365);
+  const reset    = (params.get("reset") || "").toLowerCase() === "true";
+  const asked    = (params.get("mode") || "").toLowerCase() as IngestMode;
+  const mode: IngestMode = adapter.modes.includes(asked) ? asked : adapter.modes[0];
+
+  const summary: Record<string, IngestStoreSummary> = {};
+  const targetDomainParam = params.get("store") || params.get("domain");
+  const target = targetDomainParam ? sanitizeDomain(String(targetDomainParam)) : null;
+  let list: ChannelStore[] = [];
+
+  try {
+    const active      = await adapter.activeStores(client, env);
+    const stagingCols = await getStagingColumns(client);
+    const channelId   = await getOrCreateChannelId(client, adapter.channel);
+    list = target ? active.filter((s) => sanitizeDomain(s.domain) === target) : active;
+
+    for (const s of list) {
+      const domain = sanitizeDomain(s.domain);
+      const problem = adapter.check(s);
+      if (problem) {
+        // one misconfigured store mustn't stop the rest of the list (or the cron's rotation)
+        summary[domain] = { pages: 0, ordersIngested: 0, throttle: newCallStats(), error: problem };
+        await recordRun(client, { kind: "ingest", trigger, store: domain, mode, startedAt: Date.now(), error: problem });
+        log("ingest:skipped", domain, problem);
+        continue;
+      }
+
+      if (reset) await clearIngestState(client, adapter, domain, mode);
+
+      let pages = 0;
+      let total = 0;
+      const since = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+
+      // updated mode: resume an unfinished pass, else start from the mark (or the days window)
+      const upd = mode === "updated" ? await getState<UpdatedState>(client, channelId, updatedKey(domain, adapter.source)) : null;
+      const updatedMin = upd?.updated_at_min ?? since;
+      let maxSeen = upd?.max_seen ?? updatedMin;
+      // a resumed pass keeps its start; one saved before pass_started existed falls back to its mark
+      const passStarted = upd?.page_info ? (upd.pass_started ?? updatedMin) : new Date().toISOString();
+
+      let nextPage: string | null = mode === "updated"
+        ? (upd?.page_info ?? null)
+        : (await getState<CursorState>(client, channelId, cursorKey(domain, adapter.source)))?.page_info ?? null; // resume
+
+      log("ingest:start", { domain, channel: adapter.channel, mode, days, resumeFromCursor: !!nextPage, ...(mode === "updated" ? { updatedMin } : {}) });
+
+      const startedAt = Date.now();
+      const cursorBefore = mode === "updated" ? (upd?.page_info ?? updatedMin) : nextPage;
+      let cursorAfter = cursorBefore;
+      const throttle = newCallStats();
+      let error: string | undefined;
+
+      try {
+        while (pages < maxPages) {
+          const page = await adapter.fetchPage(s, {
+            mode, cursor: nextPage, since: mode === "updated" ? updatedMin : since, limit,
+          }, throttle);
+          const orders = adapter.toStaging(page).map((r) => adapter.toOrder(r));
+
+          if (orders.length) {
+            await stagePayloads(client, stagingCols, channelId, domain, orders, "order", adapter.source);
+          }
+
+          total += orders.length;
+          pages++;
+
+          const newCursor = adapter.nextCursor(page);
+
+          if (mode === "updated") {
+            for (const o of orders) {
+              if (typeof o?.updated_at === "string" && Date.parse(o.updated_at) > Date.parse(maxSeen)) maxSeen = o.updated_at;
+            }
+            // only advance the mark once a pass completes; mid-pass keep the page cursor to resume
+            const mark = newCursor ? updatedMin : adapter.passMark({ started: passStarted, maxSeen });
+            await setState(client, channelId, updatedKey(domain, adapter.source), newCursor
+              ? { updated_at_min: updatedMin, page_info: newCursor, max_seen: maxSeen, pass_started: passStarted }
+              : { updated_at_min: mark });
+            cursorAfter = newCursor ?? mark;
+          } else {
+            await setState(client, channelId, cursorKey(domain, adapter.source), newCursor ? { page_info: newCursor } : null);
+            cursorAfter = newCursor;
+          }
+          log("ingest:page", { domain, mode, page: pages, orders: orders.length, hasNext: !!newCursor });
+
+          if (!newCursor || orders.length === 0) break;
+          nextPage = newCursor;
+        }
+      } catch (e: any) {
+        // retries exhausted: keep the pages already staged (cursor is saved per page) and move on
+        error = e?.message ?? String(e);
+        log("ingest:error", domain, error);
+      }
+
+      summary[domain] = { pages, ordersIngested: total, throttle, ...(error ? { error } : {}) };
+      await recordRun(client, {
+        kind: "ingest", trigger, store: domain, mode, pages, orders: total,
+        startedAt, cursorBefore, cursorAfter, error,
+      });
+      log("ingest:done", domain, { mode, pages, total, retries: throttle.retries, waitedMs: throttle.waitedMs });
+    }
+  } finally {
+    await client.release();
+  }
+
+  log("ingest:summary", {
+    channel: adapter.channel, mode, limit, maxPages, days,
+    stores: list.map((s) => s.domain),
+    summary,
+  });
+
+  return { mode, summary };
+}
+
+/** Shopify's ingest (the /ingest/shopify/run route and older callers) */
+function runShopifyIngest(env: Env, params: URLSearchParams, trigger: RunTrigger = "manual") {
+  return runChannelIngest(env, SHOPIFY_ADAPTER, params, trigger);
+}
+
+/* Append payloads to staging_raw, filling whichever optional columns exist */
+async function stagePayloads(
+  client: PoolClient,
+  stagingCols: Set<string>,
+  channelId: number,
+  domain: string,
+  payloads: any[],
+  kind = "order",
+  source = "shopify"
+): Promise<void> {
+  const cols = ["payload"];
+  if (stagingCols.has("channel_id")) cols.push("channel_id");
+  if (stagingCols.has("source"))     cols.push("source");
+  if (stagingCols.has("kind"))       cols.push("kind");
+  if (stagingCols.has("domain"))     cols.push("domain");
+  if (stagingCols.has("shop_id"))    cols.push("shop_id");
+  const shopId = stagingCols.has("shop_id") ? await shopIdFor(client, channelId, domain) : null;
+
+  const values: any[] = [];
+  const placeholders: string[] = [];
+  let paramIdx = 1;
+
+  for (const o of payloads) {
+    const row: any[] = [JSON.stringify(o)];
+    if (stagingCols.has("channel_id")) row.push(channelId);
+    if (stagingCols.has("source"))     row.push(source);
+    if (stagingCols.has("kind"))       row.push(kind);
+    if (stagingCols.has("domain"))     row.push(domain);
+    if (stagingCols.has("shop_id"))    row.push(shopId);
+
+    placeholders.push("(" + row.map(() => `$${paramIdx++}`).join(",") + ")");
+    values.push(...row);
+  }
+
+  const sql = `INSERT INTO staging_raw (${cols.join(",")}) VALUES ${placeholders.join(",")}`;
+  await client.query(sql, values);
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Bulk backfill: GraphQL bulkOperationRunQuery → JSONL → staging_raw
+  start → cron polls status → on COMPLETED the JSONL is streamed in slices
+  (Range requests from the saved byte offset) until the whole file is staged
+*───────────────────────────────────────────────────────────────────────────*/
+const BULK_LINES_PER_TICK = 5000;   // JSONL lines staged per store per cron tick
+const BULK_STAGE_BATCH = 100;       // orders per staging_raw insert
+
+const BULK_ACTIVE: BulkStatus[] = ["CREATED", "RUNNING", "CANCELING", "COMPLETED", "STAGING"];
+
+function money(set: any): string | null {
+  return set?.shopMoney?.amount ?? null;
+}
+
+function gidTail(gid: unknown): string | null {
+  if (typeof gid !== "string") return null;
+  const m = gid.match(/\/(\d+)$/);
+  return m ? m[1] : null;
+}
+
+const BULK_ADDRESS_FIELDS = "firstName lastName company phone address1 address2 city provinceCode zip countryCodeV2";
+
+/* Line items and each refund's refundLineItems come back as child rows after their order (__parentId is the
+   order or the refund). A refund's transactions aren't exported, so its total stands in for them. */
+function bulkOrdersQuery(days: number): string {
+  const since = new Date(Date.now() - days * 86400_000).toISOString().slice(0, 10);
+  return `{
+  orders(query: "created_at:>=${since}", sortKey: CREATED_AT) {
+    edges { node {
+      id legacyResourceId name email phone createdAt updatedAt cancelledAt processedAt currencyCode
+      displayFinancialStatus displayFulfillmentStatus
+      totalPriceSet { shopMoney { amount } }
+      subtotalPriceSet { shopMoney { amount } }
+      totalTaxSet { shopMoney { amount } }
+      totalDiscountsSet { shopMoney { amount } }
+      totalShippingPriceSet { shopMoney { amount } }
+      customer { id legacyResourceId email phone firstName lastName defaultAddress { ${BULK_ADDRESS_FIELDS} } }
+      billingAddress { ${BULK_ADDRESS_FIELDS} }
+      shippingAddress { ${BULK_ADDRESS_FIELDS} }
+      refunds {
+        id legacyResourceId createdAt note totalRefundedSet { shopMoney { amount } }
+        refundLineItems { edges { node {
+          id quantity restockType
+          lineItem { id sku }
+          subtotalSet { shopMoney { amount } }
+          totalTaxSet { shopMoney { amount } }
+        } } }
+      }
+      lineItems { edges { node {
+        id sku title name quantity currentQuantity
+        originalUnitPriceSet { shopMoney { amount } }
+        discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+        taxLines { priceSet { shopMoney { amount } } }
+        product { legacyResourceId }
+        variant { legacyResourceId }
+      } } }
+    } }
+  }
+}`;
+}
+
+function bulkAddressToRest(a: any): any {
+  if (!a) return null;
+  return {
+    first_name: a.firstName ?? null, last_name: a.lastName ?? null, company: a.company ?? null, phone: a.phone ?? null,
+    address1: a.address1 ?? null, address2: a.address2 ?? null, city: a.city ?? null,
+    province_code: a.provinceCode ?? null, zip: a.zip ?? null, country_code: a.countryCodeV2 ?? null,
+  };
+}
+
+/* Reshape a bulk order (+ its line item and refund line rows) into the REST payload the transform reads.
+   A refund's total becomes one successful refund transaction; its lines are the rows whose __parentId is the refund. */
+function bulkOrderToRest(o: any, items: any[], refundLines: any[] = []): any {
+  return {
+    id: Number(o.legacyResourceId ?? gidTail(o.id)),
+    admin_graphql_api_id: o.id,
+    name: o.name,
+    email: o.email ?? null,
+    phone: o.phone ?? null,
+    created_at: o.createdAt,
+    updated_at: o.updatedAt,
+    processed_at: o.processedAt ?? null,
+    cancelled_at: o.cancelledAt ?? null,
+    currency: o.currencyCode,
+    financial_status: o.displayFinancialStatus ? String(o.displayFinancialStatus).toLowerCase() : null,
+    fulfillment_status: o.displayFulfillmentStatus ? String(o.displayFulfillmentStatus).toLowerCase() : null,
+    total_price: money(o.totalPriceSet),
+    subtotal_price: money(o.subtotalPriceSet),
+    total_tax: money(o.totalTaxSet),
+    total_discounts: money(o.totalDiscountsSet),
+    total_line_items_price: items.reduce((sum, li) => sum + Number(money(li.originalUnitPriceSet) ?? 0) * (li.currentQuantity ?? li.quantity ?? 0), 0).toFixed(2),
+    total_shipping_price_set: o.totalShippingPriceSet ? { shop_money: { amount: money(o.totalShippingPriceSet) } } : null,
+    customer: o.customer
+      ? {
+          id: Number(o.customer.legacyResourceId ?? gidTail(o.customer.id)),
+          email: o.customer.email ?? null,
+          phone: o.customer.phone ?? null,
+          first_name: o.customer.firstName ?? null,
+          last_name: o.customer.lastName ?? null,
+          default_address: bulkAddressToRest(o.customer.defaultAddress),
+        }
+      : null,
+    billing_address: bulkAddressToRest(o.billingAddress),
+    shipping_address: bulkAddressToRest(o.shippingAddress),
+    refunds: (o.refunds ?? []).map((r: any) => ({
+      id: Number(r.legacyResourceId ?? gidTail(r.id)),
+      order_id: Number(o.legacyResourceId ?? gidTail(o.id)),
+      created_at: r.createdAt,
+      note: r.note ?? null,
+      transactions: money(r.totalRefundedSet) != null
+        ? [{ kind: "refund", status: "success", amount: money(r.totalRefundedSet) }]
+        : [],
+      refund_line_items: refundLines.filter((rl) => rl.__parentId === r.id).map((rl) => ({
+        id: Number(gidTail(rl.id)),
+        line_item_id: rl.lineItem?.id ? Number(gidTail(rl.lineItem.id)) : null,
+        quantity: rl.quantity,
+        subtotal: money(rl.subtotalSet),
+        total_tax: money(rl.totalTaxSet),
+        restock_type: rl.restockType ? String(rl.restockType).toLowerCase() : null,
+        line_item: { sku: rl.lineItem?.sku ?? null },
+      })),
+    })),
+    line_items: items.map((li) => ({
+      id: Number(gidTail(li.id)),
+      admin_graphql_api_id: li.id,
+      sku: li.sku ?? null,
+      title: li.title,
+      name: li.name,
+      quantity: li.quantity,
+      current_quantity: li.currentQuantity ?? null,
+      price: money(li.originalUnitPriceSet),
+      discount_allocations: (li.discountAllocations ?? []).map((d: any) => ({ amount: money(d.allocatedAmountSet) })),
+      tax_lines: (li.taxLines ?? []).map((t: any) => ({ price: money(t.priceSet) })),
+      product_id: li.product?.legacyResourceId ? Number(li.product.legacyResourceId) : null,
+      variant_id: li.variant?.legacyResourceId ? Number(li.variant.legacyResourceId) : null,
+    })),
+    source: "bulk",
+  };
+}
+
+/** POST a GraphQL query through shopifyFetch; a THROTTLED response is retried like a 429, paced off throttleStatus */
+async function shopifyGraphql(domain: string, token: string, stats: ShopifyCallStats, query: string, variables: Record<string, unknown> = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (attempt > 0) stats.retries++;
+    const resp = await shopifyFetch(domain, token, "graphql.json", stats, {
+      method: "POST",
+      body: JSON.stringify({ query, variables }),
+    });
+    const body: any = await resp.json();
+    const errors: any[] = body?.errors ?? [];
+    const throttled = errors.length > 0 && errors.every((e) => e?.extensions?.code === "THROTTLED");
+    if (throttled && attempt + 1 < SHOPIFY_MAX_ATTEMPTS) {
+      const waitMs = graphqlThrottleMs(body, attempt);
+      recordWait(stats, { reason: "graphql", status: resp.status, attempt, waitMs });
+      await sleep(waitMs);
+      continue;
+    }
+    if (errors.length) throw new Error(`Shopify ${domain} graphql: ${errors.map((e: any) => e.message).join("; ")}`);
+    return body?.data;
+  }
+}
+
+/** Start a bulk export per store (or one store). Returns the job ids to poll. */
+async function startBulkBackfill(env: Env, opts: { days: number; store?: string }) {
+  if (!parseStores(env.SHOPIFY_STORES).length) throw new Error("No stores configured");
+
+  const mutation = `mutation run($q: String!) {
+    bulkOperationRunQuery(query: $q) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }`;
+
+  const client = await getClient(env);
+  try {
+    const channelId = await getOrCreateShopifyChannelId(client);
+    const stores = await activeStores(client, env);
+    const target = opts.store ? sanitizeDomain(opts.store) : "";
+    const list = target ? stores.filter(s => sanitizeDomain(s.domain) === target) : stores;
+    if (target && !list.length) throw new Error(`Unknown or inactive store ${target}`);
+    const jobs: Array<{ store: string; id?: number; bulk_id?: string; status?: string; error?: string }> = [];
+
+    for (const s of list) {
+      const domain = sanitizeDomain(s.domain);
+      try {
+        const prev = await getState<BulkState>(client, channelId, bulkKey(domain));
+        if (prev && BULK_ACTIVE.includes(prev.status)) {
+          jobs.push({ store: domain, id: prev.job_id, bulk_id: prev.id, status: prev.status, error: "bulk backfill already in progress" });
+          continue;
+        }
+
+        const data = await shopifyGraphql(domain, s.token, newCallStats(), mutation, { q: bulkOrdersQuery(opts.days) });
+        const res = data?.bulkOperationRunQuery;
+        if (res?.userErrors?.length) {
+          // e.g. another bulk query started outside this worker is still running
+          jobs.push({ store: domain, error: res.userErrors.map((e: any) => e.message).join("; ") });
+          continue;
+        }
+
+        const op = res?.bulkOperation;
+        const job = await client.query(
+          `INSERT INTO backfill_jobs (kind, store, days, status, external_id, started_at)
+           VALUES ('bulk', $1, $2, 'running', $3, now())
+           RETURNING id`,
+          [domain, opts.days, op.id]
+        );
+        const jobId = Number(job.rows[0].id);
+        await setBulkState(client, channelId, domain, {
+          id: op.id,
+          job_id: jobId,
+          status: op.status,
+          days: opts.days,
+          started_at: new Date().toISOString(),
+          offset: 0,
+          orders_staged: 0,
+        });
+        log("bulk:started", { domain, id: op.id, job: jobId, days: opts.days });
+        jobs.push({ store: domain, id: jobId, bulk_id: op.id, status: op.status });
+      } catch (e: any) {
+        jobs.push({ store: domain, error: e?.message || String(e) });
+      }
+    }
+
+    return { days: opts.days, jobs };
+  } finally {
+    await client.release();
+  }
+}
+
+/** Cron step: refresh each active bulk job's status and stage a slice of any finished export. */
+async function advanceBulkBackfills(env: Env): Promise<Record<string, unknown>> {
+  const stores = parseStores(env.SHOPIFY_STORES);
+  const out: Record<string, unknown> = {};
+  if (!stores.length) return out;
+
+  const client = await getClient(env);
+  try {
+    const channelId = await getOrCreateShopifyChannelId(client);
+
+    for (const s of stores) {
+      const domain = sanitizeDomain(s.domain);
+      const state = await getState<BulkState>(client, channelId, bulkKey(domain));
+      if (!state || !BULK_ACTIVE.includes(state.status)) continue;
+      const startedAt = Date.now();
+
+      try {
+        if (state.status !== "STAGING") {
+          const data = await shopifyGraphql(domain, s.token, newCallStats(), `query op($id: ID!) {
+            node(id: $id) { ... on BulkOperation { id status errorCode objectCount url partialDataUrl completedAt } }
+          }`, { id: state.id });
+          const op = data?.node;
+          if (!op) throw new Error(`bulk operation ${state.id} not found`);
+
+          state.object_count = Number(op.objectCount || 0);
+          if (op.status === "COMPLETED") {
+            state.url = op.url ?? null;
+            state.status = "STAGING";
+          } else if (["FAILED", "CANCELED", "EXPIRED"].includes(op.status)) {
+            state.status = op.status;
+            state.error = op.errorCode ?? null;
+            state.url = op.partialDataUrl ?? null;
+            state.finished_at = new Date().toISOString();
+          } else {
+            state.status = op.status;
+          }
+          await setBulkState(client, channelId, domain, state);
+        }
+
+        if (state.status === "STAGING") {
+          if (!state.url) {
+            // no url on a completed operation means the query matched nothing
+            state.status = "DONE";
+            state.finished_at = new Date().toISOString();
+            await setBulkState(client, channelId, domain, state);
+          } else {
+            const slice = await stageBulkSlice(client, channelId, domain, state);
+            out[domain] = { status: state.status, ...slice };
+            continue;
+          }
+        }
+
+        out[domain] = { status: state.status, objects: state.object_count ?? 0 };
+      } catch (e: any) {
+        // leave the job as-is; next tick polls again
+        log("bulk:error", domain, e?.message || String(e));
+        await recordRun(client, {
+          kind: "bulk", trigger: "backfill", store: domain, startedAt,
+          cursorBefore: String(state.offset ?? 0), cursorAfter: String(state.offset ?? 0), error: e?.message || String(e),
+        });
+        out[domain] = { status: state.status, error: e?.message || String(e) };
+      }
+    }
+
+    return out;
+  } finally {
+    await client.release();
+  }
+}
+
+/* Stream up to BULK_LINES_PER_TICK JSONL lines from state.offset and stage the orders.
+   Line items and refund lines follow their parent order (__parentId is the order or one of its refunds), so only
+   whole orders are staged and the saved offset always points at the start of an order line. */
+async function stageBulkSlice(client: PoolClient, channelId: number, domain: string, state: BulkState) {
+  const startedAt = Date.now();
+  const offset = Number(state.offset || 0);
+  const resp = await fetch(state.url!, { headers: offset > 0 ? { Range: `bytes=${offset}-` } : {} });
+  if (resp.status === 416) {
+    // offset already at end of file
+    state.status = "DONE";
+    state.finished_at = new Date().toISOString();
+    await setBulkState(client, channelId, domain, state);
+    return { lines: 0, staged: 0 };
+  }
+  if (!resp.ok || !resp.body) throw new Error(`bulk result ${resp.status}`);
+  if (offset > 0 && resp.status !== 206) throw new Error("bulk result ignored Range header");
+
+  const stagingCols = await getStagingColumns(client);
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+
+  let buf = "";
+  let pos = offset;           // byte position of the start of `buf`
+  let committed = offset;     // byte position up to which orders are staged
+  let lines = 0;
+  let orders = 0;
+  let staged = 0;
+  let orphans = 0;
+  let eof = false;
+
+  let current: { order: any; items: any[]; refundLines: any[]; refundIds: Set<string> } | null = null;
+  let batch: any[] = [];
+
+  const flush = async (upTo: number) => {
+    if (batch.length) {
+      await stagePayloads(client, stagingCols, channelId, domain, batch);
+      staged += batch.length;
+      batch = [];
+    }
+    committed = upTo;
+    state.offset = committed;
+    state.orders_staged = Number(state.orders_staged || 0) + staged;
+    staged = 0;
+    await setBulkState(client, channelId, domain, state);
+  };
+
+  outer: while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      eof = true;
+      buf += decoder.decode();
+    } else {
+      buf += decoder.decode(value, { stream: true });
+    }
+
+    let nl: number;
+    while ((nl = buf.indexOf("\n")) >= 0 || (eof && buf.length)) {
+      const line = nl >= 0 ? buf.slice(0, nl) : buf;
+      const lineStart = pos;
+      pos += encoder.encode(line).length + (nl >= 0 ? 1 : 0);
+      buf = nl >= 0 ? buf.slice(nl + 1) : "";
+      if (!line.trim()) continue;
+
+      const row = JSON.parse(line);
+      lines++;
+      if (row.__parentId) {
+        if (current && row.__parentId === current.order.id) current.items.push(row);
+        else if (current?.refundIds.has(row.__parentId)) current.refundLines.push(row);
+        else orphans++;
+        continue;
+      }
+
+      // a new order line closes the previous order
+      if (current) batch.push(bulkOrderToRest(current.order, current.items, current.refundLines));
+      if (lines > BULK_LINES_PER_TICK) {
+        current = null;
+        await flush(lineStart);
+        break outer;
+      }
+      current = { order: row, items: [], refundLines: [], refundIds: new Set((row.refunds ?? []).map((rf: any) => rf.id)) };
+      orders++;
+      if (batch.length >= BULK_STAGE_BATCH) await flush(lineStart);
+    }
+
+    if (eof) {
+      if (current) batch.push(bulkOrderToRest(current.order, current.items, current.refundLines));
+      state.status = "DONE";
+      state.finished_at = new Date().toISOString();
+      await flush(pos);
+      break;
+    }
+  }
+
+  if (!eof) await reader.cancel();
+  if (orphans) log("bulk:orphans", { domain, orphans });
+  await recordRun(client, {
+    kind: "bulk", trigger: "backfill", store: domain, orders, startedAt,
+    cursorBefore: String(offset), cursorAfter: String(committed),
+  });
+  log("bulk:slice", { domain, from: offset, to: committed, lines, orders, status: state.status });
+  return { from: offset, to: committed, lines, orders, ordersStaged: state.orders_staged ?? 0, orphans };
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Catalog: products.json → products / product_variants (per store)
+  Incremental on updated_at like the orders "updated" mode; the mark lives in
+  sync_state (shopify:products:<domain>). Order lines join the catalog on
+  (shop_id, variant_id) for vendor / product type and a fallback SKU and title.
+*───────────────────────────────────────────────────────────────────────────*/
+const PRODUCT_FIELDS = "id,title,handle,vendor,product_type,tags,status,updated_at,variants";
+
+/** Upsert one page of products.json; variants no longer on a product are removed */
+async function upsertCatalog(client: PoolClient, shopId: number, products: any[]): Promise<number> {
+  await client.query(`
+    INSERT INTO products (shop_id, product_id, title, handle, vendor, product_type, tags, status, updated_at)
+    SELECT $1, p->>'id', p->>'title', p->>'handle', NULLIF(trim(p->>'vendor'), ''), NULLIF(trim(p->>'product_type'), ''),
+           COALESCE(array_remove(array(SELECT trim(t) FROM unnest(string_to_array(p->>'tags', ',')) t), ''), '{}'),
+           p->>'status', (p->>'updated_at')::timestamptz
+    FROM jsonb_array_elements($2::jsonb) p
+    ON CONFLICT (shop_id, product_id) DO UPDATE
+      SET title = EXCLUDED.title, handle = EXCLUDED.handle, vendor = EXCLUDED.vendor,
+          product_type = EXCLUDED.product_type, tags = EXCLUDED.tags, status = EXCLUDED.status,
+          updated_at = EXCLUDED.updated_at, synced_at = now()
+  `, [shopId, JSON.stringify(products)]);
+
+  const variants = products.flatMap((p) => (Array.isArray(p.variants) ? p.variants : []).map((v: any) => ({ ...v, product_id: p.id })));
+  await client.query(`
+    DELETE FROM product_variants pv
+    WHERE pv.shop_id = $1 AND pv.product_id = ANY($2::text[]) AND NOT (pv.variant_id = ANY($3::text[]))
+  `, [shopId, products.map((p) => String(p.id)), variants.map((v) => String(v.id))]);
+  if (variants.length) {
+    await client.query(`
+      INSERT INTO product_variants (shop_id, variant_id, product_id, sku, title, price, inventory_item_id, updated_at)
+      SELECT $1, v->>'id', v->>'product_id', NULLIF(trim(v->>'sku'), ''), v->>'title',
+             (v->>'price')::numeric, v->>'inventory_item_id', (v->>'updated_at')::timestamptz
+      FROM jsonb_array_elements($2::jsonb) v
+      ON CONFLICT (shop_id, variant_id) DO UPDATE
+        SET product_id = EXCLUDED.product_id, sku = EXCLUDED.sku, title = EXCLUDED.title, price = EXCLUDED.price,
+            inventory_item_id = EXCLUDED.inventory_item_id, updated_at = EXCLUDED.updated_at, synced_at = now()
+    `, [shopId, JSON.stringify(variants)]);
+  }
+  return variants.length;
+}
+
+type CatalogStoreSummary = { pages: number; products: number; variants: number; throttle: ShopifyCallStats; error?: string };
+
+/** Page products.json (updated since the store's mark) into the catalog; resumes mid-pass like the orders cursor */
+async function syncShopifyProducts(
+  env: Env,
+  opts: { store?: string; reset?: boolean },
+  trigger: RunTrigger = "manual"
+): Promise<{ summary: Record<string, CatalogStoreSummary> }> {
+  if (!parseStores(env.SHOPIFY_STORES).length) throw new Error("No stores configured");
+
+  const client = await getClient(env);
+  const limit    = 250;
+  const maxPages = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
+  const summary: Record<string, CatalogStoreSummary> = {};
+
+  try {
+    const channelId = await getOrCreateShopifyChannelId(client);
+    const active = await activeStores(client, env);
+    const target = opts.store ? sanitizeDomain(opts.store) : "";
+    const list = target ? active.filter((s) => sanitizeDomain(s.domain) === target) : active;
+    if (target && !list.length) throw new Error(`Unknown or inactive store ${target}`);
+
+    for (const s of list) {
+      const domain = sanitizeDomain(s.domain);
+      const shopId = await shopIdFor(client, channelId, domain);
+      if (shopId == null) {
+        // products are keyed by shop_id, so a store the registry can't place is reported, not synced
+        summary[domain] = { pages: 0, products: 0, variants: 0, throttle: newCallStats(), error: `${domain} has no shops row` };
+        log("products:skipped", domain);
+        continue;
+      }
+      if (opts.reset) await setState(client, channelId, productsKey(domain), null);
+
+      const st = await getState<UpdatedState>(client, channelId, productsKey(domain));
+      const updatedMin = st?.updated_at_min ?? "1970-01-01T00:00:00Z";   // first pass: the whole catalog
+      // like the orders' updated mode, a finished pass leaves its own start (less the overlap) as the mark
+      const passStarted = st?.page_info ? (st.pass_started ?? updatedMin) : new Date().toISOString();
+      let nextPage: string | null = st?.page_info ?? null;
+      const startedAt = Date.now();
+      const throttle = newCallStats();
+      let pages = 0, products = 0, variants = 0;
+      let cursorAfter: string = st?.page_info ?? updatedMin;
+      let error: string | undefined;
+
+      try {
+        while (pages < maxPages) {
+          const qp = new URLSearchParams({ limit: String(limit), fields: PRODUCT_FIELDS });
+          if (nextPage) qp.set("page_info", nextPage);
+          else qp.set("updated_at_min", updatedMin);
+
+          const resp = await shopifyFetch(domain, s.token, `products.json?${qp.toString()}`, throttle);
+          const data: any = await resp.json();
+          const rows = Array.isArray(data.products) ? data.products : [];
+          if (rows.length) variants += await upsertCatalog(client, shopId, rows);
+          products += rows.length;
+          pages++;
+
+          const newCursor = rows.length ? shopifyNextPageInfo(resp.headers.get("link")) : null;
+          await setState(client, channelId, productsKey(domain), newCursor
+            ? { updated_at_min: updatedMin, page_info: newCursor, pass_started: passStarted }
+            : { updated_at_min: markBefore(passStarted) });
+          cursorAfter = newCursor ?? markBefore(passStarted);
+          if (!newCursor) break;
+          nextPage = newCursor;
+        }
+      } catch (e: any) {
+        error = e?.message ?? String(e);
+        log("products:error", domain, error);
+      }
+
+      summary[domain] = { pages, products, variants, throttle, ...(error ? { error } : {}) };
+      await recordRun(client, {
+        kind: "products", trigger, store: domain, pages, orders: products,   // orders = products synced
+        startedAt, cursorBefore: st?.page_info ?? updatedMin, cursorAfter, error,
+      });
+      log("products:done", domain, { pages, products, variants });
+    }
+  } finally {
+    await client.release();
+  }
+  return { summary };
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Inventory: Shopify inventory levels → inventory_snapshots
+  One row per (store, SKU, location, report-tz day); a pass later the same day
+  overwrites that day's row, so the table is the daily on-hand history. The
+  GraphQL cursor of an unfinished pass lives in sync_state
+  (shopify:inventory:<domain>) and the next run picks it up.
+*───────────────────────────────────────────────────────────────────────────*/
+/* Requested cost is about 25 × (1 + 10 levels × 2) ≈ 525 points, under the 1,000-point single-query cap */
+const INVENTORY_QUERY = `query levels($after: String) {
+  inventoryItems(first: 25, after: $after) {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      legacyResourceId
+      sku
+      tracked
+      inventoryLevels(first: 10) {
+        nodes {
+          location { legacyResourceId name }
+          quantities(names: ["available", "committed", "on_hand", "incoming"]) { name quantity }
+        }
+      }
+    }
+  }
+}`;
+
+/** Flatten one page of inventoryItems into (sku, location) rows; untracked and SKU-less items are skipped */
+function inventoryRows(items: any[]): Array<Record<string, unknown>> {
+  const rows: Array<Record<string, unknown>> = [];
+  for (const it of items) {
+    const sku = typeof it?.sku === "string" ? it.sku.trim() : "";
+    if (!sku || it?.tracked === false) continue;
+    for (const lvl of it?.inventoryLevels?.nodes ?? []) {
+      const qty: Record<string, number> = {};
+      for (const q of lvl?.quantities ?? []) qty[q.name] = Number(q.quantity) || 0;
+      rows.push({
+        sku,
+        inventory_item_id: String(it.legacyResourceId ?? ""),
+        location_id: String(lvl?.location?.legacyResourceId ?? ""),
+        location_name: lvl?.location?.name ?? null,
+        on_hand: qty.on_hand ?? 0,
+        available: qty.available ?? 0,
+        committed: qty.committed ?? 0,
+        incoming: qty.incoming ?? 0,
+        backordered: Math.max(-(qty.available ?? 0), 0),
+      });
+    }
+  }
+  return rows;
+}
+
+async function upsertInventorySnapshots(
+  client: PoolClient, channelId: number, shopId: number, day: string, rows: Array<Record<string, unknown>>
+): Promise<void> {
+  if (!rows.length) return;
+  await client.query(`
+    INSERT INTO inventory_snapshots
+      (channel_id, shop_id, sku, inventory_item_id, location_id, location_name,
+       on_hand, available, committed, incoming, backordered, snapshot_date, updated_at)
+    SELECT $1, $2, r->>'sku', r->>'inventory_item_id', r->>'location_id', r->>'location_name',
+           (r->>'on_hand')::int, (r->>'available')::int, (r->>'committed')::int,
+           (r->>'incoming')::int, (r->>'backordered')::int, $3::date, now()
+    FROM jsonb_array_elements($4::jsonb) r
+    ON CONFLICT (shop_id, sku, location_id, snapshot_date) DO UPDATE
+      SET inventory_item_id = EXCLUDED.inventory_item_id, location_name = EXCLUDED.location_name,
+          on_hand = EXCLUDED.on_hand, available = EXCLUDED.available, committed = EXCLUDED.committed,
+          incoming = EXCLUDED.incoming, backordered = EXCLUDED.backordered, updated_at = now()
+  `, [channelId, shopId, day, JSON.stringify(rows)]);
+}
+
+type InventoryStoreSummary = { pages: number; items: number; levels: number; complete: boolean; throttle: ShopifyCallStats; error?: string };
+
+/** Page every inventory item's levels into today's snapshot; resumes an unfinished pass from its cursor */
+async function syncShopifyInventory(
+  env: Env,
+  opts: { store?: string; reset?: boolean },
+  trigger: RunTrigger = "manual"
+): Promise<{ snapshot_date: string; summary: Record<string, InventoryStoreSummary> }> {
+  if (!parseStores(env.SHOPIFY_STORES).length) throw new Error("No stores configured");
+
+  const client = await getClient(env);
+  const maxPages = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
+  const day = todayIn(reportTz(env));
+  const summary: Record<string, InventoryStoreSummary> = {};
+
+  try {
+    const channelId = await getOrCreateShopifyChannelId(client);
+    const active = await activeStores(client, env);
+    const target = opts.store ? sanitizeDomain(opts.store) : "";
+    const list = target ? active.filter((s) => sanitizeDomain(s.domain) === target) : active;
+    if (target && !list.length) throw new Error(`Unknown or inactive store ${target}`);
 
-    return { store: store.domain, result };
+    for (const s of list) {
+      const domain = sanitizeDomain(s.domain);
+      const shopId = await shopIdFor(client, channelId, domain);
+      if (shopId == null) {
+        summary[domain] = { pages: 0, items: 0, levels: 0, complete: false, throttle: newCallStats(), error: `${domain} has no shops row` };
+        log("inventory:skipped", domain);
+        continue;
+      }
+      if (opts.reset) await setState(client, channelId, inventoryKey(domain), null);
+
+      const st = await getState<InventoryState>(client, channelId, inventoryKey(domain));
+      let after: string | null = st?.cursor ?? null;
+      const startedAt = Date.now();
+      const throttle = newCallStats();
+      let pages = 0, items = 0, levels = 0, complete = false;
+      let error: string | undefined;
+
+      try {
+        while (pages < maxPages) {
+          const data = await shopifyGraphql(domain, s.token, throttle, INVENTORY_QUERY, { after });
+          const conn = data?.inventoryItems;
+          const nodes = Array.isArray(conn?.nodes) ? conn.nodes : [];
+          const rows = inventoryRows(nodes);
+          await upsertInventorySnapshots(client, channelId, shopId, day, rows);
+          items += nodes.length;
+          levels += rows.length;
+          pages++;
+
+          const next = conn?.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+          await setState(client, channelId, inventoryKey(domain), next
+            ? { cursor: next, completed_at: st?.completed_at }
+            : { completed_at: new Date().toISOString() });
+          if (!next) { complete = true; break; }
+          after = next;
+        }
+      } catch (e: any) {
+        error = e?.message ?? String(e);
+        log("inventory:error", domain, error);
+      }
+
+      summary[domain] = { pages, items, levels, complete, throttle, ...(error ? { error } : {}) };
+      await recordRun(client, {
+        kind: "inventory", trigger, store: domain, pages, orders: levels,   // orders = (sku, location) levels written
+        startedAt, cursorBefore: st?.cursor ?? null, cursorAfter: complete ? null : after, error,
+      });
+      log("inventory:done", domain, { pages, items, levels, complete });
+    }
   } finally {
     await client.release();
   }
+  return { snapshot_date: day, summary };
 }
 
-/** Admin backfill: loop runShopifyIngest until cursor ends (per store or all). */
-async function backfillShopify(env: Env, opts: { days: number; store?: string; hardReset?: boolean }) {
-  const stores = parseStores(env.SHOPIFY_STORES);
-  if (!stores.length) throw new Error("No stores configured");
+/*───────────────────────────────────────────────────────────────────────────*
+  Transform: staging_raw → customers / orders / order_items
+  (incremental port of the hand-run transform_from_staging_v6.sql it replaced)
+*───────────────────────────────────────────────────────────────────────────*/
+type UpsertCount = { inserted: number; updated: number };
 
-  const target = opts.store ? sanitizeDomain(opts.store) : "";
-  const list = target ? stores.filter(s => sanitizeDomain(s.domain) === target) : stores;
+/* Latest staged payload per order id (Shopify ids; NetSuite ones are "ns:"-prefixed) among the ids staged in ($1, $2].
+   Webhooks arrive in any order, so the newest body is the one with the highest updated_at, not the last received;
+   every staged row up to $2 competes, so a late, stale delivery can't overwrite a newer one from an earlier run.
+   NetSuite bodies are pulled (SuiteQL or a CSV upload), never pushed, so the last one staged is the newest: they
+   rank by received_at alone, and their updated_at (account-local lastmodifieddate, or none from a CSV) is ignored.
+   Cancelled orders are zeroed like NetSuite's (lines at quantity 0, no money, no refunds). */
+const LATEST_STAGED_CTE = `
+  latest_raw AS (
+    SELECT DISTINCT ON (r.payload->>'id')
+      (r.payload->>'id')::text AS external_id,
+      NULLIF(r.domain, '')     AS shop_domain,
+      COALESCE(r.shop_id, sh.id) AS shop_id,
+      COALESCE(sh.channel_id, r.channel_id) AS channel_id,
+      NULLIF(r.payload->>'cancelled_at', '')::timestamptz AS cancelled_at,
+      r.payload
+    FROM staging_raw r
+    LEFT JOIN shops sh ON sh.domain = r.domain
+    WHERE r.payload ? 'id'
+      AND r.payload ? 'created_at'
+      AND r.payload ? 'line_items'
+      AND r.received_at <= $2::timestamptz
+      AND r.payload->>'id' IN (
+        SELECT w.payload->>'id'
+        FROM staging_raw w
+        WHERE w.payload ? 'line_items'
+          AND ($1::timestamptz IS NULL OR w.received_at > $1::timestamptz)
+          AND w.received_at <= $2::timestamptz
+      )
+    ORDER BY r.payload->>'id',
+             COALESCE(CASE WHEN r.payload->>'id' NOT LIKE 'ns:%' THEN NULLIF(r.payload->>'updated_at', '')::timestamptz END,
+                      r.received_at) DESC,
+             r.received_at DESC
+  ),
+  latest AS (
+    SELECT external_id, shop_domain, shop_id, channel_id, cancelled_at,
+           CASE WHEN cancelled_at IS NULL THEN payload
+                ELSE payload || jsonb_build_object(
+                  'total_price', '0.00', 'subtotal_price', '0.00', 'total_line_items_price', '0.00',
+                  'total_discounts', '0.00', 'total_tax', '0.00', 'total_shipping_price_set', NULL,
+                  'shipping_lines', '[]'::jsonb, 'original_total_additional_fees_set', NULL, 'refunds', '[]'::jsonb,
+                  'line_items', COALESCE((
+                    SELECT jsonb_agg(li || '{"quantity": 0, "current_quantity": 0, "discount_allocations": [], "tax_lines": []}'::jsonb)
+                    FROM jsonb_array_elements(payload->'line_items') li
+                  ), '[]'::jsonb))
+           END AS payload
+    FROM latest_raw
+  )`;
 
-  const perStoreSummary: Record<string, { iterations: number; pages: number; orders: number }> = {};
-  const maxIterations = 200; // safety cap
+/* Refunds in the window: embedded in latest order payloads, plus refunds/create webhook bodies */
+const STAGED_REFUNDS_CTE = `
+  refund_src AS (
+    SELECT l.external_id AS order_external_id, rf, 0 AS pri
+    FROM latest l
+    CROSS JOIN LATERAL jsonb_array_elements(COALESCE(l.payload->'refunds', '[]'::jsonb)) rf
+    UNION ALL
+    SELECT (r.payload->>'order_id')::text, r.payload, 1
+    FROM staging_raw r
+    WHERE r.payload ? 'refund_line_items'
+      AND r.payload ? 'order_id'
+      AND NOT r.payload ? 'line_items'
+      AND ($1::timestamptz IS NULL OR r.received_at > $1::timestamptz)
+      AND r.received_at <= $2::timestamptz
+  ),
+  staged_refunds AS (
+    SELECT DISTINCT ON (rf->>'id')
+      (rf->>'id')::text AS external_id,
+      order_external_id,
+      rf
+    FROM refund_src
+    WHERE rf ? 'id'
+    ORDER BY rf->>'id', pri
+  )`;
 
-  for (const s of list) {
-    const domain = sanitizeDomain(s.domain);
-    let iterations = 0;
-    let totalPages = 0;
-    let totalOrders = 0;
+/* subtotal, discounts, shipping, tax, fees from a latest-row payload (REST names; bulk rows are reshaped to match).
+   subtotal is line items before discounts; shipping falls back to shipping_lines when the _set is missing. */
+const ORDER_MONEY_SQL = `
+             COALESCE(
+               (l.payload->>'total_line_items_price')::numeric,
+               (SELECT SUM((li->>'price')::numeric * COALESCE(li->>'current_quantity', li->>'quantity')::int)
+                FROM jsonb_array_elements(l.payload->'line_items') li)
+             )::numeric(18,2),
+             COALESCE((l.payload->>'total_discounts')::numeric, 0)::numeric(18,2),
+             COALESCE(
+               (l.payload->'total_shipping_price_set'->'shop_money'->>'amount')::numeric,
+               (SELECT SUM((sl->>'price')::numeric)
+                FROM jsonb_array_elements(COALESCE(l.payload->'shipping_lines', '[]'::jsonb)) sl),
+               0
+             )::numeric(18,2),
+             COALESCE((l.payload->>'total_tax')::numeric, 0)::numeric(18,2),
+             COALESCE((l.payload->'original_total_additional_fees_set'->'shop_money'->>'amount')::numeric, 0)::numeric(18,2),`;
 
-    // optional hard reset
-    if (opts.hardReset) {
-      const c = await getClient(env);
-      try {
-        const channelId = await getOrCreateShopifyChannelId(c);
-        await setCursor(c, channelId, domain, null);
-        log("backfill:reset", { domain });
-      } finally {
-        await c.release();
-      }
-    }
+async function countUpserts(client: PoolClient, sql: string, params: any[]): Promise<UpsertCount> {
+  const r = await client.query(
+    `${sql}
+     SELECT count(*) FILTER (WHERE inserted)::int     AS inserted,
+            count(*) FILTER (WHERE NOT inserted)::int AS updated
+     FROM up`,
+    params
+  );
+  return { inserted: r.rows[0]?.inserted ?? 0, updated: r.rows[0]?.updated ?? 0 };
+}
 
-    // loop until run returns fewer than max pages OR no orders
-    while (iterations < maxIterations) {
-      iterations++;
-      const params = new URLSearchParams({
-        store: domain,
-        days: String(opts.days),
-      });
-      const res: any = await runShopifyIngest(env, params);
-      const pagesThisRun = Number(res?.summary?.[domain]?.pages || 0);
-      const ordersThisRun = Number(res?.summary?.[domain]?.ordersIngested || 0);
-      totalPages += pagesThisRun;
-      totalOrders += ordersThisRun;
+/* How long a staged row may take to commit: the transform window stops this far behind now() */
+const TRANSFORM_SETTLE = "2 minutes";
+
+/** Normalize rows staged since the last run (or everything with full=true). Idempotent. */
+async function runTransform(env: Env, opts: { full?: boolean; trigger?: RunTrigger } = {}): Promise<{
+  since: string | null;
+  until: string | null;
+  customers: IdentityResult & { updated: number };
+  orders: UpsertCount;
+  items: UpsertCount;
+  refunds: UpsertCount;
+  refundItems: UpsertCount;
+  costs: { allocated: number };
+}> {
+  const client = await getClient(env);
+  try {
+    const channelId = await getOrCreateShopifyChannelId(client);
+    await syncShops(client, env, channelId);
 
-      log("backfill:iteration", { domain, iterations, pagesThisRun, ordersThisRun });
+    const since = opts.full ? null : (await getState<{ received_at: string }>(client, channelId, TRANSFORM_KEY))?.received_at ?? null;
+    // pin the upper bound so rows staged mid-run are picked up next time, not skipped. received_at is the
+    // inserting statement's now(), so a webhook insert can commit after a later one; rows younger than
+    // TRANSFORM_SETTLE wait for the next run instead of falling behind the mark.
+    const until: string | null = (await client.query(`
+      SELECT CASE WHEN max(received_at) IS NOT NULL
+                  THEN least(max(received_at), now() - $1::interval)::text END AS t
+      FROM staging_raw
+    `, [TRANSFORM_SETTLE])).rows[0]?.t ?? null;
 
-      // heuristic: if we didn't hit your per-run page ceiling, or we got 0 orders, assume done
-      const perRunCap = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
-      if (pagesThisRun < perRunCap || ordersThisRun === 0) break;
+    const none = { inserted: 0, updated: 0 };
+    const empty = {
+      since, until, customers: { inserted: 0, merged: 0, linked: 0, updated: 0 }, orders: none, items: none, refunds: none, refundItems: none, costs: { allocated: 0 },
+    };
+    if (!until) return empty;
+
+    log("transform:start", { since, until, full: !!opts.full });
+
+    const startedAt = Date.now();
+    const run: RunRecord = {
+      kind: "transform", trigger: opts.trigger ?? "manual", mode: opts.full ? "full" : "incremental",
+      startedAt, cursorBefore: since, cursorAfter: until,
+    };
+
+    await client.query("BEGIN");
+    try {
+      const orders = await countUpserts(client,
+        `WITH ${LATEST_STAGED_CTE},
+         up AS (
+           INSERT INTO orders (channel_id, external_id, placed_at, total, shop_domain, shop_id, customer_id,
+                               name, order_number, currency, subtotal, discounts, shipping, tax, fees,
+                               financial_status, fulfillment_status, cancelled_at)
+           SELECT
+             COALESCE(l.channel_id, $3),
+             l.external_id,
+             (l.payload->>'created_at')::timestamptz,
+             COALESCE((l.payload->>'total_price')::numeric, 0)::numeric(18,2),
+             l.shop_domain,
+             l.shop_id,
+             NULL::uuid,                       -- linked by resolveCustomerIdentities below
+             l.payload->>'name',
+             l.payload->>'order_number',
+             l.payload->>'currency',
+             ${ORDER_MONEY_SQL}
+             l.payload->>'financial_status',
+             l.payload->>'fulfillment_status',
+             l.cancelled_at
+           FROM latest l
+           ON CONFLICT (external_id) DO UPDATE
+             SET placed_at          = EXCLUDED.placed_at,
+                 total              = EXCLUDED.total,
+                 shop_domain        = COALESCE(EXCLUDED.shop_domain, orders.shop_domain),
+                 shop_id            = COALESCE(EXCLUDED.shop_id, orders.shop_id),
+                 name               = EXCLUDED.name,
+                 order_number       = EXCLUDED.order_number,
+                 currency           = EXCLUDED.currency,
+                 subtotal           = EXCLUDED.subtotal,
+                 discounts          = EXCLUDED.discounts,
+                 shipping           = EXCLUDED.shipping,
+                 tax                = EXCLUDED.tax,
+                 fees               = EXCLUDED.fees,
+                 financial_status   = EXCLUDED.financial_status,
+                 fulfillment_status = EXCLUDED.fulfillment_status,
+                 cancelled_at       = EXCLUDED.cancelled_at,
+                 customer_id        = COALESCE(EXCLUDED.customer_id, orders.customer_id)
+           RETURNING (xmax = 0) AS inserted
+         )`,
+        [since, until, channelId]
+      );
+
+      // one customer per person across stores: match on Shopify id (per store), email and phone, merge, link orders
+      const identity = await resolveCustomerIdentities(client, channelId, since, until);
+
+      const items = await countUpserts(client,
+        `WITH ${LATEST_STAGED_CTE},
+         up AS (
+           INSERT INTO order_items (order_id, sku, external_product_id, external_variant_id, title, qty, unit_price, discount, tax, external_item_id)
+           SELECT
+             o.id,
+             (li->>'sku')::text,
+             (li->>'product_id')::text,
+             (li->>'variant_id')::text,
+             COALESCE(NULLIF(li->>'title', ''), li->>'name'),
+             COALESCE(li->>'current_quantity', li->>'quantity', '0')::int,
+             COALESCE((li->>'price')::numeric, 0)::numeric(18,2),
+             COALESCE((SELECT SUM((d->>'amount')::numeric)
+                       FROM jsonb_array_elements(COALESCE(li->'discount_allocations', '[]'::jsonb)) d), 0)::numeric(18,2),
+             COALESCE((SELECT SUM((t->>'price')::numeric)
+                       FROM jsonb_array_elements(COALESCE(li->'tax_lines', '[]'::jsonb)) t), 0)::numeric(18,2),
+             (li->>'id')::text
+           FROM latest l
+           JOIN orders o ON o.external_id = l.external_id
+           CROSS JOIN LATERAL jsonb_array_elements(COALESCE(l.payload->'line_items', '[]'::jsonb)) li
+           ON CONFLICT (order_id, external_item_id) DO UPDATE
+             SET sku                 = EXCLUDED.sku,
+                 external_product_id = EXCLUDED.external_product_id,
+                 external_variant_id = EXCLUDED.external_variant_id,
+                 title               = EXCLUDED.title,
+                 qty                 = EXCLUDED.qty,
+                 unit_price          = EXCLUDED.unit_price,
+                 discount            = EXCLUDED.discount,
+                 tax                 = EXCLUDED.tax
+           RETURNING (xmax = 0) AS inserted
+         )`,
+        [since, until]
+      );
+
+      // a cancellation zeroes the order, so refunds already recorded against it would be counted twice
+      await client.query(
+        `WITH ${LATEST_STAGED_CTE}
+         DELETE FROM refunds r
+         USING latest l
+         JOIN orders o ON o.external_id = l.external_id
+         WHERE r.order_id = o.id AND l.cancelled_at IS NOT NULL`,
+        [since, until]
+      );
+
+      const refunds = await countUpserts(client,
+        `WITH ${LATEST_STAGED_CTE}, ${STAGED_REFUNDS_CTE},
+         up AS (
+           INSERT INTO refunds (order_id, external_id, created_at, note, amount)
+           SELECT
+             o.id,
+             sr.external_id,
+             (sr.rf->>'created_at')::timestamptz,
+             NULLIF(sr.rf->>'note', ''),
+             COALESCE((
+               SELECT SUM((t->>'amount')::numeric)
+               FROM jsonb_array_elements(COALESCE(sr.rf->'transactions', '[]'::jsonb)) t
+               WHERE t->>'kind' = 'refund' AND t->>'status' = 'success'
+             ), 0)::numeric(18,2)
+           FROM staged_refunds sr
+           JOIN orders o ON o.external_id = sr.order_external_id AND o.cancelled_at IS NULL
+           ON CONFLICT (external_id) DO UPDATE
+             SET created_at = EXCLUDED.created_at,
+                 note       = EXCLUDED.note,
+                 amount     = EXCLUDED.amount
+           RETURNING (xmax = 0) AS inserted
+         )`,
+        [since, until]
+      );
+
+      const refundItems = await countUpserts(client,
+        `WITH ${LATEST_STAGED_CTE}, ${STAGED_REFUNDS_CTE},
+         up AS (
+           INSERT INTO refund_items (refund_id, order_item_id, external_id, external_item_id, sku, qty, subtotal, tax, restock_type)
+           SELECT
+             r.id,
+             oi.id,
+             (rli->>'id')::text,
+             (rli->>'line_item_id')::text,
+             COALESCE(NULLIF(rli->'line_item'->>'sku', ''), oi.sku),
+             COALESCE((rli->>'quantity')::int, 0),
+             COALESCE((rli->>'subtotal')::numeric, 0)::numeric(18,2),
+             COALESCE((rli->>'total_tax')::numeric, 0)::numeric(18,2),
+             rli->>'restock_type'
+           FROM staged_refunds sr
+           JOIN refunds r ON r.external_id = sr.external_id
+           CROSS JOIN LATERAL jsonb_array_elements(COALESCE(sr.rf->'refund_line_items', '[]'::jsonb)) rli
+           LEFT JOIN order_items oi
+             ON oi.order_id = r.order_id AND oi.external_item_id = (rli->>'line_item_id')::text
+           ON CONFLICT (refund_id, external_id) DO UPDATE
+             SET order_item_id = EXCLUDED.order_item_id,
+                 sku           = EXCLUDED.sku,
+                 qty           = EXCLUDED.qty,
+                 subtotal      = EXCLUDED.subtotal,
+                 tax           = EXCLUDED.tax,
+                 restock_type  = EXCLUDED.restock_type
+           RETURNING (xmax = 0) AS inserted
+         )`,
+        [since, until]
+      );
+
+      // names / company from each customer's newest staged order (blank fields never overwrite)
+      await client.query(
+        `WITH ${LATEST_STAGED_CTE},
+         named AS (
+           SELECT DISTINCT ON (o.customer_id)
+             o.customer_id,
+             NULLIF(l.payload->'customer'->>'first_name', '')                         AS first_name,
+             NULLIF(l.payload->'customer'->>'last_name', '')                          AS last_name,
+             NULLIF(COALESCE(l.payload->'billing_address'->>'company',
+                             l.payload->'customer'->'default_address'->>'company'), '') AS company
+           FROM latest l
+           JOIN orders o ON o.external_id = l.external_id
+           WHERE o.customer_id IS NOT NULL
+           ORDER BY o.customer_id, o.placed_at DESC
+         )
+         UPDATE customers c
+         SET first_name = COALESCE(n.first_name, c.first_name),
+             last_name  = COALESCE(n.last_name, c.last_name),
+             company    = COALESCE(n.company, c.company)
+         FROM named n
+         WHERE c.id = n.customer_id
+           AND (c.first_name, c.last_name, c.company)
+               IS DISTINCT FROM (COALESCE(n.first_name, c.first_name), COALESCE(n.last_name, c.last_name), COALESCE(n.company, c.company))`,
+        [since, until]
+      );
+
+      // lifetime stats for customers whose orders or refunds changed this run
+      const customersUpdated = await refreshCustomerStats(client,
+        `o.external_id IN (
+           WITH ${LATEST_STAGED_CTE}, ${STAGED_REFUNDS_CTE}
+           SELECT external_id FROM latest UNION SELECT order_external_id FROM staged_refunds
+         )`,
+        [since, until]
+      );
+
+      // re-cost every line of the orders touched this run (sku, qty or order date may have changed)
+      const allocated = await allocateLandedCosts(client,
+        `o.external_id IN (WITH ${LATEST_STAGED_CTE} SELECT external_id FROM latest)`,
+        [since, until]
+      );
+
+      await setState(client, channelId, TRANSFORM_KEY, { received_at: until });
+      await client.query("COMMIT");
+
+      const res = {
+        since, until, customers: { ...identity, updated: customersUpdated }, orders, items, refunds, refundItems, costs: { allocated },
+      };
+      log("transform:summary", res);
+      await recordRun(client, { ...run, orders: orders.inserted + orders.updated });
+      return res;
+    } catch (e: any) {
+      await client.query("ROLLBACK");
+      await recordRun(client, { ...run, cursorAfter: since, error: e?.message || String(e) });
+      throw e;
     }
+  } finally {
+    await client.release();
+  }
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  COGS: sku_costs CSV import + landed-cost allocation
+*───────────────────────────────────────────────────────────────────────────*/
+type CostRow = { sku: string; cost: number; effective_from: string; effective_to: string | null };
+type CostRowError = { line: number; sku?: string; error: string };
 
-    perStoreSummary[domain] = { iterations, pages: totalPages, orders: totalOrders };
+/** Split one CSV line; handles "quoted, fields" and "" escapes (NetSuite quotes anything with a comma) */
+function splitCsvLine(line: string): string[] {
+  const out: string[] = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { out.push(cur.trim()); cur = ""; }
+    else cur += ch;
   }
+  out.push(cur.trim());
+  return out;
+}
 
-  return { days: opts.days, hardReset: !!opts.hardReset, stores: list.map(s => s.domain), perStoreSummary };
+/** YYYY-MM-DD or M/D/YYYY (NetSuite's US export) → YYYY-MM-DD, or null if not a real date */
+function parseCostDate(v: string): string | null {
+  let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const [y, mo, d] = m ? [m[1], m[2], m[3]] : (m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)) ? [m[3], m[1], m[2]] : [];
+  if (!y) return null;
+  const dt = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (dt.getUTCFullYear() !== Number(y) || dt.getUTCMonth() !== Number(mo) - 1 || dt.getUTCDate() !== Number(d)) return null;
+  return dt.toISOString().slice(0, 10);
 }
 
-/* Core ingest: single pass (up to MAX_PAGES_PER_RUN) for one or all stores */
-async function runShopifyIngest(env: Env, params: URLSearchParams): Promise<{
-  summary: Record<string, { pages: number; ordersIngested: number }>;
-}> {
-  const stores = parseStores(env.SHOPIFY_STORES);
-  if (!stores.length) throw new Error("No stores configured");
+/** Header `sku,cost,effective_from[,effective_to]` (any order, any case). Every bad row is reported, none thrown. */
+function parseCostsCsv(text: string): { rows: CostRow[]; errors: CostRowError[] } {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const cols = splitCsvLine(lines[0] || "").map((c) => c.toLowerCase());
+  const idx = { sku: cols.indexOf("sku"), cost: cols.indexOf("cost"), from: cols.indexOf("effective_from"), to: cols.indexOf("effective_to") };
+  if (idx.sku < 0 || idx.cost < 0 || idx.from < 0) {
+    return { rows: [], errors: [{ line: 1, error: "header must include sku,cost,effective_from[,effective_to]" }] };
+  }
 
-  const client = await getClient(env);
+  const rows: CostRow[] = [];
+  const errors: CostRowError[] = [];
+  const seen = new Map<string, number>();   // sku|effective_from → first line
+  lines.slice(1).forEach((raw, i) => {
+    const line = i + 2;
+    if (!raw.trim()) return;
+    const f = splitCsvLine(raw);
+    const sku = f[idx.sku] || "";
+    const costRaw = (f[idx.cost] || "").replace(/[$,]/g, "");
+    const from = parseCostDate(f[idx.from] || "");
+    const toRaw = idx.to >= 0 ? f[idx.to] || "" : "";
+    const to = toRaw ? parseCostDate(toRaw) : null;
 
-  const limit    = Math.min(Math.max(Number(env.PAGE_SIZE || 100), 1), 250);
-  const maxPages = Math.min(Math.max(Number(env.MAX_PAGES_PER_RUN || 10), 1), 50);
-  const days     = Math.min(Math.max(Number(params.get("days") || 90), 1), 365);
-  const reset    = (params.get("reset") || "").toLowerCase() === "true";
+    const bad = (error: string) => errors.push({ line, sku: sku || undefined, error });
+    if (!sku) return bad("sku is empty");
+    if (!/^\d*\.?\d+$/.test(costRaw)) return bad(`cost "${f[idx.cost] ?? ""}" is not a non-negative number`);
+    if (!from) return bad(`effective_from "${f[idx.from] ?? ""}" is not a date (YYYY-MM-DD or M/D/YYYY)`);
+    if (toRaw && !to) return bad(`effective_to "${toRaw}" is not a date (YYYY-MM-DD or M/D/YYYY)`);
+    if (to && to < from) return bad(`effective_to ${to} is before effective_from ${from}`);
+    const key = `${sku}|${from}`;
+    if (seen.has(key)) return bad(`duplicate of line ${seen.get(key)} (same sku + effective_from)`);
+    seen.set(key, line);
+    rows.push({ sku, cost: Number(costRaw), effective_from: from, effective_to: to });
+  });
+  return { rows, errors };
+}
 
-  await client.query(
-    "CREATE EXTENSION IF NOT EXISTS pgcrypto; " +
-    "CREATE TABLE IF NOT EXISTS staging_raw (" +
-    " id UUID DEFAULT gen_random_uuid() PRIMARY KEY," +
-    " payload JSONB NOT NULL," +
-    " received_at TIMESTAMPTZ DEFAULT now()," +
-    " domain text" +
-    ");"
+/** order_items.landed_cost_alloc = qty × the sku_costs row in effect on the order's report-tz date.
+    `where` filters `order_items i JOIN orders o`; lines with no cost go back to NULL. Returns rows changed. */
+async function allocateLandedCosts(client: PoolClient, where: string, params: any[]): Promise<number> {
+  const r = await client.query(
+    `WITH priced AS (
+       SELECT i.id, (i.qty * sc.cost)::numeric(18,2) AS alloc
+       FROM order_items i
+       JOIN orders o ON o.id = i.order_id
+       LEFT JOIN LATERAL (
+         SELECT s.cost
+         FROM sku_costs s
+         WHERE s.sku = i.sku
+           AND s.effective_from <= (o.placed_at AT TIME ZONE ${TZ_SQL})::date
+           AND (s.effective_to IS NULL OR s.effective_to >= (o.placed_at AT TIME ZONE ${TZ_SQL})::date)
+         ORDER BY s.effective_from DESC
+         LIMIT 1
+       ) sc ON TRUE
+       WHERE ${where}
+     )
+     UPDATE order_items i
+     SET landed_cost_alloc = p.alloc
+     FROM priced p
+     WHERE i.id = p.id
+       AND i.landed_cost_alloc IS DISTINCT FROM p.alloc`,
+    params
   );
-  const stagingCols = await getStagingColumns(client);
-  const channelId   = await getOrCreateShopifyChannelId(client);
+  return r.rowCount ?? 0;
+}
 
-  const targetDomainParam = params.get("store") || params.get("domain");
-  const target = targetDomainParam ? sanitizeDomain(String(targetDomainParam)) : null;
-  const list   = target ? stores.filter((s) => sanitizeDomain(s.domain) === target) : stores;
+/** Upsert parsed rows into sku_costs, then re-cost every order line of the SKUs touched — one transaction */
+async function importSkuCosts(env: Env, rows: CostRow[]): Promise<UpsertCount & { allocated: number }> {
+  const client = await getClient(env);
+  try {
+    await client.query("BEGIN");
+    try {
+      const total = { inserted: 0, updated: 0 };
+      for (let i = 0; i < rows.length; i += 1000) {
+        const chunk = rows.slice(i, i + 1000);
+        const c = await countUpserts(client,
+          `WITH up AS (
+             INSERT INTO sku_costs (sku, cost, effective_from, effective_to)
+             SELECT * FROM unnest($1::text[], $2::numeric[], $3::date[], $4::date[])
+             ON CONFLICT (sku, effective_from) DO UPDATE
+               SET cost         = EXCLUDED.cost,
+                   effective_to = EXCLUDED.effective_to
+             RETURNING (xmax = 0) AS inserted
+           )`,
+          [chunk.map((r) => r.sku), chunk.map((r) => r.cost), chunk.map((r) => r.effective_from), chunk.map((r) => r.effective_to)]
+        );
+        total.inserted += c.inserted;
+        total.updated += c.updated;
+      }
+      const skus = [...new Set(rows.map((r) => r.sku))];
+      const allocated = await allocateLandedCosts(client, `i.sku = ANY($1::text[])`, [skus]);
+      await client.query("COMMIT");
+      log("costs:import", { ...total, skus: skus.length, allocated });
+      return { ...total, allocated };
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    }
+  } finally {
+    await client.release();
+  }
+}
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Purchase orders: NetSuite PO export (CSV, or XLSX converted in the browser)
+  Each upload is a purchase_order_imports row; its lines land open. With
+  replace=true the file is the whole open-PO list and every other open line
+  is closed; otherwise a line supersedes open lines of the same PO + SKU.
+*───────────────────────────────────────────────────────────────────────────*/
+type PoLine = {
+  po_number: string | null; vendor: string | null; sku: string; quantity: number; quantity_received: number;
+  unit_cost: number | null; order_date: string | null; expected_date: string | null;
+};
+
+/* Normalized header (lower case, runs of non-alphanumerics → _) → field; first match wins */
+const PO_COLUMNS: Record<keyof PoLine | "total_cost", string[]> = {
+  sku:               ["sku", "item", "item_name", "item_number", "item_sku"],
+  quantity:          ["quantity", "qty", "quantity_ordered", "qty_ordered"],
+  quantity_received: ["quantity_received", "qty_received", "quantity_fulfilled_received", "received"],
+  expected_date:     ["expected_date", "expected_receipt_date", "expected_receipt", "due_date", "receive_by"],
+  po_number:         ["po_number", "po", "document_number", "number", "po_no"],
+  vendor:            ["vendor", "vendor_name", "supplier", "name"],
+  order_date:        ["order_date", "date", "po_date"],
+  unit_cost:         ["unit_cost", "rate", "item_rate", "cost"],
+  total_cost:        ["total_cost", "amount", "total"],
+};
+
+/** NetSuite reports open with title rows, so the header is the first of the top 10 lines that has every
+    `required` column. Returns its line index and each field's column (-1 = absent), or null. */
+function findCsvHeader<K extends string>(
+  lines: string[], columns: Record<K, string[]>, required: NoInfer<K>[]
+): { at: number; idx: Record<K, number> } | null {
+  const norm = (c: string) => c.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+  const find = (cols: string[], names: string[]) => names.map((n) => cols.indexOf(n)).find((i) => i >= 0) ?? -1;
+  const at = lines.slice(0, 10).findIndex((l) => {
+    const cols = splitCsvLine(l).map(norm);
+    return required.every((k) => find(cols, columns[k]) >= 0);
+  });
+  if (at < 0) return null;
+  const cols = splitCsvLine(lines[at]).map(norm);
+  const idx = Object.fromEntries(Object.entries<string[]>(columns).map(([k, names]) => [k, find(cols, names)])) as Record<K, number>;
+  return { at, idx };
+}
+
+/** "$1,234.50" → 1234.5; blank → null; anything else → NaN */
+function csvNumber(v: string): number | null {
+  const t = v.replace(/[$,\s]/g, "");
+  return t === "" ? null : /^-?\d*\.?\d+$/.test(t) ? Number(t) : NaN;
+}
 
-  const summary: Record<string, { pages: number; ordersIngested: number }> = {};
+/** Header: see PO_COLUMNS (item + quantity required). NetSuite subtotal rows (no item, a "Total - …" cell) are skipped;
+    every other bad row comes back as a row error. */
+function parsePurchaseOrdersCsv(text: string): { rows: PoLine[]; errors: CostRowError[] } {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const header = findCsvHeader(lines, PO_COLUMNS, ["sku", "quantity"]);
+  if (!header) {
+    return { rows: [], errors: [{ line: 1, error: "no header with an item (sku/item) and a quantity column in the first 10 lines" }] };
+  }
+  const { at: headerAt, idx } = header;
+
+  const rows: PoLine[] = [];
+  const errors: CostRowError[] = [];
+  lines.slice(headerAt + 1).forEach((raw, i) => {
+    const line = headerAt + i + 2;
+    if (!raw.replace(/[",\s]/g, "")) return;
+    const f = splitCsvLine(raw);
+    const get = (k: keyof typeof PO_COLUMNS) => (idx[k] >= 0 ? f[idx[k]] || "" : "");
+    const sku = get("sku");
+    const bad = (error: string) => errors.push({ line, sku: sku || undefined, error });
+
+    if (!sku && f.some((c) => /^total\b/i.test(c.trim()))) return;
+    if (!sku) return bad("item is empty");
+    const quantity = csvNumber(get("quantity"));
+    if (quantity == null || !(quantity > 0)) return bad(`quantity "${get("quantity")}" is not a positive number`);
+    const received = csvNumber(get("quantity_received")) ?? 0;
+    if (!(received >= 0)) return bad(`quantity received "${get("quantity_received")}" is not a non-negative number`);
+    const dates: Record<"order_date" | "expected_date", string | null> = { order_date: null, expected_date: null };
+    for (const k of ["order_date", "expected_date"] as const) {
+      if (!get(k)) continue;
+      dates[k] = parseCostDate(get(k));
+      if (!dates[k]) return bad(`${k} "${get(k)}" is not a date (YYYY-MM-DD or M/D/YYYY)`);
+    }
+    let unitCost = csvNumber(get("unit_cost"));
+    const total = csvNumber(get("total_cost"));
+    if (unitCost == null && total != null && Number.isFinite(total)) unitCost = Math.round((total / quantity) * 10000) / 10000;
+    if (unitCost != null && !(unitCost >= 0)) return bad(`cost "${get("unit_cost") || get("total_cost")}" is not a non-negative number`);
 
+    rows.push({
+      po_number: get("po_number") || null, vendor: get("vendor") || null, sku, quantity,
+      quantity_received: received, unit_cost: unitCost, ...dates,
+    });
+  });
+  return { rows, errors };
+}
+
+/** Record the import and insert its lines as open, closing the open lines they supersede — one transaction */
+async function importPurchaseOrders(
+  env: Env, rows: PoLine[], opts: { replace: boolean; filename?: string }
+): Promise<{ import_id: number; lines: number; closed: number }> {
+  const client = await getClient(env);
   try {
-    for (const s of list) {
-      const domain = sanitizeDomain(s.domain);
-      if (!isValidDomain(domain)) throw new Error(`Invalid shop domain: "${s.domain}" -> "${domain}"`);
+    await client.query("BEGIN");
+    try {
+      const imp = await client.query(
+        `INSERT INTO purchase_order_imports (filename, lines, replaced) VALUES ($1, $2, $3) RETURNING id`,
+        [opts.filename || null, rows.length, opts.replace]
+      );
+      const importId = Number(imp.rows[0].id);
+      const closed = opts.replace
+        ? await client.query(`UPDATE purchase_order_lines SET status = 'closed', closed_at = now() WHERE status = 'open'`)
+        : await client.query(`
+            UPDATE purchase_order_lines l SET status = 'closed', closed_at = now()
+            FROM unnest($1::text[], $2::text[]) AS k(po_number, sku)
+            WHERE l.status = 'open' AND l.po_number = k.po_number AND l.sku = k.sku
+          `, [rows.filter((r) => r.po_number).map((r) => r.po_number), rows.filter((r) => r.po_number).map((r) => r.sku)]);
+      for (let i = 0; i < rows.length; i += 1000) {
+        const chunk = rows.slice(i, i + 1000);
+        await client.query(`
+          INSERT INTO purchase_order_lines
+            (import_id, po_number, vendor, sku, quantity, quantity_received, unit_cost, order_date, expected_date)
+          SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::numeric[], $6::numeric[], $7::numeric[], $8::date[], $9::date[])
+        `, [importId, chunk.map((r) => r.po_number), chunk.map((r) => r.vendor), chunk.map((r) => r.sku),
+            chunk.map((r) => r.quantity), chunk.map((r) => r.quantity_received), chunk.map((r) => r.unit_cost),
+            chunk.map((r) => r.order_date), chunk.map((r) => r.expected_date)]);
+      }
+      const closedCount = closed.rowCount ?? 0;
+      await client.query(`UPDATE purchase_order_imports SET closed = $2 WHERE id = $1`, [importId, closedCount]);
+      await client.query("COMMIT");
+      log("po:import", { import_id: importId, lines: rows.length, closed: closedCount, replace: opts.replace });
+      return { import_id: importId, lines: rows.length, closed: closedCount };
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    }
+  } finally {
+    await client.release();
+  }
+}
 
-      const token = s.token;
-      if (!/^shpat_/.test(token || "")) throw new Error(`Missing/invalid Admin API token for ${domain}`);
+/*───────────────────────────────────────────────────────────────────────────*
+  NetSuite: sales orders → staging_raw, as a second channel
+  Two ways in: NETSUITE_ADAPTER (SuiteQL over the REST API with token-based
+  auth, OAuth 1.0a HMAC-SHA256, in lastmodifieddate order from a saved mark),
+  or a saved-search CSV export (one row per line) uploaded by hand. Both produce
+  NsLine rows that are reshaped into REST-style order payloads, so the
+  transform loads them into orders / order_items like any Shopify order.
+  Order ids are "ns:<internal id>" so they can never collide with Shopify's.
+*───────────────────────────────────────────────────────────────────────────*/
+const NETSUITE_CHANNEL = "NetSuite";
+const NETSUITE_DOMAIN = "netsuite";        // shops.domain / staging_raw.domain of NetSuite's single shop row
+const NETSUITE_PAGE_SIZE = 1000;           // SuiteQL's max rows per request, for the offset-paged line queries
+const NETSUITE_MAX_ATTEMPTS = 5;
 
-      if (reset) await setCursor(client, channelId, domain, null);
+type NetSuiteConfig = {
+  account: string; consumerKey: string; consumerSecret: string; tokenId: string; tokenSecret: string; baseUrl: string;
+};
 
-      let pages = 0;
-      let total = 0;
-      let nextPage: string | null = await getCursor(client, channelId, domain); // resume
-      const since = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+type NsLine = {
+  so_id: string; tranid: string; trandate: string; last_modified: string | null; status: string | null;
+  currency: string | null; total: number | null;
+  customer_id: string | null; first_name: string | null; last_name: string | null; company: string | null;
+  email: string | null; phone: string | null;
+  line_id: string; item_type: string | null; sku: string | null; title: string | null; item_id: string | null;
+  quantity: number; rate: number | null; amount: number;
+};
 
-      log("ingest:start", { domain, days, resumeFromCursor: !!nextPage });
+/** env.NETSUITE, or null when unset / incomplete. base_url points the client at a stand-in server (tests, sandboxes). */
+function parseNetSuite(env: Env): NetSuiteConfig | null {
+  if (!env.NETSUITE) return null;
+  try {
+    const v = JSON.parse(env.NETSUITE);
+    const account = String(v.account ?? "").trim();
+    const cfg = {
+      account,
+      consumerKey: String(v.consumer_key ?? ""),
+      consumerSecret: String(v.consumer_secret ?? ""),
+      tokenId: String(v.token_id ?? ""),
+      tokenSecret: String(v.token_secret ?? ""),
+      // account ids look like 1234567 or 1234567_SB1; the host wants 1234567-sb1
+      baseUrl: String(v.base_url || `https://${account.toLowerCase().replace(/_/g, "-")}.suitetalk.api.netsuite.com`).replace(/\/+$/, ""),
+    };
+    return account && cfg.consumerKey && cfg.consumerSecret && cfg.tokenId && cfg.tokenSecret ? cfg : null;
+  } catch {
+    return null;
+  }
+}
 
-      while (pages < maxPages) {
-        const qp = new URLSearchParams();
-        qp.set("limit", String(limit));
-        if (!nextPage) {
-          qp.set("status", "any");
-          qp.set("created_at_min", since);
-        } else {
-          qp.set("page_info", nextPage);
-        }
+/** NetSuite's shops row (registered on first use), so its orders carry a shop_id and shop= filters work */
+async function netsuiteShopId(client: PoolClient): Promise<number> {
+  const channelId = await getOrCreateChannelId(client, NETSUITE_CHANNEL);
+  await client.query(`
+    INSERT INTO shops (channel_id, handle, domain, name)
+    SELECT $1, $2, $2, 'NetSuite'
+    WHERE NOT EXISTS (SELECT 1 FROM shops x WHERE x.channel_id = $1 AND x.domain = $2)
+    ON CONFLICT (channel_id, domain) DO NOTHING
+  `, [channelId, NETSUITE_DOMAIN]);
+  return (await shopIdFor(client, channelId, NETSUITE_DOMAIN))!;
+}
 
-        const urlStr = `https://${domain}/admin/api/2024-07/orders.json?${qp.toString()}`;
-        const resp = await fetch(urlStr, {
-          headers: {
-            "X-Shopify-Access-Token": token,
-            "Content-Type": "application/json",
-            "Accept": "application/json",
-          },
-        });
+/** RFC 3986 percent-encoding (encodeURIComponent leaves !'()* alone; OAuth doesn't) */
+function oauthEncode(v: string): string {
+  return encodeURIComponent(v).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
 
-        if (!resp.ok) {
-          const t = await resp.text();
-          throw new Error(`Shopify ${domain} ${resp.status}: ${t}`);
-        }
+/** OAuth 1.0a header for token-based auth. The query string is signed along with the oauth_* params; the body isn't. */
+async function netsuiteAuthHeader(cfg: NetSuiteConfig, method: string, url: URL): Promise<string> {
+  const oauth: Record<string, string> = {
+    oauth_consumer_key: cfg.consumerKey,
+    oauth_nonce: crypto.randomUUID().replace(/-/g, ""),
+    oauth_signature_method: "HMAC-SHA256",
+    oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+    oauth_token: cfg.tokenId,
+    oauth_version: "1.0",
+  };
+  const params = [...url.searchParams, ...Object.entries(oauth)]
+    .map(([k, v]) => `${oauthEncode(k)}=${oauthEncode(v)}`)
+    .sort()
+    .join("&");
+  const base = `${method.toUpperCase()}&${oauthEncode(url.origin + url.pathname)}&${oauthEncode(params)}`;
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(`${oauthEncode(cfg.consumerSecret)}&${oauthEncode(cfg.tokenSecret)}`),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = base64FromBytes(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(base)));
+  const fields = { realm: cfg.account.toUpperCase(), ...oauth, oauth_signature: signature };
+  return "OAuth " + Object.entries(fields).map(([k, v]) => `${k}="${oauthEncode(v)}"`).join(", ");
+}
 
-        const data: any = await resp.json();
-        const orders = Array.isArray(data.orders) ? data.orders : [];
-
-        if (orders.length) {
-          // Build INSERT for existing staging_raw columns
-          const cols = ["payload"];
-          if (stagingCols.has("channel_id")) cols.push("channel_id");
-          if (stagingCols.has("source"))     cols.push("source");
-          if (stagingCols.has("kind"))       cols.push("kind");
-          if (stagingCols.has("domain"))     cols.push("domain");
-
-          const values: any[] = [];
-          const placeholders: string[] = [];
-          let paramIdx = 1;
-
-          for (const o of orders) {
-            const row: any[] = [JSON.stringify(o)];
-            if (stagingCols.has("channel_id")) row.push(channelId);
-            if (stagingCols.has("source"))     row.push("shopify");
-            if (stagingCols.has("kind"))       row.push("order");
-            if (stagingCols.has("domain"))     row.push(domain);
-
-            placeholders.push("(" + row.map(() => `$${paramIdx++}`).join(",") + ")");
-            values.push(...row);
-          }
+/**
+ * REST call against the account. Retries 429 (concurrency limit) and 5xx with the same jittered backoff as
+ * shopifyFetch, signing every attempt afresh (nonces are single-use). Throws on other 4xx or after the last attempt.
+ */
+async function netsuiteFetch(cfg: NetSuiteConfig, path: string, stats: ShopifyCallStats, init: RequestInit = {}): Promise<Response> {
+  const url = new URL(`${cfg.baseUrl}/${path.replace(/^\/+/, "")}`);
 
-          const sql = `INSERT INTO staging_raw (${cols.join(",")}) VALUES ${placeholders.join(",")}`;
-          await client.query(sql, values);
-        }
+  for (let attempt = 0; ; attempt++) {
+    if (attempt > 0) stats.retries++;
+    stats.calls++;
 
-        total += orders.length;
-        pages++;
+    let resp: Response;
+    try {
+      resp = await fetch(url.toString(), {
+        ...init,
+        headers: {
+          "Authorization": await netsuiteAuthHeader(cfg, init.method || "GET", url),
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          ...(init.headers as Record<string, string> | undefined),
+        },
+      });
+    } catch (e: any) {
+      if (attempt + 1 >= NETSUITE_MAX_ATTEMPTS) throw new Error(`NetSuite ${cfg.account} network error: ${e?.message ?? e}`);
+      const waitMs = backoffMs(attempt);
+      recordWait(stats, { reason: "network", attempt, waitMs });
+      await sleep(waitMs);
+      continue;
+    }
+    if (resp.ok) return resp;
 
-        // Parse Link header for next page_info
-        const link = resp.headers.get("link") || resp.headers.get("Link");
-        let newCursor: string | null = null;
-        if (link) {
-          const m = link.match(/<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/i);
-          if (m) newCursor = m[1];
-        }
+    const retryable = resp.status === 429 || resp.status >= 500;
+    if (!retryable || attempt + 1 >= NETSUITE_MAX_ATTEMPTS) {
+      const t = await resp.text();
+      throw new Error(`NetSuite ${cfg.account} ${resp.status}: ${t}`);
+    }
+
+    const waitMs = resp.status === 429 ? retryAfterMs(resp, attempt) : backoffMs(attempt);
+    await resp.body?.cancel();
+    recordWait(stats, { reason: resp.status === 429 ? "429" : "5xx", status: resp.status, attempt, waitMs });
+    await sleep(waitMs);
+  }
+}
+
+/** One page of a SuiteQL query (rows come back with lower-case column names) */
+async function suiteql(
+  cfg: NetSuiteConfig, q: string, offset: number, limit: number, stats: ShopifyCallStats
+): Promise<{ items: any[]; hasMore: boolean }> {
+  const resp = await netsuiteFetch(cfg, `services/rest/query/v1/suiteql?limit=${limit}&offset=${offset}`, stats, {
+    method: "POST",
+    headers: { Prefer: "transient" },
+    body: JSON.stringify({ q }),
+  });
+  const data: any = await resp.json();
+  return { items: Array.isArray(data?.items) ? data.items : [], hasMore: !!data?.hasMore };
+}
+
+/* Sales order headers, oldest change first (lastmodifieddate, then id). The first page starts at the mark
+   ('YYYY-MM-DDTHH:MI:SS' in the account's timezone); later ones start after the last header read (keyset),
+   so an order modified mid-pass can't shift unread rows past an offset. */
+function netsuiteOrdersQuery(modifiedSince: string, after: { modified: string; id: string } | null = null): string {
+  const ts = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/;
+  if (!ts.test(modifiedSince)) throw new Error(`bad NetSuite mark ${modifiedSince}`);
+  if (after && (!ts.test(after.modified) || !/^\d+$/.test(after.id))) throw new Error(`bad NetSuite cursor ${after.modified}|${after.id}`);
+  const at = (v: string) => `TO_TIMESTAMP('${v}', 'YYYY-MM-DD"T"HH24:MI:SS')`;
+  const where = after
+    ? `(t.lastmodifieddate > ${at(after.modified)} OR (t.lastmodifieddate = ${at(after.modified)} AND t.id > ${after.id}))`
+    : `t.lastmodifieddate >= ${at(modifiedSince)}`;
+  return `
+    SELECT
+      t.id AS so_id, t.tranid, TO_CHAR(t.trandate, 'YYYY-MM-DD') AS trandate,
+      TO_CHAR(t.lastmodifieddate, 'YYYY-MM-DD"T"HH24:MI:SS') AS last_modified,
+      BUILTIN.DF(t.status) AS status, BUILTIN.DF(t.currency) AS currency, t.foreigntotal AS total,
+      t.entity AS customer_id, c.firstname AS first_name, c.lastname AS last_name, c.companyname AS company,
+      c.email, c.phone
+    FROM transaction t
+    LEFT JOIN customer c ON c.id = t.entity
+    WHERE t.type = 'SalesOrd'
+      AND ${where}
+    ORDER BY t.lastmodifieddate, t.id`;
+}
+
+/* The lines of a page of orders. Sales lines post as credits, so quantity and amount are negated;
+   tax lines are left to the header total. */
+function netsuiteLinesQuery(soIds: string[]): string {
+  if (!soIds.every((id) => /^\d+$/.test(id))) throw new Error("bad NetSuite order id");
+  return `
+    SELECT
+      tl.transaction AS so_id, tl.id AS line_id, tl.itemtype AS item_type, i.itemid AS sku,
+      COALESCE(i.displayname, tl.memo) AS title, tl.item AS item_id,
+      -tl.quantity AS quantity, tl.rate, -tl.foreignamount AS amount
+    FROM transactionline tl
+    LEFT JOIN item i ON i.id = tl.item
+    WHERE tl.transaction IN (${soIds.join(",")}) AND tl.mainline = 'F' AND tl.taxline = 'F'
+    ORDER BY tl.transaction, tl.id`;
+}
+
+function nsLineFromSuiteql(h: any, r: any): NsLine {
+  const str = (v: unknown) => (v == null || v === "" ? null : String(v));
+  const numOrNull = (v: unknown) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+  return {
+    so_id: String(h.so_id), tranid: String(h.tranid ?? h.so_id), trandate: String(h.trandate),
+    last_modified: str(h.last_modified), status: str(h.status), currency: str(h.currency), total: numOrNull(h.total),
+    customer_id: str(h.customer_id), first_name: str(h.first_name), last_name: str(h.last_name), company: str(h.company),
+    email: str(h.email), phone: str(h.phone),
+    line_id: String(r.line_id), item_type: str(r.item_type), sku: str(r.sku), title: str(r.title), item_id: str(r.item_id),
+    quantity: numOrNull(r.quantity) ?? 0, rate: numOrNull(r.rate), amount: numOrNull(r.amount) ?? 0,
+  };
+}
+
+/** Lines → one array per sales order, in first-seen order */
+function groupNsLines(lines: NsLine[]): NsLine[][] {
+  const bySo = new Map<string, NsLine[]>();
+  for (const l of lines) (bySo.get(l.so_id) ?? bySo.set(l.so_id, []).get(l.so_id)!).push(l);
+  return [...bySo.values()];
+}
+
+/* Line types that aren't goods: discounts and shipping roll up to the order, the rest is layout */
+const NS_SKIP_LINE_TYPES = new Set(["Subtotal", "Description", "Group", "EndGroup"]);
+
+/** One sales order's lines → the REST-style order payload the transform reads.
+    trandate has no time, so created_at is noon UTC: the same calendar day in any American report timezone.
+    Cancelled orders keep their lines at quantity 0 and a zero total, so they drop out of revenue and units. */
+function netsuiteOrderPayload(ls: NsLine[]): any {
+  const round2 = (n: number) => Math.round(n * 100) / 100;
+  const h = ls[0];
+  const cancelled = /cancel/i.test(h.status || "");
+  let items = 0, discounts = 0, shipping = 0;
+  const lineItems: any[] = [];
+  for (const l of ls) {
+    const type = l.item_type || (l.amount < 0 ? "Discount" : "");
+    if (NS_SKIP_LINE_TYPES.has(type)) continue;
+    if (type === "Discount") { discounts -= l.amount; continue; }
+    if (type === "ShipItem") { shipping += l.amount; continue; }
+    const quantity = cancelled ? 0 : l.quantity;
+    const price = l.rate ?? (l.quantity ? l.amount / l.quantity : l.amount);
+    items += price * quantity;
+    lineItems.push({
+      id: `ns:${l.so_id}:${l.line_id}`, sku: l.sku, title: l.title || l.sku, quantity,
+      price: round2(price).toFixed(2), product_id: l.item_id,
+    });
+  }
+  if (cancelled) discounts = shipping = 0;
+  const net = items - discounts + shipping;
+  const total = cancelled ? 0 : h.total ?? net;
+  return {
+    id: `ns:${h.so_id}`,
+    name: h.tranid,
+    order_number: h.tranid,
+    created_at: `${h.trandate}T12:00:00Z`,
+    updated_at: h.last_modified,          // account-local, no offset: the pass mark only; the transform ranks by received_at
+    cancelled_at: cancelled ? h.last_modified ?? `${h.trandate}T12:00:00Z` : null,
+    currency: h.currency,
+    total_price: round2(total).toFixed(2),
+    total_line_items_price: round2(items).toFixed(2),
+    total_discounts: round2(discounts).toFixed(2),
+    total_shipping_price_set: { shop_money: { amount: round2(shipping).toFixed(2) } },
+    total_tax: round2(Math.max(total - net, 0)).toFixed(2),
+    financial_status: h.status ? h.status.toLowerCase() : null,
+    fulfillment_status: null,
+    email: h.email,
+    phone: h.phone,
+    customer: h.customer_id || h.email || h.phone
+      ? { id: h.customer_id, email: h.email, phone: h.phone, first_name: h.first_name, last_name: h.last_name }
+      : null,
+    billing_address: h.company ? { company: h.company } : null,
+    line_items: lineItems,
+    source_name: "netsuite",
+  };
+}
+
+type NetSuiteStore = ChannelStore & { cfg: NetSuiteConfig };
+type NetSuitePage = { orders: NsLine[][]; hasMore: boolean };
 
-        await setCursor(client, channelId, domain, newCursor);
-        log("ingest:page", { domain, page: pages, orders: orders.length, hasNext: !!newCursor });
+const NETSUITE_ORDERS_PER_PAGE = 200;   // orders per page; their lines are fetched in follow-up queries
 
-        if (!newCursor || orders.length === 0) break;
-        nextPage = newCursor;
+/* Updated mode only: the mark is lastmodifieddate and the cursor "<lastmodifieddate>|<id>" of the last order read.
+   A page is whole orders (headers first, then every line of those orders), so nothing straddles pages. */
+const NETSUITE_ADAPTER: ChannelAdapter<NetSuiteStore, NetSuitePage> = {
+  channel: NETSUITE_CHANNEL,
+  source: "netsuite",
+  modes: ["updated"],
+  domains: (env) => (parseNetSuite(env) ? [NETSUITE_DOMAIN] : []),
+  async activeStores(client, env) {
+    const cfg = parseNetSuite(env);
+    if (!cfg) return [];
+    const shopId = await netsuiteShopId(client);
+    const r = await queryRows(client, `SELECT COALESCE(is_active, true) AS a FROM shops WHERE id = $1`, [shopId]);
+    return r[0]?.a === false ? [] : [{ domain: NETSUITE_DOMAIN, cfg }];
+  },
+  check: () => null,
+  async fetchPage(s, req, stats) {
+    const since = req.since.slice(0, 19);   // a saved mark already is; the first pass's ISO window loses its ms + Z
+    // a cursor saved by the old offset paging has no "|": restart the pass from its mark
+    const [modified, id] = (req.cursor || "").split("|");
+    const after = id ? { modified, id } : null;
+    const head = await suiteql(s.cfg, netsuiteOrdersQuery(since, after), 0, NETSUITE_ORDERS_PER_PAGE, stats);
+    const lines: NsLine[] = [];
+    if (head.items.length) {
+      const byId = new Map(head.items.map((h) => [String(h.so_id), h]));
+      const q = netsuiteLinesQuery([...byId.keys()]);
+      for (let at = 0, more = true; more; at += NETSUITE_PAGE_SIZE) {
+        const page = await suiteql(s.cfg, q, at, NETSUITE_PAGE_SIZE, stats);
+        for (const r of page.items) lines.push(nsLineFromSuiteql(byId.get(String(r.so_id)), r));
+        more = page.hasMore;
       }
+    }
+    // keep header order (lastmodifieddate); an order with no item lines still lands, with no line_items
+    const bySo = new Map(groupNsLines(lines).map((ls) => [ls[0].so_id, ls]));
+    const orders = head.items.map((h) => bySo.get(String(h.so_id))
+      ?? [nsLineFromSuiteql(h, { line_id: "0", item_type: "Description" })]);
+    return { orders, hasMore: head.hasMore };
+  },
+  nextCursor: (page) => {
+    const last = page.orders.at(-1)?.[0];
+    return page.hasMore && last?.last_modified ? `${last.last_modified}|${last.so_id}` : null;
+  },
+  toStaging: (page) => page.orders,
+  toOrder: netsuiteOrderPayload,
+  // headers come oldest change first, so an edit made mid-pass sorts after every row already read
+  passMark: ({ maxSeen }) => maxSeen.slice(0, 19),
+};
+
+/** Stage sales orders from an upload under the NetSuite channel, through the adapter's mapping; returns orders staged */
+async function stageNetSuiteOrders(client: PoolClient, lines: NsLine[]): Promise<number> {
+  const channelId = await getOrCreateChannelId(client, NETSUITE_CHANNEL);
+  await netsuiteShopId(client);
+  const stagingCols = await getStagingColumns(client);
+  const payloads = groupNsLines(lines).map(NETSUITE_ADAPTER.toOrder);
+  for (let i = 0; i < payloads.length; i += BULK_STAGE_BATCH) {
+    await stagePayloads(client, stagingCols, channelId, NETSUITE_DOMAIN, payloads.slice(i, i + BULK_STAGE_BATCH), "order", NETSUITE_ADAPTER.source);
+  }
+  return payloads.length;
+}
+
+/* Saved-search export columns (normalized like PO_COLUMNS); first match wins */
+const NS_COLUMNS: Record<Exclude<keyof NsLine, "last_modified">, string[]> = {
+  tranid:      ["document_number", "number", "tranid", "order_number", "so_number"],
+  trandate:    ["date", "trandate", "order_date", "transaction_date"],
+  sku:         ["item", "sku", "item_name", "item_number"],
+  so_id:       ["internal_id", "internalid", "transaction_internal_id"],
+  status:      ["status"],
+  currency:    ["currency"],
+  total:       ["total", "order_total", "transaction_total"],
+  customer_id: ["customer_internal_id", "customer_id", "entity_id"],
+  first_name:  ["first_name"],
+  last_name:   ["last_name"],
+  company:     ["company", "company_name", "name", "customer"],
+  email:       ["email", "customer_email"],
+  phone:       ["phone", "customer_phone"],
+  line_id:     ["line_id", "line", "line_number", "line_sequence_number"],
+  item_type:   ["item_type"],
+  title:       ["description", "display_name", "item_description", "memo"],
+  item_id:     ["item_internal_id", "item_id"],
+  quantity:    ["quantity", "qty"],
+  rate:        ["item_rate", "rate", "unit_price", "price"],
+  amount:      ["amount", "line_amount"],
+};
+
+/** Header: document number, date and item required (see NS_COLUMNS). Rows of one order must share its document
+    number; the first row carries the order fields. Without an Internal ID column orders are keyed by document
+    number, so mixing such files with the SuiteQL sync would double-count them. */
+function parseNetSuiteOrdersCsv(text: string): { rows: NsLine[]; errors: CostRowError[] } {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const header = findCsvHeader(lines, NS_COLUMNS, ["tranid", "trandate", "sku"]);
+  if (!header) {
+    return { rows: [], errors: [{ line: 1, error: "no header with a document number, a date and an item column in the first 10 lines" }] };
+  }
+  const { at: headerAt, idx } = header;
+
+  const rows: NsLine[] = [];
+  const errors: CostRowError[] = [];
+  const lineNo = new Map<string, number>();   // so_id → lines seen (line ids when the export has none)
+  lines.slice(headerAt + 1).forEach((raw, i) => {
+    const line = headerAt + i + 2;
+    if (!raw.replace(/[",\s]/g, "")) return;
+    const f = splitCsvLine(raw);
+    const get = (k: keyof typeof NS_COLUMNS) => (idx[k] >= 0 ? f[idx[k]] || "" : "");
+    const sku = get("sku");
+    const bad = (error: string) => errors.push({ line, sku: sku || undefined, error });
 
-      summary[domain] = { pages, ordersIngested: total };
-      log("ingest:done", domain, { pages, total });
+    const tranid = get("tranid");
+    if (!tranid) return bad("document number is empty");
+    const trandate = parseCostDate(get("trandate"));
+    if (!trandate) return bad(`date "${get("trandate")}" is not a date (YYYY-MM-DD or M/D/YYYY)`);
+    if (!sku) return bad("item is empty");
+    const quantity = csvNumber(get("quantity"));
+    const rate = csvNumber(get("rate"));
+    const amount = csvNumber(get("amount"));
+    const total = csvNumber(get("total"));
+    for (const [k, v] of [["quantity", quantity], ["rate", rate], ["amount", amount], ["total", total]] as const) {
+      if (Number.isNaN(v)) return bad(`${k} "${get(k)}" is not a number`);
     }
+    if (amount == null && (quantity == null || rate == null)) return bad("needs an amount, or a quantity and a rate");
+
+    const soId = get("so_id") || tranid;
+    const n = (lineNo.get(soId) ?? 0) + 1;
+    lineNo.set(soId, n);
+    rows.push({
+      so_id: soId, tranid, trandate, last_modified: null, status: get("status") || null,
+      currency: get("currency") || null, total,
+      customer_id: get("customer_id") || null, first_name: get("first_name") || null, last_name: get("last_name") || null,
+      company: get("company") || null, email: get("email") || null, phone: get("phone") || null,
+      line_id: get("line_id") || String(n), item_type: get("item_type") || null, sku, title: get("title") || null,
+      item_id: get("item_id") || null, quantity: quantity ?? 0, rate, amount: amount ?? (quantity ?? 0) * (rate ?? 0),
+    });
+  });
+  return { rows, errors };
+}
+
+/** Stage an uploaded export and record it as a run; the next transform (cron, or POST /api/admin/transform) loads it */
+async function importNetSuiteOrders(env: Env, rows: NsLine[], filename?: string): Promise<{ orders: number; lines: number }> {
+  const client = await getClient(env);
+  const startedAt = Date.now();
+  try {
+    const orders = await stageNetSuiteOrders(client, rows);
+    await recordRun(client, {
+      kind: "ingest", trigger: "manual", store: NETSUITE_DOMAIN, mode: "csv", orders, startedAt,
+      cursorAfter: filename || null,
+    });
+    log("netsuite:import", { orders, lines: rows.length, filename });
+    return { orders, lines: rows.length };
   } finally {
     await client.release();
   }
+}
 
-  log("ingest:summary", {
-    limit, maxPages, days,
-    stores: list.map((s) => s.domain),
-    summary,
-  });
+/*───────────────────────────────────────────────────────────────────────────*
+  Customers: identity resolution, lifetime stats (maintained by the transform) + RFM
+  customers.id is the global customer key. customer_identities maps what the
+  stores send to it: the store's customer id (Shopify's, or the NetSuite entity
+  id, scoped to its shop; kind "shopify" either way), the normalized
+  email and the normalized phone (both global, so they join stores together).
+  LTV = order totals − refunds, across every store the customer bought from.
+  RFM is scored per store over a trailing range: each of recency / frequency /
+  monetary is 1–5 by percent rank among that store's customers (ties share a score).
+*───────────────────────────────────────────────────────────────────────────*/
+type IdentityResult = { inserted: number; merged: number; linked: number };
 
-  return { summary };
+/** lower-case, drop +tags, and fold Gmail's dots/googlemail.com; null if it isn't an address */
+function normalizeEmail(raw: unknown): string | null {
+  const m = /^([^@\s]+)@([^@\s]+)$/.exec(String(raw ?? "").trim().toLowerCase());
+  if (!m) return null;
+  let [, local, domain] = m;
+  local = local.split("+")[0];
+  if (domain === "googlemail.com") domain = "gmail.com";
+  if (domain === "gmail.com") local = local.replace(/\./g, "");
+  return local ? `${local}@${domain}` : null;
+}
+
+/** digits only, US/Canada country code dropped; shorter than 10 digits is too weak to match on */
+function normalizePhone(raw: unknown): string | null {
+  let d = String(raw ?? "").replace(/\D/g, "");
+  if (d.length === 11 && d.startsWith("1")) d = d.slice(1);
+  return d.length >= 10 ? d : null;
+}
+
+const identityKey = (kind: string, shopId: number, value: string) => `${kind}|${shopId}|${value}`;
+
+/** Identity keys an order payload carries (latest row fields), strongest first */
+function orderIdentityKeys(r: { shop_id: number | null; shopify_id: string | null; email: string | null; phone: string | null }): string[] {
+  const keys: string[] = [];
+  if (r.shopify_id && r.shop_id != null) keys.push(identityKey("shopify", r.shop_id, r.shopify_id));
+  const email = normalizeEmail(r.email);
+  if (email) keys.push(identityKey("email", 0, email));
+  const phone = normalizePhone(r.phone);
+  if (phone) keys.push(identityKey("phone", 0, phone));
+  return keys;
+}
+
+const IDENTITY_BATCH = 2000;   // staged orders (or pre-identity customers) resolved per round trip
+
+/* Resolve the customers of orders staged in ($1, $2], IDENTITY_BATCH orders at a time in external_id order.
+   Customers that predate customer_identities are folded in through their email first, in batches of their own.
+   Each batch writes its keys before the next one starts, so a later batch finds them like any stored key. */
+async function resolveCustomerIdentities(
+  client: PoolClient,
+  channelId: number,
+  since: string | null,
+  until: string
+): Promise<IdentityResult> {
+  const total: IdentityResult = { inserted: 0, merged: 0, linked: 0 };
+  const add = (r: IdentityResult) => { total.inserted += r.inserted; total.merged += r.merged; total.linked += r.linked; };
+
+  for (let after = "00000000-0000-0000-0000-000000000000"; ; ) {
+    const legacy = await queryRows(client, `
+      SELECT c.id, c.email FROM customers c
+      WHERE c.id > $1::uuid
+        AND NOT EXISTS (SELECT 1 FROM customer_identities i WHERE i.customer_id = c.id)
+      ORDER BY c.id
+      LIMIT $2
+    `, [after, IDENTITY_BATCH]);
+    if (!legacy.length) break;
+    add(await resolveIdentityBatch(client, channelId, [], legacy));
+    after = legacy[legacy.length - 1].id;
+  }
+
+  // phones come from the customer or the order only: a billing-address phone is often a shared switchboard
+  for (let after = ""; ; ) {
+    const staged = await queryRows(client, `
+      WITH ${LATEST_STAGED_CTE}
+      SELECT
+        l.external_id,
+        l.shop_id,
+        NULLIF(l.payload->'customer'->>'id', '')                                         AS shopify_id,
+        COALESCE(l.payload->'customer'->>'email', l.payload->>'email')                   AS email,
+        COALESCE(NULLIF(l.payload->'customer'->>'phone', ''), NULLIF(l.payload->>'phone', '')) AS phone
+      FROM latest l
+      WHERE l.external_id > $3
+      ORDER BY l.external_id
+      LIMIT $4
+    `, [since, until, after, IDENTITY_BATCH]);
+    if (!staged.length) break;
+    add(await resolveIdentityBatch(client, channelId, staged, []));
+    after = staged[staged.length - 1].external_id;
+  }
+
+  return total;
+}
+
+/* One batch: union every identity key seen together (on one order, or already mapped to one customer), give
+   each group one customer (new, existing, or the earliest of several, which absorbs the rest), upsert the
+   keys, then point the orders at it. */
+async function resolveIdentityBatch(
+  client: PoolClient,
+  channelId: number,
+  staged: any[],
+  legacy: any[]
+): Promise<IdentityResult> {
+  // union-find over identity keys and "cust|<id>" nodes
+  const parent = new Map<string, string>();
+  const find = (k: string): string => {
+    if (!parent.has(k)) parent.set(k, k);
+    let root = k;
+    while (parent.get(root) !== root) root = parent.get(root)!;
+    for (let n = k; n !== root; ) { const next = parent.get(n)!; parent.set(n, root); n = next; }
+    return root;
+  };
+  const union = (a: string, b: string) => { const ra = find(a), rb = find(b); if (ra !== rb) parent.set(ra, rb); };
+
+  const orderKey = new Map<string, string>();   // external_id → one of its keys
+  for (const r of staged) {
+    const keys = orderIdentityKeys(r);
+    if (!keys.length) continue;
+    keys.forEach((k) => union(keys[0], k));
+    orderKey.set(r.external_id, keys[0]);
+  }
+  for (const c of legacy) {
+    const email = normalizeEmail(c.email);
+    find(`cust|${c.id}`);
+    if (email) union(`cust|${c.id}`, identityKey("email", 0, email));
+  }
+
+  const keys = [...parent.keys()].filter((k) => !k.startsWith("cust|"));
+  for (let i = 0; i < keys.length; i += 1000) {
+    const parts = keys.slice(i, i + 1000).map((k) => k.split("|"));
+    const known = await queryRows(client, `
+      SELECT i.kind, i.shop_id, i.value, i.customer_id
+      FROM customer_identities i
+      JOIN unnest($1::text[], $2::int[], $3::text[]) AS k(kind, shop_id, value)
+        ON (i.kind, i.shop_id, i.value) = (k.kind, k.shop_id, k.value)
+    `, [parts.map((p) => p[0]), parts.map((p) => Number(p[1])), parts.map((p) => p.slice(2).join("|"))]);
+    for (const r of known) union(identityKey(r.kind, r.shop_id, r.value), `cust|${r.customer_id}`);
+  }
+
+  // one customer per group
+  const groups = new Map<string, { customers: string[]; keys: string[] }>();
+  for (const node of parent.keys()) {
+    const root = find(node);
+    const g = groups.get(root) ?? groups.set(root, { customers: [], keys: [] }).get(root)!;
+    if (node.startsWith("cust|")) g.customers.push(node.slice(5));
+    else g.keys.push(node);
+  }
+  const multi = [...groups.values()].filter((g) => g.customers.length > 1).flatMap((g) => g.customers);
+  const firstSeen = new Map<string, number>();
+  if (multi.length) {
+    for (const r of await queryRows(client, `SELECT id, first_seen FROM customers WHERE id = ANY($1::uuid[])`, [multi])) {
+      firstSeen.set(r.id, r.first_seen ? new Date(r.first_seen).getTime() : Infinity);
+    }
+  }
+
+  const created: Array<[string, string | null]> = [];   // [id, email]
+  const merges: Array<[string, string]> = [];           // [loser, survivor]
+  const customerOf = new Map<string, string>();         // root → customer id
+  for (const [root, g] of groups) {
+    let id: string;
+    if (!g.customers.length) {
+      id = crypto.randomUUID();
+      const email = g.keys.find((k) => k.startsWith("email|"));
+      created.push([id, email ? email.split("|").slice(2).join("|") : null]);
+    } else {
+      const sorted = [...g.customers].sort((a, b) =>
+        (firstSeen.get(a) ?? Infinity) - (firstSeen.get(b) ?? Infinity) || a.localeCompare(b));
+      id = sorted[0];
+      for (const loser of sorted.slice(1)) merges.push([loser, id]);
+    }
+    customerOf.set(root, id);
+  }
+
+  for (let i = 0; i < created.length; i += 1000) {
+    const chunk = created.slice(i, i + 1000);
+    await client.query(
+      `INSERT INTO customers (id, channel_id, email) SELECT id, $1, email FROM unnest($2::uuid[], $3::text[]) AS t(id, email)`,
+      [channelId, chunk.map((c) => c[0]), chunk.map((c) => c[1])]
+    );
+  }
+  for (let i = 0; i < merges.length; i += 1000) {
+    const losers = merges.slice(i, i + 1000).map((m) => m[0]);
+    const survivors = merges.slice(i, i + 1000).map((m) => m[1]);
+    const pairs = `unnest($1::uuid[], $2::uuid[]) AS m(loser, survivor)`;
+    await client.query(`UPDATE orders o SET customer_id = m.survivor FROM ${pairs} WHERE o.customer_id = m.loser`, [losers, survivors]);
+    await client.query(`UPDATE customer_identities i SET customer_id = m.survivor FROM ${pairs} WHERE i.customer_id = m.loser`, [losers, survivors]);
+    await client.query(`DELETE FROM customers WHERE id = ANY($1::uuid[])`, [losers]);
+  }
+  if (merges.length) {
+    // survivors picked up orders that may not be in this batch
+    await refreshCustomerStats(client, `o.customer_id = ANY($1::uuid[])`, [[...new Set(merges.map((m) => m[1]))]]);
+    log("customers:merged", { count: merges.length });
+  }
+
+  for (let i = 0; i < keys.length; i += 1000) {
+    const chunk = keys.slice(i, i + 1000);
+    const parts = chunk.map((k) => k.split("|"));
+    await client.query(`
+      INSERT INTO customer_identities (kind, shop_id, value, customer_id)
+      SELECT * FROM unnest($1::text[], $2::int[], $3::text[], $4::uuid[])
+      ON CONFLICT (kind, shop_id, value) DO UPDATE
+        SET customer_id = EXCLUDED.customer_id
+        WHERE customer_identities.customer_id IS DISTINCT FROM EXCLUDED.customer_id
+    `, [parts.map((p) => p[0]), parts.map((p) => Number(p[1])), parts.map((p) => p.slice(2).join("|")),
+        chunk.map((k) => customerOf.get(find(k))!)]);
+  }
+
+  let linked = 0;
+  const links = [...orderKey].map(([ext, key]) => [ext, customerOf.get(find(key))!]);
+  for (let i = 0; i < links.length; i += 1000) {
+    const chunk = links.slice(i, i + 1000);
+    const r = await client.query(`
+      UPDATE orders o SET customer_id = m.customer_id
+      FROM unnest($1::text[], $2::uuid[]) AS m(external_id, customer_id)
+      WHERE o.external_id = m.external_id AND o.customer_id IS DISTINCT FROM m.customer_id
+    `, [chunk.map((l) => l[0]), chunk.map((l) => l[1])]);
+    linked += r.rowCount ?? 0;
+  }
+
+  return { inserted: created.length, merged: merges.length, linked };
+}
+
+/** Recompute order_count / lifetime_value / first_seen / last_seen for the customers of orders matching `where` (alias o) */
+async function refreshCustomerStats(client: PoolClient, where: string, params: any[]): Promise<number> {
+  const r = await client.query(
+    `WITH touched AS (
+       SELECT DISTINCT o.customer_id FROM orders o WHERE o.customer_id IS NOT NULL AND (${where})
+     ),
+     stats AS (
+       SELECT
+         o.customer_id,
+         COUNT(*)::int                                                 AS order_count,
+         (SUM(o.total) - COALESCE(SUM(rf.refunded), 0))::numeric(18,2) AS lifetime_value,
+         MIN(o.placed_at)                                              AS first_seen,
+         MAX(o.placed_at)                                              AS last_seen
+       FROM orders o
+       JOIN touched t ON t.customer_id = o.customer_id
+       LEFT JOIN (SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY 1) rf ON rf.order_id = o.id
+       GROUP BY 1
+     )
+     UPDATE customers c
+     SET order_count = s.order_count, lifetime_value = s.lifetime_value, first_seen = s.first_seen, last_seen = s.last_seen
+     FROM stats s
+     WHERE c.id = s.customer_id
+       AND (c.order_count, c.lifetime_value, c.first_seen, c.last_seen)
+           IS DISTINCT FROM (s.order_count, s.lifetime_value, s.first_seen, s.last_seen)`,
+    params
+  );
+  return r.rowCount ?? 0;
+}
+
+/* (store, customer) rows for orders placed in the last $1 days ($2 = shop id or NULL), with R/F/M scores and a segment */
+const CUSTOMER_RFM_CTE = `
+  per_customer AS (
+    SELECT
+      COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+      o.customer_id,
+      COUNT(*)::int                                                 AS orders,
+      (SUM(o.total) - COALESCE(SUM(rf.refunded), 0))::numeric(20,2) AS revenue,
+      MIN(o.placed_at)                                              AS first_order,
+      MAX(o.placed_at)                                              AS last_order
+    FROM orders o
+    LEFT JOIN shops sh ON sh.id = o.shop_id
+    LEFT JOIN (SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY 1) rf ON rf.order_id = o.id
+    WHERE o.customer_id IS NOT NULL
+      AND o.placed_at >= now() - ($1::int || ' days')::interval
+      AND ($2::int IS NULL OR o.shop_id = $2)
+    GROUP BY 1, 2
+  ),
+  scored AS (
+    SELECT
+      p.*,
+      (${TODAY_SQL} - (p.last_order AT TIME ZONE ${TZ_SQL})::date)::int AS recency_days,
+      LEAST(5, 1 + FLOOR(PERCENT_RANK() OVER (PARTITION BY p.shop_domain ORDER BY p.last_order) * 5))::int AS r,
+      LEAST(5, 1 + FLOOR(PERCENT_RANK() OVER (PARTITION BY p.shop_domain ORDER BY p.orders) * 5))::int     AS f,
+      LEAST(5, 1 + FLOOR(PERCENT_RANK() OVER (PARTITION BY p.shop_domain ORDER BY p.revenue) * 5))::int    AS m
+    FROM per_customer p
+  ),
+  rfm AS (
+    SELECT
+      s.*,
+      CASE
+        WHEN s.r >= 4 AND s.f >= 4 AND s.m >= 4 THEN 'champions'
+        WHEN s.r >= 3 AND s.f >= 4              THEN 'loyal'
+        WHEN s.r >= 4 AND s.orders = 1          THEN 'new'
+        WHEN s.r >= 3 AND s.m >= 4              THEN 'big_spenders'
+        WHEN s.r <= 2 AND (s.f >= 4 OR s.m >= 4) THEN 'at_risk'
+        WHEN s.r <= 2                           THEN 'hibernating'
+        ELSE 'needs_attention'
+      END AS segment
+    FROM scored s
+  )`;
+
+/* Per customer × store over the trailing $1 days, with how many stores the customer bought from in that range */
+const CROSS_SHOP_CTE = `
+  per_store AS (
+    SELECT
+      COALESCE(sh.domain, NULLIF(o.shop_domain,''), '(unknown)') AS shop_domain,
+      o.customer_id,
+      COUNT(*)::int                                                 AS orders,
+      (SUM(o.total) - COALESCE(SUM(rf.refunded), 0))::numeric(20,2) AS revenue
+    FROM orders o
+    LEFT JOIN shops sh ON sh.id = o.shop_id
+    LEFT JOIN (SELECT order_id, SUM(amount) AS refunded FROM refunds GROUP BY 1) rf ON rf.order_id = o.id
+    WHERE o.customer_id IS NOT NULL
+      AND o.placed_at >= now() - ($1::int || ' days')::interval
+    GROUP BY 1, 2
+  ),
+  spread AS (
+    SELECT p.*, COUNT(*) OVER (PARTITION BY p.customer_id)::int AS store_count
+    FROM per_store p
+  )`;
+
+/*───────────────────────────────────────────────────────────────────────────*
+  Shopify webhooks (orders/create|updated|cancelled, refunds/create)
+*───────────────────────────────────────────────────────────────────────────*/
+/** topic → staging_raw.kind */
+const WEBHOOK_TOPICS: Record<string, string> = {
+  "orders/create":    "order",
+  "orders/updated":   "order",
+  "orders/cancelled": "order",
+  "refunds/create":   "refund",
+};
+
+function base64FromBytes(buf: ArrayBuffer): string {
+  let bin = "";
+  for (const b of new Uint8Array(buf)) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+/** Constant-time compare of two strings (lengths are not secret) */
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/** X-Shopify-Hmac-Sha256 is base64(HMAC-SHA256(secret, raw body)) */
+async function verifyShopifyHmac(secret: string, body: ArrayBuffer, header: string): Promise<boolean> {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, body);
+  return safeEqual(base64FromBytes(sig), header.trim());
+}
+
+async function handleShopifyWebhook(req: Request, env: Env, topic: string): Promise<Response> {
+  const kind = WEBHOOK_TOPICS[topic];
+  if (!kind) return json({ ok: false, error: `unsupported topic: ${topic}` }, 404);
+
+  const headerTopic = req.headers.get("X-Shopify-Topic");
+  if (headerTopic && headerTopic !== topic) {
+    return json({ ok: false, error: `topic mismatch: ${headerTopic} sent to ${topic}` }, 400);
+  }
+
+  const domain = sanitizeDomain(req.headers.get("X-Shopify-Shop-Domain") || "");
+  const store = parseStores(env.SHOPIFY_STORES).find((s) => s.domain === domain);
+  if (!store) return json({ ok: false, error: "unknown shop" }, 401);
+  if (!store.webhookSecret) return json({ ok: false, error: `no webhook_secret configured for ${domain}` }, 401);
+
+  const body = await req.arrayBuffer();
+  const hmac = req.headers.get("X-Shopify-Hmac-Sha256") || "";
+  if (!hmac || !(await verifyShopifyHmac(store.webhookSecret, body, hmac))) {
+    log("webhook:denied", { domain, topic });
+    return json({ ok: false, error: "invalid hmac" }, 401);
+  }
+
+  let payload: any;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(body));
+  } catch {
+    return json({ ok: false, error: "invalid json" }, 400);
+  }
+
+  const client = await getClient(env);
+  try {
+    const stagingCols = await getStagingColumns(client);
+    const channelId   = await getOrCreateShopifyChannelId(client);
+    await stagePayloads(client, stagingCols, channelId, domain, [payload], kind);
+  } finally {
+    await client.release();
+  }
+
+  log("webhook:staged", { domain, topic, id: payload?.id ?? null, webhookId: req.headers.get("X-Shopify-Webhook-Id") });
+  return json({ ok: true, topic, kind, domain });
 }
+
+/* Exported for the unit tests in server/test (the Worker itself only uses the default export) */
+export {
+  verifyShopifyHmac, shopifyGraphql, newCallStats, bulkOrderToRest,
+  parseCostsCsv, parsePurchaseOrdersCsv, findCsvHeader, normalizeEmail, normalizePhone,
+  SHOPIFY_ADAPTER, shopifyNextPageInfo,
+  resolvePeriod, comparePeriod, attachCompare,
+  MIGRATIONS, runMigrations, migrationStatus,
+  runIngestRoundRobin, runChannelIngest, runTransform,
+  parseNetSuite, netsuiteAuthHeader, NETSUITE_ADAPTER, netsuiteOrderPayload, parseNetSuiteOrdersCsv,
+};
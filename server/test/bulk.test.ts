@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { bulkOrderToRest } from "../src/worker";
+
+const set = (amount: string) => ({ shopMoney: { amount } });
+
+const order = {
+  id: "gid://shopify/Order/5001",
+  legacyResourceId: "5001",
+  name: "#1001",
+  email: "a@x.com",
+  phone: "+15551230000",
+  createdAt: "2026-03-01T10:00:00Z",
+  updatedAt: "2026-03-05T10:00:00Z",
+  cancelledAt: null,
+  currencyCode: "USD",
+  displayFinancialStatus: "PARTIALLY_REFUNDED",
+  displayFulfillmentStatus: "FULFILLED",
+  totalPriceSet: set("37.50"),
+  subtotalPriceSet: set("30.00"),
+  totalTaxSet: set("2.50"),
+  totalDiscountsSet: set("5.00"),
+  totalShippingPriceSet: set("5.00"),
+  customer: {
+    id: "gid://shopify/Customer/77", legacyResourceId: "77", email: "a@x.com", phone: "+15551239999",
+    firstName: "Ann", lastName: "Lee", defaultAddress: { company: "Acme", city: "Denver" },
+  },
+  billingAddress: { firstName: "Ann", lastName: "Lee", company: "Acme", phone: "555-0101", provinceCode: "CO", countryCodeV2: "US" },
+  shippingAddress: null,
+  refunds: [
+    { id: "gid://shopify/Refund/9", legacyResourceId: "9", createdAt: "2026-03-04T09:00:00Z", note: "damaged", totalRefundedSet: set("10.50") },
+  ],
+};
+
+const items = [
+  {
+    id: "gid://shopify/LineItem/11", sku: "SKU1", title: "Breaker", name: "Breaker - 20A", quantity: 2,
+    originalUnitPriceSet: set("10.00"),
+    discountAllocations: [{ allocatedAmountSet: set("5.00") }],
+    taxLines: [{ priceSet: set("1.50") }],
+    product: { legacyResourceId: "5" }, variant: { legacyResourceId: "50" },
+  },
+  { id: "gid://shopify/LineItem/12", sku: null, title: "Fuse", name: "Fuse", quantity: 1, originalUnitPriceSet: set("10.00") },
+];
+
+describe("bulkOrderToRest", () => {
+  it("maps order money, statuses and line items to REST names", () => {
+    const rest = bulkOrderToRest(order, items);
+    expect(rest).toMatchObject({
+      id: 5001, name: "#1001", currency: "USD", financial_status: "partially_refunded", fulfillment_status: "fulfilled",
+      total_price: "37.50", total_tax: "2.50", total_discounts: "5.00", total_line_items_price: "30.00",
+      total_shipping_price_set: { shop_money: { amount: "5.00" } }, source: "bulk",
+    });
+    expect(rest.line_items).toEqual([
+      expect.objectContaining({
+        id: 11, sku: "SKU1", quantity: 2, price: "10.00", product_id: 5, variant_id: 50,
+        discount_allocations: [{ amount: "5.00" }], tax_lines: [{ price: "1.50" }],
+      }),
+      expect.objectContaining({ id: 12, sku: null, product_id: null, discount_allocations: [], tax_lines: [] }),
+    ]);
+  });
+
+  it("keeps an edited line's current quantity next to the original one", () => {
+    const rest = bulkOrderToRest(order, [{ ...items[0], currentQuantity: 1 }, items[1]]);
+    expect(rest.line_items[0]).toMatchObject({ quantity: 2, current_quantity: 1 });
+    expect(rest.line_items[1].current_quantity).toBeNull();
+    expect(rest.total_line_items_price).toBe("20.00");
+  });
+
+  it("carries phones, customer names and addresses", () => {
+    const rest = bulkOrderToRest(order, items);
+    expect(rest.phone).toBe("+15551230000");
+    expect(rest.customer).toMatchObject({
+      id: 77, email: "a@x.com", phone: "+15551239999", first_name: "Ann", last_name: "Lee",
+      default_address: { company: "Acme", city: "Denver" },
+    });
+    expect(rest.billing_address).toMatchObject({ company: "Acme", phone: "555-0101", province_code: "CO", country_code: "US" });
+    expect(rest.shipping_address).toBeNull();
+  });
+
+  it("turns each refund's total into one successful refund transaction", () => {
+    expect(bulkOrderToRest(order, items).refunds).toEqual([{
+      id: 9, order_id: 5001, created_at: "2026-03-04T09:00:00Z", note: "damaged",
+      transactions: [{ kind: "refund", status: "success", amount: "10.50" }],
+      refund_line_items: [],
+    }]);
+  });
+
+  it("rebuilds refund_line_items from the rows whose parent is the refund", () => {
+    const refundLines = [
+      {
+        __parentId: "gid://shopify/Refund/9", id: "gid://shopify/RefundLineItem/31", quantity: 1, restockType: "RETURN",
+        lineItem: { id: "gid://shopify/LineItem/11", sku: "SKU1" }, subtotalSet: set("10.00"), totalTaxSet: set("0.50"),
+      },
+      { __parentId: "gid://shopify/Refund/8", id: "gid://shopify/RefundLineItem/32", quantity: 1, lineItem: { id: "gid://shopify/LineItem/12" } },
+    ];
+    expect(bulkOrderToRest(order, items, refundLines).refunds[0].refund_line_items).toEqual([{
+      id: 31, line_item_id: 11, quantity: 1, subtotal: "10.00", total_tax: "0.50", restock_type: "return",
+      line_item: { sku: "SKU1" },
+    }]);
+  });
+
+  it("handles an order without customer, addresses or refunds", () => {
+    const rest = bulkOrderToRest({ ...order, phone: undefined, customer: null, billingAddress: null, refunds: undefined }, []);
+    expect(rest).toMatchObject({ phone: null, customer: null, billing_address: null, refunds: [], line_items: [], total_line_items_price: "0.00" });
+  });
+});
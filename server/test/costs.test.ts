@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { parseCostsCsv } from "../src/worker";
+
+describe("parseCostsCsv", () => {
+  it("reads the columns in any order and case, with a BOM, CRLF, $ and thousands separators", () => {
+    const csv = "\uFEFFEffective_From,SKU,Cost,effective_to\r\n2025-06-01,QO250,$39.75,\r\n3/1/2025,THQB2150,\"1,062.10\",2025-07-31\r\n\r\n";
+    expect(parseCostsCsv(csv)).toEqual({
+      rows: [
+        { sku: "QO250", cost: 39.75, effective_from: "2025-06-01", effective_to: null },
+        { sku: "THQB2150", cost: 1062.1, effective_from: "2025-03-01", effective_to: "2025-07-31" },
+      ],
+      errors: [],
+    });
+  });
+
+  it("rejects a header without sku, cost and effective_from", () => {
+    expect(parseCostsCsv("sku,price\nA,1")).toEqual({
+      rows: [],
+      errors: [{ line: 1, error: "header must include sku,cost,effective_from[,effective_to]" }],
+    });
+  });
+
+  it("reports every bad row with its file line and keeps the good ones", () => {
+    const csv = [
+      "sku,cost,effective_from,effective_to",
+      ",1.00,2025-01-01,",
+      "A,abc,2025-01-01,",
+      "B,-2,2025-01-01,",
+      "C,1.00,2025-02-30,",
+      "D,1.00,2025-01-01,soon",
+      "E,1.00,2025-05-01,2025-04-30",
+      "F,1.00,2025-01-01,",
+      "F,2.00,1/1/2025,",
+    ].join("\n");
+    const { rows, errors } = parseCostsCsv(csv);
+    expect(rows).toEqual([{ sku: "F", cost: 1, effective_from: "2025-01-01", effective_to: null }]);
+    expect(errors).toEqual([
+      { line: 2, sku: undefined, error: "sku is empty" },
+      { line: 3, sku: "A", error: 'cost "abc" is not a non-negative number' },
+      { line: 4, sku: "B", error: 'cost "-2" is not a non-negative number' },
+      { line: 5, sku: "C", error: 'effective_from "2025-02-30" is not a date (YYYY-MM-DD or M/D/YYYY)' },
+      { line: 6, sku: "D", error: 'effective_to "soon" is not a date (YYYY-MM-DD or M/D/YYYY)' },
+      { line: 7, sku: "E", error: "effective_to 2025-04-30 is before effective_from 2025-05-01" },
+      { line: 9, sku: "F", error: "duplicate of line 8 (same sku + effective_from)" },
+    ]);
+  });
+});
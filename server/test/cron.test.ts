@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./stub-db"));
+
+import { MIGRATIONS, SHOPIFY_ADAPTER, runIngestRoundRobin } from "../src/worker";
+import { db } from "./stub-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://stub",
+  SHOPIFY_STORES: JSON.stringify([{ domain: "a.myshopify.com", token: "not-a-token" }, { domain: "b.myshopify.com", token: "shpat_b" }]),
+};
+
+const scheduleIdx = () => JSON.parse(db.state.get("shopify:schedule_idx") ?? "{}").idx;
+
+beforeEach(() => {
+  db.reset(MIGRATIONS.map((m) => m.id));
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.stubGlobal("fetch", vi.fn(async (url: string) => {
+    const body = String(url).includes("graphql")
+      ? { data: { inventoryItems: { nodes: [], pageInfo: { hasNextPage: false } } } }
+      : String(url).includes("products.json") ? { products: [] } : { orders: [] };
+    return new Response(JSON.stringify(body), { status: 200 });
+  }));
+});
+
+afterEach(() => { vi.restoreAllMocks(); vi.unstubAllGlobals(); });
+
+describe("runIngestRoundRobin", () => {
+  it("reports a store that fails its check and still moves the rotation on", async () => {
+    const first = await runIngestRoundRobin(env);
+    expect(first.store).toBe("a.myshopify.com");
+    for (const r of first.runs) {
+      expect(r.summary["a.myshopify.com"]).toMatchObject({ pages: 0, error: "Missing/invalid Admin API token for a.myshopify.com" });
+    }
+    expect(db.runs.filter((r) => r.kind === "ingest")).toMatchObject([
+      { store: "a.myshopify.com", mode: "created", pages: 0, error: "Missing/invalid Admin API token for a.myshopify.com" },
+      { store: "a.myshopify.com", mode: "updated", pages: 0, error: "Missing/invalid Admin API token for a.myshopify.com" },
+    ]);
+    expect(scheduleIdx()).toBe(1);
+
+    const second = await runIngestRoundRobin(env);
+    expect(second.store).toBe("b.myshopify.com");
+    expect(second.runs.map((r) => r.summary["b.myshopify.com"].error)).toEqual([undefined, undefined]);
+    expect(Object.keys(second.extras)).toEqual(["products", "inventory"]);
+    expect(scheduleIdx()).toBe(2);
+
+    expect((await runIngestRoundRobin(env)).store).toBe("a.myshopify.com");
+  });
+
+  it("gives the next extra its turn when one throws", async () => {
+    db.state.set("shopify:schedule_idx", JSON.stringify({ idx: 1 }));
+    vi.spyOn(SHOPIFY_ADAPTER.cronExtras![0], "run").mockRejectedValueOnce(new Error("catalog down"));
+    const res = await runIngestRoundRobin(env);
+    expect(res.extras.products).toEqual({ summary: { "b.myshopify.com": { error: "catalog down" } } });
+    expect(res.extras.inventory.summary["b.myshopify.com"].error).toBeUndefined();
+    expect(scheduleIdx()).toBe(2);
+  });
+
+  it("advances the rotation even when the visit itself fails", async () => {
+    db.state.set("shopify:schedule_idx", JSON.stringify({ idx: 1 }));
+    db.failOnce = /information_schema\.columns/;
+    await expect(runIngestRoundRobin(env)).rejects.toThrow("connection reset");
+    expect(scheduleIdx()).toBe(2);
+  });
+});
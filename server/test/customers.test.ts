@@ -0,0 +1,101 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./pg-db"));
+
+import worker, { runTransform } from "../src/worker";
+import { migrate, stage } from "./pg-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://pglite",
+  REPORT_TZ: "UTC",
+  API_TOKENS: JSON.stringify([{ token: "view", role: "viewer" }, { token: "ops", role: "operator" }]),
+  SHOPIFY_STORES: JSON.stringify([{ domain: "a.myshopify.com", token: "shpat_a" }]),
+};
+const ctx: any = { waitUntil() {} };
+const A = "a.myshopify.com";
+
+async function get(path: string, token = "ops"): Promise<{ status: number; body: any }> {
+  const r = await worker.fetch(new Request(`http://x${path}`, { headers: { Authorization: `Bearer ${token}` } }), env, ctx);
+  return { status: r.status, body: await r.json() };
+}
+
+const daysAgo = (n: number) => new Date(Date.now() - n * 86400e3).toISOString();
+
+let nextId = 1;
+function order(customer: number, placedDaysAgo: number, total: string, refunds: any[] = []) {
+  const id = nextId++;
+  const placed = daysAgo(placedDaysAgo);
+  return {
+    id, name: `#${id}`, created_at: placed, updated_at: placed, cancelled_at: null, currency: "USD",
+    total_price: total, total_line_items_price: total, total_discounts: "0.00", total_tax: "0.00",
+    email: `c${customer}@x.com`, customer: { id: 900 + customer, email: `c${customer}@x.com` },
+    line_items: [{ id: id * 10, sku: "S1", title: "Breaker", quantity: 1, price: total }],
+    refunds,
+  };
+}
+
+/* Five customers at one store, so each R/F/M score lands on its own quintile:
+     c1  4 orders, last yesterday, 400     → champions
+     c2  1 order two days ago, 10          → new
+     c3  1 order 200 days ago, 400 - 100   → at_risk (high spend, long gone)
+     c4  1 order 300 days ago, 20          → hibernating
+     c5  2 orders, last 50 days ago, 100   → loyal */
+beforeAll(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  await migrate();
+  for (const d of [1, 5, 9, 20]) await stage(A, order(1, d, "100.00"));
+  await stage(A, order(2, 2, "10.00"));
+  await stage(A, order(3, 200, "400.00", [{
+    id: 77, created_at: daysAgo(190), transactions: [{ kind: "refund", status: "success", amount: "100.00" }], refund_line_items: [],
+  }]));
+  await stage(A, order(4, 300, "20.00"));
+  for (const d of [50, 80]) await stage(A, order(5, d, "50.00"));
+  await runTransform(env);
+});
+
+describe("GET /api/customers/segments", () => {
+  it("scores customers into RFM segments with revenue net of refunds", async () => {
+    const { status, body } = await get("/api/customers/segments?range=365d", "view");
+    expect(status).toBe(200);
+    expect(body.shop).toBe("all");
+    const seg = Object.fromEntries(body.rows.map((r: any) => [r.segment, r]));
+    expect(Object.keys(seg)).toEqual(["champions", "loyal", "new", "at_risk", "hibernating"]);
+    expect(seg.champions).toMatchObject({ shop_domain: A, customers: 1, orders: 4, avg_recency_days: 1 });
+    expect(Number(seg.champions.revenue)).toBe(400);
+    expect(Number(seg.at_risk.revenue)).toBe(300);
+    expect(Number(seg.champions.revenue_share)).toBeCloseTo(400 / 830, 4);
+    expect(body.totals.map((t: any) => t.segment)).toEqual(["champions", "loyal", "new", "at_risk", "hibernating"]);
+  });
+
+  it("only counts orders inside the range", async () => {
+    const { body } = await get("/api/customers/segments?range=30d", "view");
+    expect(body.rows.reduce((n: number, r: any) => n + r.customers, 0)).toBe(2);
+  });
+
+  it("rejects an unknown shop", async () => {
+    expect(await get("/api/customers/segments?shop=nope.myshopify.com", "view")).toMatchObject({ status: 400, body: { ok: false } });
+  });
+});
+
+describe("GET /api/customers/top", () => {
+  const emails = (body: any) => body.customers.map((c: any) => c.email);
+
+  it("ranks accounts by revenue with their segment, stores and lifetime value", async () => {
+    const { status, body } = await get("/api/customers/top?range=365d");
+    expect(status).toBe(200);
+    expect(emails(body)).toEqual(["c1@x.com", "c3@x.com", "c5@x.com", "c4@x.com", "c2@x.com"]);
+    expect(body.customers[0]).toMatchObject({ stores: [A], orders: 4, segment: "champions", lifetime_orders: 4 });
+    expect(Number(body.customers[0].aov)).toBe(100);
+    expect(Number(body.customers[1].lifetime_value)).toBe(300);
+  });
+
+  it("sorts by recency or order count, filters by segment and honours the limit", async () => {
+    expect(emails((await get("/api/customers/top?range=365d&sort=recent&limit=2")).body)).toEqual(["c1@x.com", "c2@x.com"]);
+    expect(emails((await get("/api/customers/top?range=365d&sort=orders&limit=2")).body)).toEqual(["c1@x.com", "c5@x.com"]);
+    expect(emails((await get("/api/customers/top?range=365d&segment=at_risk")).body)).toEqual(["c3@x.com"]);
+  });
+
+  it("is for operators: a viewer token is refused", async () => {
+    expect((await get("/api/customers/top", "view")).status).toBe(403);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { normalizeEmail, normalizePhone } from "../src/worker";
+
+describe("normalizeEmail", () => {
+  it("lower-cases, trims and drops +tags", () => {
+    expect(normalizeEmail("  Ann.Lee+Orders@Example.COM ")).toBe("ann.lee@example.com");
+  });
+
+  it("folds Gmail dots and googlemail.com", () => {
+    expect(normalizeEmail("A.N.N@gmail.com")).toBe("ann@gmail.com");
+    expect(normalizeEmail("a.nn+x@googlemail.com")).toBe("ann@gmail.com");
+  });
+
+  it("returns null for anything that isn't one address", () => {
+    for (const v of [null, undefined, "", "ann", "ann@", "@x.com", "a@b@c.com", "ann lee@x.com", "+tag@x.com"]) {
+      expect(normalizeEmail(v)).toBeNull();
+    }
+  });
+});
+
+describe("normalizePhone", () => {
+  it("keeps digits and drops a US/Canada country code", () => {
+    expect(normalizePhone("(303) 555-0101")).toBe("3035550101");
+    expect(normalizePhone("+1 303.555.0101")).toBe("3035550101");
+    expect(normalizePhone(13035550101)).toBe("3035550101");
+  });
+
+  it("keeps other international numbers whole", () => {
+    expect(normalizePhone("+44 20 7946 0958")).toBe("442079460958");
+  });
+
+  it("returns null for fewer than 10 digits", () => {
+    for (const v of [null, undefined, "", "555-0101", "1 555 0101", "n/a"]) expect(normalizePhone(v)).toBeNull();
+  });
+});
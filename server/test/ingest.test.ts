@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./stub-db"));
+
+import { MIGRATIONS, SHOPIFY_ADAPTER, runChannelIngest } from "../src/worker";
+import { db } from "./stub-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://stub",
+  MAX_PAGES_PER_RUN: "1",
+  SHOPIFY_STORES: JSON.stringify([{ domain: "b.myshopify.com", token: "shpat_b" }]),
+};
+const base = "https://b.myshopify.com/admin/api/2024-07/orders.json?limit=100";
+const order = (id: number, updated_at: string) => ({ id, created_at: "2026-01-05T10:00:00Z", updated_at, line_items: [] });
+const run = (mode: string) => runChannelIngest(env, SHOPIFY_ADAPTER, new URLSearchParams({ store: "b.myshopify.com", mode, days: "30" }));
+const saved = (key: string) => (db.state.has(key) ? JSON.parse(db.state.get(key)!) : null);
+
+/** Two pages: the first links to page_info=P2 */
+function twoPages() {
+  const urls: string[] = [];
+  vi.stubGlobal("fetch", vi.fn(async (url: string) => {
+    urls.push(String(url));
+    const last = String(url).includes("page_info=P2");
+    const orders = last ? [order(3, "2026-03-10T12:30:00Z")] : [order(1, "2026-03-09T08:00:00Z"), order(2, "2026-03-10T09:00:00Z")];
+    const headers: Record<string, string> = last ? {} : { link: `<${base}&page_info=P2>; rel="next"` };
+    return new Response(JSON.stringify({ orders }), { status: 200, headers });
+  }));
+  return urls;
+}
+
+beforeEach(() => {
+  db.reset(MIGRATIONS.map((m) => m.id));
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2026-03-10T12:00:00Z"));
+});
+
+afterEach(() => { vi.useRealTimers(); vi.restoreAllMocks(); vi.unstubAllGlobals(); });
+
+describe("runChannelIngest, mode=updated", () => {
+  it("keeps the mark until the pass finishes, then sets it to the pass start less the overlap", async () => {
+    const urls = twoPages();
+    const first = await run("updated");
+    expect(first.summary["b.myshopify.com"]).toMatchObject({ pages: 1, ordersIngested: 2 });
+    const q = new URL(urls[0]).searchParams;
+    expect(q.get("status")).toBe("any");
+    expect(q.get("updated_at_min")).toBe("2026-02-08T12:00:00.000Z");   // the days=30 window
+    expect(saved("shopify:updated:b.myshopify.com")).toEqual({
+      updated_at_min: "2026-02-08T12:00:00.000Z", page_info: "P2",
+      max_seen: "2026-03-10T09:00:00Z", pass_started: "2026-03-10T12:00:00.000Z",
+    });
+
+    vi.setSystemTime(new Date("2026-03-10T13:00:00Z"));   // next tick resumes the same pass
+    await run("updated");
+    expect(new URL(urls[1]).searchParams.get("page_info")).toBe("P2");
+    expect(new URL(urls[1]).searchParams.has("updated_at_min")).toBe(false);
+    // order 3 was edited after the pass began; the mark still stops at the start, so nothing in between is skipped
+    expect(saved("shopify:updated:b.myshopify.com")).toEqual({ updated_at_min: "2026-03-10T11:55:00.000Z" });
+    expect(db.staged.map((o) => o.id)).toEqual([1, 2, 3]);
+  });
+
+  it("starts the next pass from the saved mark", async () => {
+    db.state.set("shopify:updated:b.myshopify.com", JSON.stringify({ updated_at_min: "2026-03-01T00:00:00.000Z" }));
+    const urls = twoPages();
+    await run("updated");
+    expect(new URL(urls[0]).searchParams.get("updated_at_min")).toBe("2026-03-01T00:00:00.000Z");
+  });
+
+  it("leaves the created-mode cursor alone", async () => {
+    db.state.set("shopify:cursor:b.myshopify.com", JSON.stringify({ page_info: "C9" }));
+    twoPages();
+    await run("updated");
+    expect(saved("shopify:cursor:b.myshopify.com")).toEqual({ page_info: "C9" });
+    expect(db.runs).toMatchObject([{ kind: "ingest", store: "b.myshopify.com", mode: "updated", pages: 1, orders: 2, error: null }]);
+  });
+});
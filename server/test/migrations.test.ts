@@ -0,0 +1,77 @@
+import { createHash } from "node:crypto";
+import { describe, expect, it, vi } from "vitest";
+import { MIGRATIONS, migrationStatus, runMigrations } from "../src/worker";
+
+vi.spyOn(console, "log").mockImplementation(() => {});
+
+const sha256 = (s: string) => createHash("sha256").update(s).digest("hex");
+
+/** A PoolClient stand-in that logs every statement; `rows` answers a SELECT, `fail` throws for one statement */
+function stubClient(opts: { rows?: (sql: string) => any[]; fail?: string } = {}) {
+  const sql: string[] = [];
+  const client = {
+    sql,
+    query: vi.fn(async (text: string, params: any[] = []) => {
+      sql.push(text.trim());
+      if (text === opts.fail) throw new Error("boom");
+      return { rows: opts.rows?.(text) ?? [], params };
+    }),
+    release: vi.fn(),
+  };
+  return client;
+}
+
+const lockCalls = (c: ReturnType<typeof stubClient>) => c.sql.filter((s) => /pg_advisory_(un)?lock/.test(s));
+
+describe("runMigrations", () => {
+  it("applies every migration in id order, each in its own transaction with its schema_migrations row", async () => {
+    const c = stubClient();
+    const { applied } = await runMigrations(c as any);
+    expect(applied.map((m) => m.id)).toEqual(MIGRATIONS.map((m) => m.id));
+    expect(MIGRATIONS.map((m) => m.id)).toEqual([...MIGRATIONS.map((m) => m.id)].sort((a, b) => a - b));
+
+    expect(c.sql[0]).toMatch(/pg_advisory_lock/);
+    expect(c.sql.at(-1)).toMatch(/pg_advisory_unlock/);
+    const steps = c.sql.slice(c.sql.findIndex((s) => s === "BEGIN"), -1);
+    MIGRATIONS.forEach((m, i) => {
+      expect(steps.slice(i * 4, i * 4 + 4)).toEqual(["BEGIN", m.sql.trim(), expect.stringMatching(/^INSERT INTO schema_migrations/), "COMMIT"]);
+    });
+    const insert = c.query.mock.calls.find(([s]) => /^INSERT INTO schema_migrations/.test(s))!;
+    expect(insert[1]?.slice(0, 3)).toEqual([MIGRATIONS[0].id, MIGRATIONS[0].name, sha256(MIGRATIONS[0].sql)]);
+  });
+
+  it("skips the ids schema_migrations already has", async () => {
+    const done = MIGRATIONS.slice(0, -1).map((m) => ({ id: m.id }));
+    const c = stubClient({ rows: (s) => (/SELECT id FROM schema_migrations/.test(s) ? done : []) });
+    const { applied } = await runMigrations(c as any);
+    expect(applied.map((m) => m.id)).toEqual([MIGRATIONS.at(-1)!.id]);
+    expect(c.sql.filter((s) => s === "BEGIN")).toHaveLength(1);
+  });
+
+  it("rolls a failing migration back, stops, names it and still releases the lock", async () => {
+    const bad = MIGRATIONS[2];
+    const c = stubClient({ fail: bad.sql });
+    await expect(runMigrations(c as any)).rejects.toThrow(`migration ${bad.id} (${bad.name}) failed: boom`);
+    expect(c.sql.filter((s) => s === "COMMIT")).toHaveLength(2);
+    expect(c.sql.slice(-2)[0]).toBe("ROLLBACK");
+    expect(lockCalls(c).map((s) => s.match(/pg_advisory_\w+/)![0])).toEqual(["pg_advisory_lock", "pg_advisory_unlock"]);
+    expect(c.sql.some((s) => s === MIGRATIONS[3].sql.trim())).toBe(false);
+  });
+});
+
+describe("migrationStatus", () => {
+  it("reports an untracked database as all pending", async () => {
+    const c = stubClient({ rows: (s) => (/to_regclass/.test(s) ? [{ tracked: false }] : []) });
+    const st = await migrationStatus(c as any);
+    expect(st).toMatchObject({ tracked: false, version: null, latest: MIGRATIONS.at(-1)!.id, modified: [], unknown: [] });
+    expect(st.pending).toHaveLength(MIGRATIONS.length);
+  });
+
+  it("flags applied migrations whose SQL changed and ids this Worker doesn't know", async () => {
+    const rows = MIGRATIONS.map((m) => ({ id: m.id, name: m.name, checksum: m.id === 2 ? "stale" : sha256(m.sql) }));
+    rows.push({ id: 999, name: "from_a_newer_deploy", checksum: "x" });
+    const c = stubClient({ rows: (s) => (/to_regclass/.test(s) ? [{ tracked: true }] : /FROM schema_migrations/.test(s) ? rows : []) });
+    const st = await migrationStatus(c as any);
+    expect(st).toMatchObject({ tracked: true, version: 999, pending: [], modified: [2], unknown: [999] });
+  });
+});
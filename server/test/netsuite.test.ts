@@ -0,0 +1,233 @@
+import { createHmac } from "node:crypto";
+import { createServer, type IncomingMessage, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+  NETSUITE_ADAPTER, findCsvHeader, netsuiteAuthHeader, netsuiteOrderPayload, newCallStats, parseNetSuite, parseNetSuiteOrdersCsv,
+} from "../src/worker";
+
+const enc = (v: string) => encodeURIComponent(v).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+
+/** Check an OAuth 1.0a header the way NetSuite does: rebuild the base string and HMAC-SHA256 it */
+function verifyOAuth(method: string, url: URL, header: string, consumerSecret: string, tokenSecret: string) {
+  const f = Object.fromEntries([...header.slice(6).matchAll(/(\w+)="([^"]*)"/g)].map((m) => [m[1], decodeURIComponent(m[2])]));
+  const oauth = Object.entries(f).filter(([k]) => k.startsWith("oauth_") && k !== "oauth_signature");
+  const params = [...url.searchParams, ...oauth].map(([k, v]) => `${enc(k)}=${enc(v)}`).sort().join("&");
+  const base = `${method}&${enc(url.origin + url.pathname)}&${enc(params)}`;
+  const expected = createHmac("sha256", `${enc(consumerSecret)}&${enc(tokenSecret)}`).update(base).digest("base64");
+  return { ok: expected === f.oauth_signature, fields: f };
+}
+
+const secret = (base_url?: string) => JSON.stringify({
+  account: "123_SB1", consumer_key: "ck", consumer_secret: "c&s!", token_id: "ti", token_secret: "t's", base_url,
+});
+
+describe("parseNetSuite", () => {
+  it("derives the REST host from the account id, or uses base_url", () => {
+    expect(parseNetSuite({ NETSUITE: secret() } as any)?.baseUrl).toBe("https://123-sb1.suitetalk.api.netsuite.com");
+    expect(parseNetSuite({ NETSUITE: secret("http://localhost:9/") } as any)?.baseUrl).toBe("http://localhost:9");
+  });
+
+  it("is null when unset, not JSON or missing a credential", () => {
+    expect(parseNetSuite({} as any)).toBeNull();
+    expect(parseNetSuite({ NETSUITE: "{" } as any)).toBeNull();
+    expect(parseNetSuite({ NETSUITE: JSON.stringify({ account: "1", consumer_key: "ck" }) } as any)).toBeNull();
+  });
+});
+
+describe("netsuiteAuthHeader", () => {
+  const cfg = parseNetSuite({ NETSUITE: secret() } as any)!;
+
+  it("signs the query string and oauth params with HMAC-SHA256 over the RFC 3986 encoded secrets", async () => {
+    const url = new URL(`${cfg.baseUrl}/services/rest/query/v1/suiteql?limit=200&offset=0&note=a b!`);
+    const header = await netsuiteAuthHeader(cfg, "post", url);
+    expect(header.startsWith("OAuth ")).toBe(true);
+    const { ok, fields } = verifyOAuth("POST", url, header, "c&s!", "t's");
+    expect(ok).toBe(true);
+    expect(fields).toMatchObject({
+      realm: "123_SB1", oauth_consumer_key: "ck", oauth_token: "ti", oauth_signature_method: "HMAC-SHA256", oauth_version: "1.0",
+    });
+  });
+
+  it("uses a fresh nonce on every call", async () => {
+    const url = new URL(`${cfg.baseUrl}/services/rest/query/v1/suiteql`);
+    const nonce = (h: string) => h.match(/oauth_nonce="([^"]+)"/)![1];
+    expect(nonce(await netsuiteAuthHeader(cfg, "POST", url))).not.toBe(nonce(await netsuiteAuthHeader(cfg, "POST", url)));
+  });
+});
+
+describe("NETSUITE_ADAPTER paging against a stand-in SuiteQL server", () => {
+  const head = (so: number) => ({
+    so_id: so, tranid: `SO${so}`, trandate: "2026-10-02", last_modified: `2026-10-0${so < 3 ? 2 : 3}T10:00:00`,
+    status: "Pending Fulfillment", currency: "USD", total: 50, customer_id: 77, email: "ann@x.com",
+  });
+  const line = (so: number, l: number) => ({ so_id: so, line_id: l, item_type: "InvtPart", sku: `SKU${l}`, quantity: 2, rate: 25, amount: 50 });
+  const lines = [line(1, 1), line(1, 2), line(2, 1), line(3, 1)];
+  const seen: Array<{ q: string; limit: string | null; offset: string | null; prefer: unknown }> = [];
+  let server: Server;
+  let store: any;
+
+  const body = (req: IncomingMessage) => new Promise<string>((resolve) => {
+    let s = "";
+    req.on("data", (c) => (s += c)).on("end", () => resolve(s));
+  });
+
+  beforeAll(async () => {
+    server = createServer(async (req, res) => {
+      const url = new URL(req.url!, `http://${req.headers.host}`);
+      const send = (status: number, data: unknown) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(data));
+      if (!verifyOAuth("POST", url, String(req.headers.authorization), "c&s!", "t's").ok) return send(401, { error: "bad signature" });
+      const q = JSON.parse(await body(req)).q as string;
+      seen.push({ q, limit: url.searchParams.get("limit"), offset: url.searchParams.get("offset"), prefer: req.headers.prefer });
+      if (q.includes("FROM transaction t")) {
+        return q.includes("t.id > 2")
+          ? send(200, { items: [head(3)], hasMore: false })
+          : send(200, { items: [head(1), head(2)], hasMore: true });
+      }
+      const ids = q.match(/IN \(([^)]*)\)/)![1].split(",").map(Number);
+      const mine = lines.filter((l) => ids.includes(l.so_id));
+      const at = Number(url.searchParams.get("offset")) / 1000 * 2;   // 2 lines per page, so line paging gets exercised
+      send(200, { items: mine.slice(at, at + 2), hasMore: at + 2 < mine.length });
+    });
+    await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address() as AddressInfo;
+    store = { domain: "netsuite", cfg: parseNetSuite({ NETSUITE: secret(`http://127.0.0.1:${port}`) } as any) };
+  });
+
+  afterAll(() => new Promise<void>((resolve) => server.close(() => resolve())));
+
+  it("reads whole orders a page at a time and resumes after the last order read", async () => {
+    const stats = newCallStats();
+    const req = { mode: "updated" as const, since: "2026-10-01T00:00:00.000Z", limit: 50 };
+
+    const first = await NETSUITE_ADAPTER.fetchPage(store, { ...req, cursor: null }, stats);
+    expect(first.orders.map((ls: any[]) => ls.map((l) => `${l.so_id}:${l.line_id}`))).toEqual([["1:1", "1:2"], ["2:1"]]);
+    const cursor = NETSUITE_ADAPTER.nextCursor(first);
+    expect(cursor).toBe("2026-10-02T10:00:00|2");
+    expect(seen[0]).toMatchObject({ limit: "200", offset: "0", prefer: "transient" });
+    expect(seen[0].q).toContain(`t.lastmodifieddate >= TO_TIMESTAMP('2026-10-01T00:00:00'`);
+    expect(seen.slice(1).map((s) => s.offset)).toEqual(["0", "1000"]);
+
+    seen.length = 0;
+    const second = await NETSUITE_ADAPTER.fetchPage(store, { ...req, cursor }, stats);
+    expect(seen[0].offset).toBe("0");
+    expect(seen[0].q).toContain(`t.lastmodifieddate = TO_TIMESTAMP('2026-10-02T10:00:00', 'YYYY-MM-DD"T"HH24:MI:SS') AND t.id > 2`);
+    expect(second.orders.map((ls: any[]) => ls[0].so_id)).toEqual(["3"]);
+    expect(NETSUITE_ADAPTER.nextCursor(second)).toBeNull();
+    expect(stats).toMatchObject({ retries: 0 });
+  });
+
+  it("restarts from the mark when the saved cursor is an old offset", async () => {
+    seen.length = 0;
+    await NETSUITE_ADAPTER.fetchPage(store, { mode: "updated", since: "2026-10-01T00:00:00", limit: 50, cursor: "200" }, newCallStats());
+    expect(seen[0].q).toContain("t.lastmodifieddate >= TO_TIMESTAMP('2026-10-01T00:00:00'");
+  });
+
+  it("fails on a rejected signature instead of retrying", async () => {
+    const bad = { ...store, cfg: { ...store.cfg, tokenSecret: "wrong" } };
+    await expect(NETSUITE_ADAPTER.fetchPage(bad, { mode: "updated", since: "2026-10-01T00:00:00", limit: 50, cursor: null }, newCallStats()))
+      .rejects.toThrow(/NetSuite 123_SB1 401/);
+  });
+});
+
+describe("netsuiteOrderPayload", () => {
+  const base = {
+    so_id: "7", tranid: "SO7", trandate: "2026-10-05", last_modified: "2026-10-06T08:00:00", status: "Billed", currency: "USD",
+    total: 63.5, customer_id: "77", first_name: "Ann", last_name: "Lee", company: "ACME", email: "ann@x.com", phone: null,
+    item_type: "InvtPart", title: null, item_id: "500", rate: null,
+  };
+  const ls = [
+    { ...base, line_id: "1", sku: "A", quantity: 2, rate: 25, amount: 50 },
+    { ...base, line_id: "2", sku: "B", quantity: 1, amount: 10 },
+    { ...base, line_id: "3", sku: "DISC", item_type: "Discount", quantity: 0, amount: -10 },
+    { ...base, line_id: "4", sku: "UPS", item_type: "ShipItem", quantity: 0, amount: 8 },
+    { ...base, line_id: "5", sku: null, item_type: "Subtotal", quantity: 0, amount: 60 },
+  ];
+
+  it("rolls discounts and shipping up to the order and takes tax from the header total", () => {
+    const p = netsuiteOrderPayload(ls);
+    expect(p).toMatchObject({
+      id: "ns:7", name: "SO7", created_at: "2026-10-05T12:00:00Z", updated_at: "2026-10-06T08:00:00", cancelled_at: null,
+      total_price: "63.50", total_line_items_price: "60.00", total_discounts: "10.00",
+      total_shipping_price_set: { shop_money: { amount: "8.00" } }, total_tax: "5.50", financial_status: "billed",
+      customer: { id: "77", email: "ann@x.com", first_name: "Ann", last_name: "Lee" }, billing_address: { company: "ACME" },
+      source_name: "netsuite",
+    });
+    expect(p.line_items).toEqual([
+      { id: "ns:7:1", sku: "A", title: "A", quantity: 2, price: "25.00", product_id: "500" },
+      { id: "ns:7:2", sku: "B", title: "B", quantity: 1, price: "10.00", product_id: "500" },
+    ]);
+  });
+
+  it("zeroes a cancelled order but keeps its lines", () => {
+    const p = netsuiteOrderPayload(ls.map((l) => ({ ...l, status: "Cancelled" })));
+    expect(p).toMatchObject({
+      cancelled_at: "2026-10-06T08:00:00", total_price: "0.00", total_line_items_price: "0.00", total_discounts: "0.00",
+      total_shipping_price_set: { shop_money: { amount: "0.00" } }, total_tax: "0.00",
+    });
+    expect(p.line_items.map((li: any) => li.quantity)).toEqual([0, 0]);
+  });
+});
+
+describe("findCsvHeader", () => {
+  const columns = { sku: ["sku", "item"], quantity: ["quantity", "qty"], vendor: ["vendor", "name"] };
+
+  it("returns the first of the top 10 lines with every required column, normalizing names", () => {
+    const lines = ["Report title", "Item,Vendor", " Qty ,Item #x,Name"];
+    expect(findCsvHeader(lines, columns, ["sku", "quantity"])).toBeNull();   // "Item #x" normalizes to item_x
+    const ok = ["Report title", "Item,Vendor", "Vendor Name, Qty ,ITEM"];
+    expect(findCsvHeader(ok, columns, ["sku", "quantity"])).toEqual({ at: 2, idx: { sku: 2, quantity: 1, vendor: -1 } });
+  });
+
+  it("takes the first alias present and ignores lines past the tenth", () => {
+    expect(findCsvHeader(["qty,quantity,item"], columns, ["sku"])).toEqual({ at: 0, idx: { sku: 2, quantity: 1, vendor: -1 } });
+    expect(findCsvHeader([...Array(10).fill("x"), "sku,qty"], columns, ["sku"])).toBeNull();
+  });
+});
+
+describe("parseNetSuiteOrdersCsv", () => {
+  it("reads a saved-search export, numbering lines per order when there is no line column", () => {
+    const csv = [
+      "Sales Order Lines",
+      "Internal ID,Document Number,Date,Status,Name,Email,Item,Quantity,Item Rate,Amount",
+      '900,SO900,10/5/2026,Billed,"Widgets, Inc",bob@y.com,W1,3,10,30',
+      "900,SO900,10/5/2026,Billed,\"Widgets, Inc\",bob@y.com,Promo,,,-5",
+      ",SO901,2026-10-06,Billed,Ann,ANN@x.com,W2,2,20,",
+    ].join("\n");
+    const { rows, errors } = parseNetSuiteOrdersCsv(csv);
+    expect(errors).toEqual([]);
+    expect(rows.map((r) => [r.so_id, r.tranid, r.trandate, r.line_id, r.sku, r.quantity, r.rate, r.amount, r.company])).toEqual([
+      ["900", "SO900", "2026-10-05", "1", "W1", 3, 10, 30, "Widgets, Inc"],
+      ["900", "SO900", "2026-10-05", "2", "Promo", 0, null, -5, "Widgets, Inc"],
+      ["SO901", "SO901", "2026-10-06", "1", "W2", 2, 20, 40, "Ann"],
+    ]);
+    expect(rows[0]).toMatchObject({ status: "Billed", email: "bob@y.com", last_modified: null });
+  });
+
+  it("reports bad rows with their file line", () => {
+    const csv = [
+      "Document Number,Date,Item,Quantity,Rate,Amount",
+      ",10/5/2026,W1,1,1,1",
+      "SO1,someday,W1,1,1,1",
+      "SO1,10/5/2026,,1,1,1",
+      "SO1,10/5/2026,W1,two,1,",
+      "SO1,10/5/2026,W1,1,,",
+      "SO1,10/5/2026,W1,1,1,",
+    ].join("\n");
+    const { rows, errors } = parseNetSuiteOrdersCsv(csv);
+    expect(rows).toHaveLength(1);
+    expect(errors).toEqual([
+      { line: 2, sku: "W1", error: "document number is empty" },
+      { line: 3, sku: "W1", error: 'date "someday" is not a date (YYYY-MM-DD or M/D/YYYY)' },
+      { line: 4, sku: undefined, error: "item is empty" },
+      { line: 5, sku: "W1", error: 'quantity "two" is not a number' },
+      { line: 6, sku: "W1", error: "needs an amount, or a quantity and a rate" },
+    ]);
+  });
+
+  it("rejects a file without document number, date and item columns", () => {
+    expect(parseNetSuiteOrdersCsv("Item,Quantity\nW1,1").errors).toEqual([
+      { line: 1, error: "no header with a document number, a date and an item column in the first 10 lines" },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { attachCompare, comparePeriod, resolvePeriod } from "../src/worker";
+
+afterEach(() => { vi.useRealTimers(); });
+
+describe("resolvePeriod", () => {
+  it("keeps an explicit from/to", () => {
+    expect(resolvePeriod({} as any, { from: "2026-01-01", to: "2026-01-31" })).toEqual({ from: "2026-01-01", to: "2026-01-31" });
+  });
+
+  it("ends a trailing window on today in REPORT_TZ", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-10T03:00:00Z"));   // still Mar 9 in Denver
+    expect(resolvePeriod({ REPORT_TZ: "America/Denver" } as any, { days: 7 })).toEqual({ from: "2026-03-02", to: "2026-03-09" });
+    expect(resolvePeriod({ REPORT_TZ: "UTC" } as any, { days: 7 })).toEqual({ from: "2026-03-03", to: "2026-03-10" });
+  });
+
+  it("counts days back from an explicit to", () => {
+    expect(resolvePeriod({} as any, { to: "2026-03-01", days: 1 })).toEqual({ from: "2026-02-28", to: "2026-03-01" });
+  });
+
+  it("rejects from after to and spans over 10 years", () => {
+    expect(resolvePeriod({} as any, { from: "2026-02-01", to: "2026-01-01" })).toEqual({ error: "from (2026-02-01) is after to (2026-01-01)" });
+    expect(resolvePeriod({} as any, { from: "2010-01-01", to: "2026-01-01" })).toEqual({ error: "from/to may span at most 10 years" });
+  });
+});
+
+describe("comparePeriod", () => {
+  it("previous_period is the same number of days right before", () => {
+    expect(comparePeriod({ from: "2026-03-01", to: "2026-03-31" }, "previous_period")).toEqual({ from: "2026-01-29", to: "2026-02-28" });
+    expect(comparePeriod({ from: "2026-03-10", to: "2026-03-10" }, "previous_period")).toEqual({ from: "2026-03-09", to: "2026-03-09" });
+  });
+
+  it("previous_year is the same dates a year earlier, Feb 29 as Feb 28", () => {
+    expect(comparePeriod({ from: "2024-02-01", to: "2024-02-29" }, "previous_year")).toEqual({ from: "2023-02-01", to: "2023-02-28" });
+  });
+
+  it("is null for anything else", () => {
+    expect(comparePeriod({ from: "2026-03-01", to: "2026-03-31" }, "")).toBeNull();
+    expect(comparePeriod({ from: "2026-03-01", to: "2026-03-31" }, "last_week")).toBeNull();
+  });
+});
+
+describe("attachCompare", () => {
+  const key = (r: Record<string, any>) => r.shop;
+
+  it("adds the other period's figures and the change, matched on key", () => {
+    const [a] = attachCompare([{ shop: "a", revenue: "150.00", aov: "50.00" }], [{ shop: "a", revenue: "100.00", aov: "40" }], key, ["revenue"], ["aov"]);
+    expect(a.compare).toEqual({ revenue: 100, aov: 40 });
+    expect(a.delta).toEqual({ revenue: { abs: 50, pct: 0.5 }, aov: { abs: 10, pct: 0.25 } });
+    expect(a.revenue).toBe("150.00");
+  });
+
+  it("counts a missing key as 0 for sums and null for ratios", () => {
+    const [b] = attachCompare([{ shop: "b", revenue: 80, aov: 40 }], [{ shop: "a", revenue: 100, aov: 40 }], key, ["revenue"], ["aov"]);
+    expect(b.compare).toEqual({ revenue: 0, aov: null });
+    expect(b.delta).toEqual({ revenue: { abs: 80, pct: null }, aov: { abs: null, pct: null } });
+  });
+
+  it("leaves pct null when the old value is 0 and abs null when the current one is missing", () => {
+    const [c] = attachCompare([{ shop: "c", revenue: 5, aov: null }], [{ shop: "c", revenue: 0, aov: 10 }], key, ["revenue"], ["aov"]);
+    expect(c.delta).toEqual({ revenue: { abs: 5, pct: null }, aov: { abs: null, pct: null } });
+  });
+
+  it("rounds abs to cents and pct to 4 places", () => {
+    const [d] = attachCompare([{ shop: "d", revenue: 10.006 }], [{ shop: "d", revenue: 3 }], key, ["revenue"]);
+    expect(d.delta.revenue).toEqual({ abs: 7.01, pct: 2.3353 });
+  });
+});
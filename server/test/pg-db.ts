@@ -0,0 +1,46 @@
+/* In-process Postgres (PGlite) behind the @neondatabase/serverless Pool API, for tests that run the
+   Worker's SQL: migrations, the transform and the reporting queries. Each test file gets a fresh database.
+     vi.mock("@neondatabase/serverless", () => import("./pg-db"));
+   then `await migrate()` before the first test. */
+import { PGlite } from "@electric-sql/pglite";
+
+export const pg = new PGlite();
+
+// PGlite ships without contrib extensions; gen_random_uuid() is core since Postgres 13
+const withoutExtensions = (sql: string) => sql.replace(/CREATE EXTENSION[^;]*;?/gi, "");
+
+const client = {
+  async query(sql: string, params: any[] = []) {
+    sql = withoutExtensions(sql);
+    if (!params.length) {
+      // migrations and transactions send several statements at once
+      const rs = await pg.exec(sql);
+      const last = rs[rs.length - 1] ?? { rows: [], affectedRows: 0 };
+      return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+    }
+    const r = await pg.query(sql, params);
+    return { rows: r.rows, rowCount: r.affectedRows ?? r.rows.length };
+  },
+  release() {},
+};
+
+export class Pool {
+  constructor(_opts: unknown) {}
+  async connect() {
+    return client;
+  }
+}
+
+/** Apply the Worker's migrations to the fresh database */
+export async function migrate(): Promise<void> {
+  const { runMigrations } = await import("../src/worker");
+  await runMigrations(client as any);
+}
+
+/** Stage a body as the webhook / ingest paths do, received `minutesAgo` (the transform skips rows younger than its settle time) */
+export async function stage(domain: string, payload: object, minutesAgo = 10): Promise<void> {
+  await pg.query(
+    `INSERT INTO staging_raw (domain, payload, received_at) VALUES ($1, $2, now() - $3::float8 * interval '1 minute')`,
+    [domain, JSON.stringify(payload), minutesAgo]
+  );
+}
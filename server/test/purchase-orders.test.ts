@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { parsePurchaseOrdersCsv } from "../src/worker";
+
+const report = [
+  "Purchase Order Detail",
+  "Mitch Co",
+  "Document Number,Name,Item,Date,Expected Receipt Date,Quantity,Quantity Fulfilled/Received,Amount",
+  'PO100,"Graybar, Inc",FAST,10/1/2026,10/25/2026,20,5,"$1,500.00"',
+  "PO101,Graybar,MID,10/2/2026,2026-12-30,40,0,400",
+  "PO102,Eaton,NEWSKU,10/2/2026,,12,0,",
+  "Total - Graybar,,,,,60,,1900",
+  ",,,,,,,",
+].join("\r\n");
+
+describe("parsePurchaseOrdersCsv", () => {
+  it("finds the header under NetSuite's title rows and maps its columns", () => {
+    const { rows, errors } = parsePurchaseOrdersCsv(report);
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { po_number: "PO100", vendor: "Graybar, Inc", sku: "FAST", quantity: 20, quantity_received: 5, unit_cost: 75,
+        order_date: "2026-10-01", expected_date: "2026-10-25" },
+      { po_number: "PO101", vendor: "Graybar", sku: "MID", quantity: 40, quantity_received: 0, unit_cost: 10,
+        order_date: "2026-10-02", expected_date: "2026-12-30" },
+      { po_number: "PO102", vendor: "Eaton", sku: "NEWSKU", quantity: 12, quantity_received: 0, unit_cost: null,
+        order_date: "2026-10-02", expected_date: null },
+    ]);
+  });
+
+  it("prefers a rate over the amount and needs only item and quantity", () => {
+    expect(parsePurchaseOrdersCsv("sku,qty,rate,amount\nA,4,2.5,999\n").rows).toEqual([
+      { po_number: null, vendor: null, sku: "A", quantity: 4, quantity_received: 0, unit_cost: 2.5, order_date: null, expected_date: null },
+    ]);
+  });
+
+  it("reports bad rows with their file line; subtotal rows are skipped, not errors", () => {
+    const csv = [
+      "Document Number,Item,Quantity,Quantity Received,Expected Receipt Date,Rate",
+      "PO1,,5,,,",
+      "PO1,A,0,,,",
+      "PO1,B,abc,,,",
+      "PO1,C,5,-1,,",
+      "PO1,D,5,,13/45/2026,",
+      "PO1,E,5,,,-3",
+      "Total - PO1,,25,,,",
+      "PO2,F,5,,,1",
+    ].join("\n");
+    const { rows, errors } = parsePurchaseOrdersCsv(csv);
+    expect(rows.map((r) => r.sku)).toEqual(["F"]);
+    expect(errors).toEqual([
+      { line: 2, sku: undefined, error: "item is empty" },
+      { line: 3, sku: "A", error: 'quantity "0" is not a positive number' },
+      { line: 4, sku: "B", error: 'quantity "abc" is not a positive number' },
+      { line: 5, sku: "C", error: 'quantity received "-1" is not a non-negative number' },
+      { line: 6, sku: "D", error: 'expected_date "13/45/2026" is not a date (YYYY-MM-DD or M/D/YYYY)' },
+      { line: 7, sku: "E", error: 'cost "-3" is not a non-negative number' },
+    ]);
+  });
+
+  it("rejects a file without an item and a quantity header in the first 10 lines", () => {
+    expect(parsePurchaseOrdersCsv("foo,bar\n1,2\n")).toEqual({
+      rows: [],
+      errors: [{ line: 1, error: "no header with an item (sku/item) and a quantity column in the first 10 lines" }],
+    });
+  });
+});
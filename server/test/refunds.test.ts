@@ -0,0 +1,89 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./pg-db"));
+
+import { runTransform } from "../src/worker";
+import { migrate, pg, stage } from "./pg-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://pglite",
+  SHOPIFY_STORES: JSON.stringify([{ domain: "a.myshopify.com", token: "shpat_a" }]),
+};
+const A = "a.myshopify.com";
+
+function order(id: number, refunds: any[] = []) {
+  return {
+    id, name: `#${id}`, created_at: "2026-03-01T15:00:00Z", updated_at: "2026-03-01T15:00:00Z", cancelled_at: null,
+    currency: "USD", total_price: "20.00", total_line_items_price: "20.00", total_discounts: "0.00", total_tax: "0.00",
+    line_items: [
+      { id: id * 10, sku: "S1", title: "Breaker", quantity: 2, price: "7.50" },
+      { id: id * 10 + 1, sku: "S2", title: "Fuse", quantity: 1, price: "5.00" },
+    ],
+    refunds,
+  };
+}
+
+// the refunds/create webhook body: a refund on its own, keyed to its order by order_id
+function refund(id: number, orderId: number, o: { amount: string; lines: any[]; status?: string; note?: string }) {
+  return {
+    id, order_id: orderId, created_at: "2026-03-05T12:00:00Z", note: o.note ?? null,
+    transactions: [
+      { kind: "refund", status: o.status ?? "success", amount: o.amount },
+      { kind: "refund", status: "failure", amount: "100.00" },
+    ],
+    refund_line_items: o.lines,
+  };
+}
+
+const rows = async (sql: string) => (await pg.query<any>(sql)).rows;
+
+beforeAll(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  await migrate();
+});
+
+describe("runTransform refunds", () => {
+  it("maps a refund embedded in the order body to refunds and refund_items linked to its lines", async () => {
+    const rf = refund(501, 1, {
+      amount: "7.50", note: "damaged",
+      lines: [{ id: 601, line_item_id: 10, quantity: 1, subtotal: "7.50", total_tax: "0.00", restock_type: "return" }],
+    });
+    await stage(A, order(1, [rf]));
+    const r = await runTransform(env);
+    expect(r).toMatchObject({ refunds: { inserted: 1 }, refundItems: { inserted: 1 } });
+
+    // only successful refund transactions count toward the amount
+    expect(await rows(`SELECT r.external_id, r.amount::text, r.note, o.external_id AS order_ext FROM refunds r JOIN orders o ON o.id = r.order_id`))
+      .toEqual([{ external_id: "501", amount: "7.50", note: "damaged", order_ext: "1" }]);
+    expect(await rows(`
+      SELECT ri.external_id, ri.external_item_id, ri.sku, ri.qty, ri.subtotal::text, ri.restock_type, oi.external_item_id AS linked
+      FROM refund_items ri LEFT JOIN order_items oi ON oi.id = ri.order_item_id`))
+      .toEqual([{ external_id: "601", external_item_id: "10", sku: "S1", qty: 1, subtotal: "7.50", restock_type: "return", linked: "10" }]);
+  });
+
+  it("loads a standalone refunds/create body against an order already loaded", async () => {
+    await stage(A, refund(502, 1, {
+      amount: "5.00",
+      lines: [{ id: 602, line_item_id: 11, quantity: 1, subtotal: "5.00", total_tax: "0.00", restock_type: "no_restock" }],
+    }), 5);
+    expect(await runTransform(env)).toMatchObject({ refunds: { inserted: 1 }, refundItems: { inserted: 1 } });
+    expect(await rows(`SELECT external_id, amount::text FROM refunds ORDER BY external_id`))
+      .toEqual([{ external_id: "501", amount: "7.50" }, { external_id: "502", amount: "5.00" }]);
+    expect(await rows(`SELECT ri.sku, ri.restock_type FROM refund_items ri JOIN refunds r ON r.id = ri.refund_id WHERE r.external_id = '502'`))
+      .toEqual([{ sku: "S2", restock_type: "no_restock" }]);
+  });
+
+  it("prefers the order body's copy of a refund over the webhook's when both are in the window", async () => {
+    const embedded = refund(503, 2, { amount: "3.00", lines: [] });
+    await stage(A, refund(503, 2, { amount: "9.00", lines: [] }), 4.5);
+    await stage(A, order(2, [embedded]), 4);
+    await runTransform(env);
+    expect(await rows(`SELECT amount::text FROM refunds WHERE external_id = '503'`)).toEqual([{ amount: "3.00" }]);
+  });
+
+  it("skips a standalone refund whose order was never staged", async () => {
+    await stage(A, refund(504, 99, { amount: "1.00", lines: [] }), 3.5);
+    expect(await runTransform(env)).toMatchObject({ refunds: { inserted: 0 } });
+    expect(await rows(`SELECT count(*)::int AS n FROM refunds WHERE external_id = '504'`)).toEqual([{ n: 0 }]);
+  });
+});
@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { SHOPIFY_ADAPTER, newCallStats, shopifyGraphql, shopifyNextPageInfo } from "../src/worker";
+
+const throttled = {
+  errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+  extensions: { cost: { requestedQueryCost: 60, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 50, restoreRate: 50 } } },
+};
+
+function respond(...bodies: any[]) {
+  const fetch = vi.fn(async () => new Response(JSON.stringify(bodies.shift()), { status: 200 }));
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+afterEach(() => { vi.unstubAllGlobals(); });
+
+describe("shopifyGraphql", () => {
+  it("waits out a THROTTLED response and retries", async () => {
+    const fetch = respond(throttled, { data: { shop: { name: "A" } } });
+    const stats = newCallStats();
+    expect(await shopifyGraphql("a.myshopify.com", "tok", stats, "{ shop { name } }")).toEqual({ shop: { name: "A" } });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(stats).toMatchObject({ calls: 2, retries: 1, throttled: 1 });
+    expect(stats.events[0]).toMatchObject({ reason: "graphql", status: 200, attempt: 0 });
+    expect(stats.events[0].waitMs).toBeGreaterThanOrEqual(200);   // (60 - 50) points at 50/s
+  });
+
+  it("throws other GraphQL errors without retrying", async () => {
+    const fetch = respond({ errors: [{ message: "Field 'nope' doesn't exist" }] });
+    await expect(shopifyGraphql("a.myshopify.com", "tok", newCallStats(), "{ nope }")).rejects.toThrow(/graphql: Field 'nope'/);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("shopifyNextPageInfo", () => {
+  const base = "https://a.myshopify.com/admin/api/2024-10/products.json?limit=250";
+  it("reads the rel=next page_info and ignores rel=previous", () => {
+    const link = `<${base}&page_info=prev1>; rel="previous", <${base}&page_info=next2>; rel="next"`;
+    expect(shopifyNextPageInfo(link)).toBe("next2");
+    expect(SHOPIFY_ADAPTER.nextCursor({ orders: [], link } as any)).toBe("next2");
+  });
+
+  it("is null on the last page", () => {
+    expect(shopifyNextPageInfo(`<${base}&page_info=prev1>; rel="previous"`)).toBeNull();
+    expect(shopifyNextPageInfo(null)).toBeNull();
+  });
+});
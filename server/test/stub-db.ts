@@ -0,0 +1,45 @@
+/* In-memory stand-in for @neondatabase/serverless, for tests that drive the Worker's ingest paths.
+   It knows just the tables those paths read back (sync_state, shops, ingest_runs, staging_raw);
+   every other statement succeeds with no rows. Use it with
+     vi.mock("@neondatabase/serverless", () => import("./stub-db"));  */
+export const db = {
+  applied: [] as number[],                     // schema_migrations ids
+  shops: ["a.myshopify.com", "b.myshopify.com"],
+  state: new Map<string, string>(),            // sync_state key → value
+  runs: [] as Array<{ kind: string; store: string; mode: string | null; pages: number; orders: number; error: string | null }>,
+  staged: [] as any[],                         // staging_raw payloads
+  failOnce: null as RegExp | null,             // the next statement matching this throws
+
+  reset(applied: number[]) {
+    db.applied = applied;
+    db.state.clear();
+    db.runs.length = 0;
+    db.staged.length = 0;
+    db.failOnce = null;
+  },
+
+  rows(sql: string, p: any[]): any[] {
+    if (db.failOnce?.test(sql)) { db.failOnce = null; throw new Error("connection reset"); }
+    if (/to_regclass/.test(sql)) return [{ tracked: true }];
+    if (/FROM schema_migrations/.test(sql)) return db.applied.map((id) => ({ id }));
+    if (/SELECT id FROM channels/.test(sql)) return [{ id: 1 }];
+    if (/FROM shops WHERE channel_id = \$1 ORDER BY id/.test(sql)) return db.shops.map((domain, i) => ({ id: i + 1, domain, is_active: true }));
+    if (/SELECT id FROM shops WHERE channel_id = \$1 AND domain = \$2/.test(sql)) return [{ id: db.shops.indexOf(p[1]) + 1 }];
+    if (/FROM information_schema.columns/.test(sql)) return ["channel_id", "source", "kind", "domain"].map((column_name) => ({ column_name }));
+    if (/SELECT value FROM sync_state/.test(sql)) return db.state.has(p[1]) ? [{ value: db.state.get(p[1]) }] : [];
+    if (/INSERT INTO sync_state/.test(sql)) db.state.set(p[1], p[2]);
+    if (/DELETE FROM sync_state/.test(sql)) db.state.delete(p[1]);
+    if (/INSERT INTO ingest_runs/.test(sql)) db.runs.push({ kind: p[0], store: p[2], mode: p[3], pages: p[4], orders: p[5], error: p[9] });
+    if (/INSERT INTO staging_raw \(payload,channel_id,source,kind,domain\)/.test(sql)) {
+      for (let i = 0; i < p.length; i += 5) db.staged.push({ ...JSON.parse(p[i]), _kind: p[i + 3], _domain: p[i + 4] });
+    }
+    return [];
+  },
+};
+
+export class Pool {
+  constructor(_opts: unknown) {}
+  async connect() {
+    return { query: async (sql: string, params: any[] = []) => ({ rows: db.rows(sql, params) }), release() {} };
+  }
+}
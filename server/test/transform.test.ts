@@ -0,0 +1,95 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./pg-db"));
+
+import { runTransform } from "../src/worker";
+import { migrate, pg, stage } from "./pg-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://pglite",
+  SHOPIFY_STORES: JSON.stringify([{ domain: "a.myshopify.com", token: "shpat_a" }]),
+};
+const A = "a.myshopify.com";
+
+function order(id: number, o: { updated_at: string; total?: string; cancelled_at?: string; refunds?: any[] }) {
+  return {
+    id, name: `#${id}`, created_at: "2026-03-01T15:00:00Z", updated_at: o.updated_at, cancelled_at: o.cancelled_at ?? null,
+    currency: "USD", total_price: o.total ?? "25.00", total_line_items_price: "20.00", total_discounts: "0.00", total_tax: "0.00",
+    total_shipping_price_set: { shop_money: { amount: "5.00" } },
+    email: `c${id}@x.com`, customer: { id: 900 + id, email: `c${id}@x.com` },
+    line_items: [
+      { id: id * 10, sku: "S1", title: "Breaker", quantity: 1, price: "15.00" },
+      { id: id * 10 + 1, sku: "S2", title: "Fuse", quantity: 1, price: "5.00" },
+    ],
+    refunds: o.refunds ?? [],
+  };
+}
+
+const one = async (sql: string) => (await pg.query<any>(sql)).rows;
+
+beforeAll(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  await migrate();
+});
+
+/* The cases build on each other: one database, one store, the transform's mark carried between runs */
+describe("runTransform", () => {
+  it("loads staged orders into orders, order_items and customers and counts what it wrote", async () => {
+    await stage(A, order(1, { updated_at: "2026-03-01T15:00:00Z" }));
+    const r = await runTransform(env);
+    expect(r.since).toBeNull();
+    expect(r).toMatchObject({ orders: { inserted: 1, updated: 0 }, items: { inserted: 2, updated: 0 }, customers: { inserted: 1 } });
+    expect(await one(`SELECT external_id, total::text, subtotal::text, shipping::text, shop_domain, customer_id IS NOT NULL AS linked FROM orders`))
+      .toEqual([{ external_id: "1", total: "25.00", subtotal: "20.00", shipping: "5.00", shop_domain: A, linked: true }]);
+    expect(await one(`SELECT sku, qty FROM order_items ORDER BY sku`)).toEqual([{ sku: "S1", qty: 1 }, { sku: "S2", qty: 1 }]);
+  });
+
+  it("only reads rows staged since the last run", async () => {
+    const r = await runTransform(env);
+    expect(r.since).not.toBeNull();
+    expect(r).toMatchObject({ orders: { inserted: 0, updated: 0 }, items: { inserted: 0, updated: 0 } });
+
+    await stage(A, order(1, { updated_at: "2026-03-02T09:00:00Z", total: "30.00" }), 5);
+    expect(await runTransform(env)).toMatchObject({ orders: { inserted: 0, updated: 1 } });
+    expect(await one(`SELECT total::text FROM orders`)).toEqual([{ total: "30.00" }]);
+  });
+
+  it("keeps the body with the newest updated_at when a stale one arrives later", async () => {
+    await stage(A, order(1, { updated_at: "2026-03-01T16:00:00Z", total: "99.00" }), 4);
+    await runTransform(env);
+    expect(await one(`SELECT total::text FROM orders`)).toEqual([{ total: "30.00" }]);
+  });
+
+  it("zeroes a cancelled order: no money, lines at quantity 0, refunds dropped", async () => {
+    const refund = { id: 71, created_at: "2026-03-02T10:00:00Z", transactions: [{ kind: "refund", status: "success", amount: "5.00" }], refund_line_items: [] };
+    await stage(A, order(3, { updated_at: "2026-03-02T10:00:00Z", refunds: [refund] }), 3.5);
+    await runTransform(env);
+    expect(await one(`SELECT count(*)::int AS n FROM refunds`)).toEqual([{ n: 1 }]);
+
+    await stage(A, order(3, { updated_at: "2026-03-04T10:00:00Z", cancelled_at: "2026-03-04T10:00:00Z", refunds: [refund] }), 3);
+    await runTransform(env);
+    expect(await one(`SELECT total::text, subtotal::text, shipping::text, cancelled_at IS NOT NULL AS cancelled FROM orders WHERE external_id = '3'`))
+      .toEqual([{ total: "0.00", subtotal: "0.00", shipping: "0.00", cancelled: true }]);
+    expect(await one(`SELECT DISTINCT qty FROM order_items i JOIN orders o ON o.id = i.order_id WHERE o.external_id = '3'`)).toEqual([{ qty: 0 }]);
+    expect(await one(`SELECT count(*)::int AS n FROM refunds`)).toEqual([{ n: 0 }]);
+  });
+
+  it("leaves rows younger than the settle time for a later run", async () => {
+    await stage(A, order(2, { updated_at: "2026-03-03T09:00:00Z" }), 0);
+    const r = await runTransform(env);
+    expect(r).toMatchObject({ orders: { inserted: 0, updated: 0 } });
+    expect(await one(`SELECT count(*)::int AS n FROM orders WHERE external_id = '2'`)).toEqual([{ n: 0 }]);
+    // the mark stops short of the young row, so the run after it settles still reads it
+    const [{ later }] = await one(`SELECT received_at > '${r.until}'::timestamptz AS later FROM staging_raw WHERE payload->>'id' = '2'`);
+    expect(later).toBe(true);
+  });
+
+  it("full=true starts over from the first staged row", async () => {
+    // order 2 settles behind the mark (as a delayed commit would); only a run that starts over reads it
+    await pg.query(`UPDATE staging_raw SET received_at = now() - interval '20 minutes' WHERE payload->>'id' = '2'`);
+    expect((await runTransform(env)).orders).toEqual({ inserted: 0, updated: 0 });
+    const r = await runTransform(env, { full: true });
+    expect(r.since).toBeNull();
+    expect(r.orders).toEqual({ inserted: 1, updated: 2 });
+  });
+});
@@ -0,0 +1,106 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+vi.mock("@neondatabase/serverless", () => import("./pg-db"));
+
+import worker, { runTransform } from "../src/worker";
+import { migrate, stage } from "./pg-db";
+
+const env: any = {
+  DATABASE_URL: "postgresql://pglite",
+  REPORT_TZ: "UTC",
+  API_TOKENS: JSON.stringify([{ token: "view", role: "viewer" }]),
+  SHOPIFY_STORES: JSON.stringify([{ domain: "a.myshopify.com", token: "shpat_a" }, { domain: "b.myshopify.com", token: "shpat_b" }]),
+};
+const ctx: any = { waitUntil() {} };
+
+async function get(path: string, token: string | null = "view"): Promise<{ status: number; body: any }> {
+  const headers: Record<string, string> = token ? { Authorization: `Bearer ${token}` } : {};
+  const r = await worker.fetch(new Request(`http://x${path}`, { headers }), env, ctx);
+  return { status: r.status, body: await r.json() };
+}
+
+function order(id: number, placed: string, money: Record<string, unknown>, refunds: any[] = []) {
+  return {
+    id, name: `#${id}`, created_at: placed, updated_at: placed, cancelled_at: null, currency: "USD",
+    total_discounts: "0.00", total_tax: "0.00",
+    line_items: [{ id: id * 10, sku: "S1", title: "Breaker", quantity: 1, price: money.total_line_items_price }],
+    refunds,
+    ...money,
+  };
+}
+
+const refund = (id: number, created_at: string, amount: string) =>
+  ({ id, created_at, transactions: [{ kind: "refund", status: "success", amount }], refund_line_items: [] });
+
+const num = (o: Record<string, unknown>) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, Number(v)]));
+
+beforeAll(async () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  await migrate();
+  await stage("a.myshopify.com", order(1, "2026-03-05T15:00:00Z", {
+    total_line_items_price: "40.00", total_discounts: "5.00", total_tax: "1.75",
+    total_shipping_price_set: { shop_money: { amount: "7.50" } },
+    original_total_additional_fees_set: { shop_money: { amount: "1.00" } },
+  }, [refund(91, "2026-03-06T10:00:00Z", "10.50")]));
+  await stage("b.myshopify.com", order(2, "2026-03-05T18:00:00Z", {
+    total_line_items_price: "20.00", shipping_lines: [{ price: "4.00" }],
+  }));
+  // placed in the previous week, refunded in this one
+  await stage("a.myshopify.com", order(3, "2026-02-25T12:00:00Z", {
+    total_line_items_price: "30.00",
+  }, [refund(92, "2026-03-03T09:00:00Z", "6.00")]));
+  await runTransform(env);
+});
+
+describe("GET /api/kpis/waterfall", () => {
+  const week = "from=2026-03-01&to=2026-03-07";
+
+  it("breaks gross down to net and total per store, refunds on the day they were issued", async () => {
+    const { status, body } = await get(`/api/kpis/waterfall?${week}`);
+    expect(status).toBe(200);
+    const rows = Object.fromEntries(body.rows.map((r: any) => {
+      const { shop_domain, ...rest } = r;
+      return [shop_domain, num(rest)];
+    }));
+    expect(rows["a.myshopify.com"]).toEqual({
+      orders: 1, orders_without_breakdown: 0, gross: 40, discounts: 5, refunds: 16.5, net: 18.5, shipping: 7.5, tax: 1.75, fees: 1, total: 28.75,
+    });
+    expect(rows["b.myshopify.com"]).toMatchObject({ orders: 1, gross: 20, refunds: 0, net: 20, shipping: 4, total: 24 });
+    expect(body.total).toMatchObject({ orders: 2, gross: 60, discounts: 5, refunds: 16.5, net: 38.5, shipping: 11.5, tax: 1.75, fees: 1, total: 52.75 });
+  });
+
+  it("lays the all-stores total out as chart steps: deductions negative, net and total as subtotals", async () => {
+    const { body } = await get(`/api/kpis/waterfall?${week}`);
+    expect(body.steps).toEqual([
+      { step: "gross", amount: 60 },
+      { step: "discounts", amount: -5 },
+      { step: "refunds", amount: -16.5 },
+      { step: "net", amount: 38.5, subtotal: true },
+      { step: "shipping", amount: 11.5 },
+      { step: "tax", amount: 1.75 },
+      { step: "fees", amount: 1 },
+      { step: "total", amount: 52.75, subtotal: true },
+    ]);
+  });
+
+  it("narrows to one store", async () => {
+    const { body } = await get(`/api/kpis/waterfall?${week}&store=b.myshopify.com`);
+    expect(body.rows.map((r: any) => r.shop_domain)).toEqual(["b.myshopify.com"]);
+    expect(body.total).toMatchObject({ gross: 20, refunds: 0, total: 24 });
+  });
+
+  it("compares with the previous period, totals and steps included", async () => {
+    const { body } = await get(`/api/kpis/waterfall?${week}&compare=previous_period`);
+    expect(body.compare.period).toEqual({ from: "2026-02-22", to: "2026-02-28" });
+    expect(body.total.compare).toMatchObject({ orders: 1, gross: 30, refunds: 0, net: 30 });
+    expect(body.total.delta.gross).toEqual({ abs: 30, pct: 1 });
+    expect(body.compare.steps[0]).toEqual({ step: "gross", amount: 30 });
+    const b = body.rows.find((r: any) => r.shop_domain === "b.myshopify.com");
+    expect(b.compare).toMatchObject({ gross: 0 });
+  });
+
+  it("rejects a bad range and an unauthenticated caller", async () => {
+    expect(await get("/api/kpis/waterfall?from=2026-03-07&to=2026-03-01")).toMatchObject({ status: 400, body: { ok: false } });
+    expect((await get(`/api/kpis/waterfall?${week}`, null)).status).toBe(401);
+  });
+});
@@ -0,0 +1,23 @@
+import { createHmac } from "node:crypto";
+import { describe, expect, it } from "vitest";
+import { verifyShopifyHmac } from "../src/worker";
+
+const body = new TextEncoder().encode(JSON.stringify({ id: 1001, total_price: "30.00" }));
+const sign = (secret: string) => createHmac("sha256", secret).update(body).digest("base64");
+
+describe("verifyShopifyHmac", () => {
+  it("accepts base64(HMAC-SHA256(secret, raw body))", async () => {
+    expect(await verifyShopifyHmac("sek", body.buffer, sign("sek"))).toBe(true);
+  });
+
+  it("ignores surrounding whitespace in the header", async () => {
+    expect(await verifyShopifyHmac("sek", body.buffer, ` ${sign("sek")}\n`)).toBe(true);
+  });
+
+  it("rejects another secret, a changed body and an empty header", async () => {
+    expect(await verifyShopifyHmac("sek", body.buffer, sign("other"))).toBe(false);
+    const changed = new TextEncoder().encode(JSON.stringify({ id: 1001, total_price: "0.00" }));
+    expect(await verifyShopifyHmac("sek", changed.buffer, sign("sek"))).toBe(false);
+    expect(await verifyShopifyHmac("sek", body.buffer, "")).toBe(false);
+  });
+});
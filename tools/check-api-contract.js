@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Compare the /api/* calls made by the frontends against the Worker's /api/openapi.json.
+// Usage: node tools/check-api-contract.js [openapi.json]   (fetches $BI_BASE_URL/api/openapi.json by default)
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+
+const BASE = process.env.BI_BASE_URL || "https://netsuite-bi-ingest.mitchbiworker.workers.dev";
+const SOURCES = ["web", "js", "server/src/components"];
+
+const loadDoc = async () => {
+  if (process.argv[2]) return JSON.parse(readFileSync(process.argv[2], "utf8"));
+  const r = await fetch(`${BASE}/api/openapi.json`);
+  if (!r.ok) throw new Error(`openapi.json: HTTP ${r.status}`);
+  return r.json();
+};
+
+// { path, params[], file, line } for every "/api/..." literal, plus qs("/api/...", { a, b }) keys
+const scan = (file) => {
+  const calls = [];
+  readFileSync(file, "utf8").split("\n").forEach((text, i) => {
+    for (const m of text.matchAll(/\/api\/[A-Za-z0-9_\-/]+(\?[^`"'\s)]*)?/g)) {
+      const path = m[0].split("?")[0];
+      const params = [...(m[1] || "").matchAll(/[?&]([A-Za-z0-9_]+)=/g)].map((p) => p[1]);
+      const obj = text.slice(m.index).match(/^[^,]*,\s*\{([^}]*)\}/);
+      if (obj) params.push(...obj[1].split(",").map((kv) => kv.trim().match(/^[A-Za-z0-9_]+/)?.[0]).filter(Boolean));
+      calls.push({ path, params, file, line: i + 1 });
+    }
+  });
+  return calls;
+};
+
+const doc = await loadDoc();
+const routes = Object.entries(doc.paths).map(([p, ops]) => ({
+  re: new RegExp("^" + p.replace(/\{[^}]+\}/g, "[^/]+") + "$"),
+  params: new Set(Object.values(ops).flatMap((op) => (op.parameters || []).map((x) => x.name))),
+}));
+
+let problems = 0;
+for (const dir of SOURCES) {
+  let files = [];
+  try { files = readdirSync(dir).filter((f) => /\.(js|ts|tsx|html)$/.test(f)).map((f) => join(dir, f)); } catch { continue; }
+  for (const call of files.flatMap(scan)) {
+    const hit = routes.find((r) => r.re.test(call.path));
+    if (!hit) {
+      console.log(`✗ ${call.file}:${call.line}  ${call.path} — no such route`);
+      problems++;
+      continue;
+    }
+    for (const p of call.params) {
+      if (!hit.params.has(p)) {
+        console.log(`✗ ${call.file}:${call.line}  ${call.path} — unknown param "${p}"`);
+        problems++;
+      }
+    }
+  }
+}
+
+console.log(problems ? `\n${problems} problem(s)` : "✓ frontend calls match openapi.json");
+process.exit(problems ? 1 : 0);
@@ -8,6 +8,33 @@ const run = (cmd) => {
   p.on("exit", (code) => process.exit(code ?? 0));
 };
 
+const BASE = process.env.BI_BASE_URL || "https://netsuite-bi-ingest.mitchbiworker.workers.dev";
+
+// print backfill_jobs as a table instead of raw JSON
+const showJobs = async () => {
+  const r = await fetch(`${BASE}/api/admin/jobs?limit=20`, {
+    headers: process.env.BI_TOKEN ? { Authorization: `Bearer ${process.env.BI_TOKEN}` } : {},
+  });
+  const body = await r.json().catch(() => ({}));
+  if (!r.ok || !body.ok) {
+    console.error(`HTTP ${r.status}`, body.error || "");
+    process.exit(1);
+  }
+  if (!body.jobs.length) return console.log("No backfill jobs yet.");
+  console.table(body.jobs.map((j) => ({
+    id: j.id,
+    kind: j.kind,
+    store: j.store,
+    days: j.days,
+    status: j.status,
+    pages: j.pages,
+    orders: j.orders,
+    started: j.started_at ? new Date(j.started_at).toLocaleString() : "",
+    finished: j.finished_at ? new Date(j.finished_at).toLocaleString() : "",
+    last_error: (j.last_error || "").slice(0, 60),
+  })));
+};
+
 const items = [
   ["Backfill (365d RESET) — Essential Electric", "npm run backfill:ees:reset"],
   ["Backfill (365d RESET) — CBG", "npm run backfill:cbg:reset"],
@@ -16,11 +43,17 @@ const items = [
   ["Backfill (30d) — CBG", "npm run backfill:cbg"],
   ["Backfill (30d) — United Fuses", "npm run backfill:uf"],
   ["Backfill (30d) — ALL stores", "npm run backfill:all"],
+  ["Bulk backfill (365d) — ALL stores", "npm run backfill:bulk"],
+  ["Bulk backfill status", "npm run backfill:bulk:status"],
+  ["Backfill jobs — status", showJobs],
+  ["Transform staging → orders", "npm run transform"],
   ["KPIs — Top SKUs (30d)", "npm run kpis:top-skus"],
   ["KPIs — Bottom SKUs (30d)", "npm run kpis:bottom-skus"],
   ["KPIs — Daily (14d)", "npm run kpis:daily"],
   ["KPIs — Rolling", "npm run kpis:rolling"],
   ["Deploy worker", "npm run deploy"],
+  ["Schema migrations — status", "npm run migrate:status"],
+  ["Schema migrations — apply", "npm run migrate"],
   ["Tail logs", "npm run tail"],
   ["Commit + Push + Deploy (ship)", "npm run ship"]
 ];
@@ -37,8 +70,15 @@ rl.question("Choice: ", (ans) => {
     console.error("Invalid choice.");
     process.exit(1);
   }
-  const [, cmd] = items[idx];
-  console.log(`\n→ Running: ${cmd}\n`);
+  const [label, cmd] = items[idx];
   rl.close();
+  if (typeof cmd === "function") {
+    console.log(`\n→ ${label}\n`);
+    return cmd().catch((e) => {
+      console.error(e?.message || e);
+      process.exit(1);
+    });
+  }
+  console.log(`\n→ Running: ${cmd}\n`);
   run(cmd);
 });
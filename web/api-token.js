@@ -0,0 +1,27 @@
+/**
+ * api-token.js — the Worker API token shared by metrics.js, metrics-advanced.js and dashboard.js.
+ * Asked once per browser session (sessionStorage "biToken"); load it before those scripts.
+ */
+
+const BiToken = {
+  key: "biToken",
+
+  get() {
+    let token = sessionStorage.getItem(BiToken.key);
+    if (!token) {
+      token = prompt("BI API token (viewer or higher; operator to upload purchase orders):") || "";
+      if (token) sessionStorage.setItem(BiToken.key, token);
+    }
+    return token;
+  },
+
+  headers(extra = {}) {
+    return { ...extra, "Authorization": `Bearer ${BiToken.get()}` };
+  },
+
+  // a wrong token or one without the route's role is asked for again on the next call
+  check(res) {
+    if (res.status === 401 || res.status === 403) sessionStorage.removeItem(BiToken.key);
+    return res;
+  },
+};
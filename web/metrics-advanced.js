@@ -1,6 +1,9 @@
 (async function(){
   const WORKER_BASE = "https://<your-worker-subdomain>.workers.dev"; // set me
 
+  // the Worker token comes from BiToken (web/api-token.js)
+  const api = async (url) => BiToken.check(await fetch(url, { headers: BiToken.headers() }));
+
   // Elements (create your own containers or use existing)
   const els = {
     revenueCanvas: document.getElementById('revenueTrend'),
@@ -15,7 +18,7 @@
 
   async function load(shop){
     // Revenue trend
-    const rev = await (await fetch(`${WORKER_BASE}/api/metrics/revenue_trend?range=30d&shop=${shop}`)).json();
+    const rev = await (await api(`${WORKER_BASE}/api/metrics/revenue_trend?range=30d&shop=${shop}`)).json();
     if(rev?.ok){
       const labels = rev.points.map(p=> new Date(p.date).toLocaleDateString());
       const revenue = rev.points.map(p=> p.revenue);
@@ -25,25 +28,25 @@
     }
 
     // Top products
-    const tops = await (await fetch(`${WORKER_BASE}/api/metrics/top_products?range=30d&shop=${shop}&limit=10`)).json();
+    const tops = await (await api(`${WORKER_BASE}/api/metrics/top_products?range=30d&shop=${shop}&limit=10`)).json();
     if(tops?.ok){
       els.topProductsBody.innerHTML = (tops.items||[]).map(it=> `<tr><td>${it.sku||''}</td><td>${(it.title||'').replace(/</g,'&lt;')}</td><td>${it.units.toLocaleString()}</td><td>$${it.revenue.toFixed(2)}</td></tr>`).join('');
     }
 
     // Channel margin
-    const cm = await (await fetch(`${WORKER_BASE}/api/metrics/channel_margin?range=30d&shop=${shop}`)).json();
+    const cm = await (await api(`${WORKER_BASE}/api/metrics/channel_margin?range=30d&shop=${shop}`)).json();
     if(cm?.ok){
       els.marginBody.innerHTML = (cm.channels||[]).map(c=> `<tr><td>${c.channel}</td><td>$${c.revenue.toFixed(2)}</td><td>$${c.cost.toFixed(2)}</td><td>$${c.margin.toFixed(2)}</td></tr>`).join('');
     }
 
     // Low stock
-    const ls = await (await fetch(`${WORKER_BASE}/api/metrics/low_stock?threshold=10&shop=${shop}`)).json();
+    const ls = await (await api(`${WORKER_BASE}/api/metrics/low_stock?threshold=10&shop=${shop}`)).json();
     if(ls?.ok){
       els.lowStockBody.innerHTML = (ls.items||[]).map(s=> `<tr><td>${s.sku}</td><td>${s.on_hand ?? 0}</td><td>${s.committed ?? 0}</td><td>${s.backordered ?? 0}</td><td>${new Date(s.updated_at).toLocaleString()}</td></tr>`).join('');
     }
 
     // Cohorts (simple table render)
-    const ch = await (await fetch(`${WORKER_BASE}/api/metrics/cohorts?months=6&shop=${shop}`)).json();
+    const ch = await (await api(`${WORKER_BASE}/api/metrics/cohorts?months=6&shop=${shop}`)).json();
     if(ch?.ok){
       // group by cohort
       const groups = {};
@@ -62,12 +65,12 @@
 
   // Initialize shop selector (assumes existing select like previous bundle)
   if (els.shopSelect) {
-    const shops = await (await fetch(`${WORKER_BASE}/api/shops`)).json();
+    const shops = await (await api(`${WORKER_BASE}/api/shops`)).json();
     if (shops?.ok) {
       for (const s of shops.shops) {
         const opt = document.createElement('option');
         opt.value = String(s.id);
-        opt.textContent = `${s.handle} (${s.domain.split('.')[0]})`;
+        opt.textContent = `${s.name || s.handle} (${s.domain.split('.')[0]})`;
         els.shopSelect.appendChild(opt);
       }
     }
@@ -1,6 +1,6 @@
 /**
  * metrics.js — live KPIs, sparkline, N‑day sales table (CSV),
- * Top/Bottom SKUs, Repeat Rates, and loading shimmer on KPI tiles.
+ * Top/Bottom SKUs, Repeat Rates, Cohort Retention heatmap, Stock Cover, and loading shimmer on KPI tiles.
  */
 
 const WORKER_BASE =
@@ -9,8 +9,9 @@ const WORKER_BASE =
     : "https://netsuite-bi-ingest.mitchbiworker.workers.dev";
 
 /* ---------- utils ---------- */ 
+// the Worker token comes from BiToken (web/api-token.js)
 async function fetchJSON(url) {
-  const res = await fetch(url, { headers: { "Accept": "application/json" } });
+  const res = BiToken.check(await fetch(url, { headers: BiToken.headers({ "Accept": "application/json" }) }));
   let data;
   try { data = await res.json(); } catch { throw new Error(`Bad JSON from ${url}`); }
   if (!res.ok || data?.ok === false) throw new Error(data?.error || res.statusText || `HTTP ${res.status}`);
@@ -26,6 +27,10 @@ function qs(path, params) {
 }
 function $(id){ return document.getElementById(id); }
 function fmtMoney(n){ return `$${num(n).toFixed(2)}`; }
+// cost/profit/margin are null until sku_costs covers the SKU — show a dash, not $0.00
+function fmtMoneyOrDash(n){ return n == null ? "—" : fmtMoney(n); }
+function fmtPctOrDash(n){ return n == null ? "—" : `${(num(n) * 100).toFixed(1)}%`; }
+function profitStyle(n){ return n != null && num(n) < 0 ? "color:#b91c1c;" : ""; }
 function downloadCSV(filename, rows) {
   if (!rows?.length) return;
   const header = Object.keys(rows[0]);
@@ -48,6 +53,8 @@ const Last = {
   topSkus: [],
   bottomSkus: [],
   repeatRates: [],
+  cohorts: [],
+  stockCover: [],
   newRetDaily: [],
   salesND: [],
   currentSalesWindow: 14,
@@ -56,7 +63,7 @@ const Last = {
 /* ---------- shops ---------- */
 async function loadShops() {
   const { shops = [] } = await fetchJSON(`${WORKER_BASE}/api/shops`);
-  const ids = ["shop-selector","top-skus-store","bottom-skus-store","repeat-store"];
+  const ids = ["shop-selector","top-skus-store","bottom-skus-store","repeat-store","cohort-store","cover-store"];
   ids.forEach(id => {
     const sel = $(id);
     if (!sel) return;
@@ -67,12 +74,39 @@ async function loadShops() {
     shops.forEach(s => {
       const opt = document.createElement("option");
       opt.value = s.domain;
-      opt.textContent = s.handle || s.domain;
+      opt.textContent = s.name || s.handle || s.domain;
       sel.appendChild(opt);
     });
   });
 }
 
+/* vendor filters on the SKU panels (from the synced catalog) */
+async function loadVendors() {
+  const { vendors = [] } = await fetchJSON(`${WORKER_BASE}/api/catalog/vendors`);
+  ["top-skus-vendor","bottom-skus-vendor"].forEach(id => {
+    const sel = $(id);
+    if (!sel) return;
+    sel.innerHTML = `<option value="">All vendors</option>`;
+    vendors.forEach(v => {
+      const opt = document.createElement("option");
+      opt.value = v.vendor;
+      opt.textContent = v.vendor;
+      sel.appendChild(opt);
+    });
+  });
+}
+
+// first two SKU-table columns: sku + title, or vendor / product type + how many SKUs it covers
+const SKU_GROUP_LABELS = { sku: "SKU", vendor: "Vendor", product_type: "Product type" };
+function skuKeyCells(r, groupBy) {
+  if (groupBy === "sku") return `<td>${r.sku || ""}</td><td>${r.title || ""}</td>`;
+  return `<td>${r[groupBy] || ""}</td><td class="muted">${num(r.skus).toLocaleString()} SKUs</td>`;
+}
+function setSkuKeyHeaders(prefix, groupBy) {
+  if ($(`${prefix}-col-key`)) $(`${prefix}-col-key`).textContent = SKU_GROUP_LABELS[groupBy] || "SKU";
+  if ($(`${prefix}-col-title`)) $(`${prefix}-col-title`).textContent = groupBy === "sku" ? "Title" : "SKUs";
+}
+
 /* ---------- shimmer helpers ---------- */
 function setKpiLoading(isLoading) {
   const ids = ["orders-value","revenue-value","aov-value","returning-value"];
@@ -211,10 +245,14 @@ async function loadTopSkus() {
   const days = Number($("top-skus-days")?.value || 30);
   const limit = Number($("top-skus-limit")?.value || 50);
   const include365 = !!$("top-skus-365")?.checked;
+  const sort = $("top-skus-sort")?.value || "revenue";
+  const group_by = $("top-skus-group")?.value || "sku";
+  const vendor = $("top-skus-vendor")?.value || "";
 
   const { rows = [] } = await fetchJSON(qs("/api/kpis/top-skus", {
-    days, store: store || undefined, limit, include365: include365 ? "true" : "false"
+    days, store: store || undefined, limit, include365: include365 ? "true" : "false", sort, group_by, vendor: vendor || undefined
   }));
+  setSkuKeyHeaders("top-skus", group_by);
 
   Last.topSkus = rows;
   const show365 = include365;
@@ -226,12 +264,16 @@ async function loadTopSkus() {
     for (const r of rows) {
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>${r.sku || ""}</td>
-        <td>${r.title || ""}</td>
+        ${skuKeyCells(r, group_by)}
         <td style="text-align:right">${num(r.units_window).toLocaleString()}</td>
         <td style="text-align:right">${fmtMoney(r.revenue_window)}</td>
+        <td style="text-align:right" title="${r.units_uncosted_window ? `${r.units_uncosted_window} unit(s) have no cost` : ""}">${fmtMoneyOrDash(r.cost_window)}</td>
+        <td style="text-align:right; ${profitStyle(r.gross_profit_window)}">${fmtMoneyOrDash(r.gross_profit_window)}</td>
+        <td style="text-align:right; ${profitStyle(r.margin_pct)}">${fmtPctOrDash(r.margin_pct)}</td>
         <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"}">${r.units_365 != null ? num(r.units_365).toLocaleString() : ""}</td>
         <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"}">${r.revenue_365 != null ? fmtMoney(r.revenue_365) : ""}</td>
+        <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"} ${profitStyle(r.gross_profit_365)}">${show365 ? fmtMoneyOrDash(r.gross_profit_365) : ""}</td>
+        <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"} ${profitStyle(r.margin_pct_365)}">${show365 ? fmtPctOrDash(r.margin_pct_365) : ""}</td>
       `;
       tbody.appendChild(tr);
     }
@@ -243,10 +285,14 @@ async function loadBottomSkus() {
   const days = Number($("bottom-skus-days")?.value || 30);
   const limit = Number($("bottom-skus-limit")?.value || 50);
   const include365 = !!$("bottom-skus-365")?.checked;
+  const sort = $("bottom-skus-sort")?.value || "revenue";
+  const group_by = $("bottom-skus-group")?.value || "sku";
+  const vendor = $("bottom-skus-vendor")?.value || "";
 
   const { rows = [] } = await fetchJSON(qs("/api/kpis/bottom-skus", {
-    days, store: store || undefined, limit, include365: include365 ? "true" : "false"
+    days, store: store || undefined, limit, include365: include365 ? "true" : "false", sort, group_by, vendor: vendor || undefined
   }));
+  setSkuKeyHeaders("bottom-skus", group_by);
 
   Last.bottomSkus = rows;
   const show365 = include365;
@@ -259,12 +305,16 @@ async function loadBottomSkus() {
     for (const r of rows) {
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>${r.sku || ""}</td>
-        <td>${r.title || ""}</td>
+        ${skuKeyCells(r, group_by)}
         <td style="text-align:right">${num(r.units_window).toLocaleString()}</td>
         <td style="text-align:right">${fmtMoney(r.revenue_window)}</td>
+        <td style="text-align:right" title="${r.units_uncosted_window ? `${r.units_uncosted_window} unit(s) have no cost` : ""}">${fmtMoneyOrDash(r.cost_window)}</td>
+        <td style="text-align:right; ${profitStyle(r.gross_profit_window)}">${fmtMoneyOrDash(r.gross_profit_window)}</td>
+        <td style="text-align:right; ${profitStyle(r.margin_pct)}">${fmtPctOrDash(r.margin_pct)}</td>
         <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"}">${r.units_365 != null ? num(r.units_365).toLocaleString() : ""}</td>
         <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"}">${r.revenue_365 != null ? fmtMoney(r.revenue_365) : ""}</td>
+        <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"} ${profitStyle(r.gross_profit_365)}">${show365 ? fmtMoneyOrDash(r.gross_profit_365) : ""}</td>
+        <td class="col-365" style="text-align:right; ${show365 ? "" : "display:none"} ${profitStyle(r.margin_pct_365)}">${show365 ? fmtPctOrDash(r.margin_pct_365) : ""}</td>
       `;
       tbody.appendChild(tr);
     }
@@ -276,8 +326,9 @@ async function loadRepeatRates() {
   const store = $("repeat-store")?.value || "";
   const showLtv = !!$("repeat-show-ltv")?.checked;
 
-  const { rows = [] } = await fetchJSON(`${WORKER_BASE}/api/kpis/repeat-rates`);
-  const filtered = store ? rows.filter(r => (r.shop_domain || "") === store) : rows;
+  const { rows = [], all_stores } = await fetchJSON(`${WORKER_BASE}/api/kpis/repeat-rates`);
+  // "All Stores" adds the de-duplicated total: a customer of two stores is one customer there
+  const filtered = store ? rows.filter(r => (r.shop_domain || "") === store) : rows.concat(all_stores ? [{ ...all_stores, shop_domain: "All stores" }] : []);
   Last.repeatRates = filtered;
 
   const tbody = $("repeat-tbody");
@@ -287,10 +338,10 @@ async function loadRepeatRates() {
       const tr = document.createElement("tr");
       tr.innerHTML = `
         <td>${r.shop_domain || "(unknown)"}</td>
-        <td style="text-align:right">${num(r.customers_total).toLocaleString()}</td>
+        <td style="text-align:right">${num(r.total_customers).toLocaleString()}</td>
         <td style="text-align:right">${num(r.one_time_customers).toLocaleString()}</td>
         <td style="text-align:right">${num(r.repeat_customers).toLocaleString()}</td>
-        <td style="text-align:right">${num(r.repeat_rate_pct).toFixed(2)}%</td>
+        <td style="text-align:right">${(num(r.repeat_rate) * 100).toFixed(2)}%</td>
         <td class="col-ltv" style="text-align:right">${r.avg_ltv_repeat != null ? fmtMoney(r.avg_ltv_repeat) : ""}</td>
       `;
       tbody.appendChild(tr);
@@ -299,6 +350,97 @@ async function loadRepeatRates() {
   }
 }
 
+/* ---------- Cohort Retention (heatmap) ---------- */
+async function loadCohorts() {
+  const store = $("cohort-store")?.value || "";
+  const metric = $("cohort-metric")?.value || "retention";
+  const months = Number($("cohort-months")?.value || 12);
+
+  const { cohorts = [] } = await fetchJSON(qs("/api/kpis/cohorts", { months, store: store || undefined }));
+  Last.cohorts = cohorts.flatMap(c => c.cells.map(cell => ({ cohort: c.cohort, cohort_customers: c.customers, ...cell })));
+
+  const width = Math.max(0, ...cohorts.map(c => c.cells.length));
+  const max = Math.max(0, ...cohorts.flatMap(c => c.cells.filter(cell => cell.offset > 0 || metric !== "retention").map(cell => num(cell[metric]))));
+  const fmt = (v) => metric === "retention" ? `${(num(v) * 100).toFixed(1)}%`
+                   : metric === "customers" ? num(v).toLocaleString()
+                   : fmtMoney(v);
+  // month 0 is always 100% retention, so shade the rest against the best later month
+  const shade = (v) => `background:rgba(37,99,235,${max > 0 ? Math.min(1, num(v) / max) * 0.85 : 0})`;
+
+  const thead = $("cohort-thead");
+  if (thead) {
+    const heads = Array.from({ length: width }, (_, m) => `<th style="text-align:right; padding:.5rem .75rem;">M${m}</th>`).join("");
+    thead.innerHTML = `<tr>
+      <th style="text-align:left; padding:.5rem .75rem;">Cohort</th>
+      <th style="text-align:right; padding:.5rem .75rem;">Customers</th>${heads}</tr>`;
+  }
+  const tbody = $("cohort-tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    for (const c of cohorts) {
+      const tr = document.createElement("tr");
+      const cells = c.cells.map(cell => {
+        const v = cell[metric];
+        const dark = max > 0 && num(v) / max > 0.55;
+        return `<td title="${cell.customers} customers · ${fmtMoney(cell.revenue)}" style="text-align:right;${shade(v)};${dark ? "color:#fff;" : ""}">${fmt(v)}</td>`;
+      });
+      while (cells.length < width) cells.push("<td></td>");
+      tr.innerHTML = `<td>${c.cohort}</td><td style="text-align:right">${num(c.customers).toLocaleString()}</td>${cells.join("")}`;
+      tbody.appendChild(tr);
+    }
+  }
+}
+
+/* ---------- Stock Cover (days of cover / stockout risk / dead stock) ---------- */
+const COVER_STATUS = {
+  out:     { label: "Out of stock", style: "color:#b91c1c; font-weight:600;" },
+  at_risk: { label: "At risk",      style: "color:#b45309; font-weight:600;" },
+  dead:    { label: "Dead stock",   style: "color:#6b7280;" },
+  ok:      { label: "OK",           style: "" },
+};
+
+async function loadStockCover() {
+  const store = $("cover-store")?.value || "";
+  const range = $("cover-range")?.value || "30d";
+  const lead_days = Number($("cover-lead")?.value || 14);
+  const status = $("cover-status")?.value || "all";
+
+  const { items = [], summary = {}, snapshot_date } = await fetchJSON(qs("/api/inventory/cover", {
+    shop: store || undefined, range, lead_days, status, limit: 500
+  }));
+  Last.stockCover = items;
+
+  const sum = $("cover-summary");
+  if (sum) {
+    const parts = Object.entries(COVER_STATUS).map(([k, s]) =>
+      `<span style="${s.style}">${s.label}: ${num(summary[k]?.skus).toLocaleString()}</span>`);
+    if (summary.dead) parts.push(`<span class="muted">dead stock value ${fmtMoney(summary.dead.stock_value)}</span>`);
+    parts.push(`<span class="muted">${snapshot_date ? `snapshot ${snapshot_date}` : "no inventory synced yet"}</span>`);
+    sum.innerHTML = parts.join(" · ");
+  }
+
+  const tbody = $("cover-tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    for (const r of items) {
+      const st = COVER_STATUS[r.status] || COVER_STATUS.ok;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${r.sku || ""}</td>
+        <td>${r.title || ""}</td>
+        <td style="${st.style}">${st.label}</td>
+        <td style="text-align:right">${num(r.on_hand).toLocaleString()}</td>
+        <td style="text-align:right">${num(r.available).toLocaleString()}</td>
+        <td style="text-align:right">${num(r.daily_velocity).toFixed(2)}</td>
+        <td style="text-align:right">${r.days_of_cover == null ? "—" : num(r.days_of_cover).toFixed(1)}</td>
+        <td>${r.last_sold_on ? String(r.last_sold_on).slice(0, 10) : "—"}</td>
+        <td style="text-align:right">${fmtMoneyOrDash(r.stock_value)}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+}
+
 /* ---------- ensure panel export buttons ---------- */
 function ensureButtons() {
   // Top SKUs
@@ -331,12 +473,33 @@ function ensureButtons() {
     btn.addEventListener("click", () => downloadCSV("repeat_rates.csv", Last.repeatRates));
     repControls.appendChild(btn);
   }
+  // Cohort Retention
+  const cohortControls = document.querySelector("#cohort-store")?.closest(".controls");
+  if (cohortControls && !cohortControls.querySelector("#cohort-export")) {
+    const btn = document.createElement("button");
+    btn.id = "cohort-export";
+    btn.className = "btn";
+    btn.textContent = "Export CSV";
+    btn.addEventListener("click", () => downloadCSV("cohort_retention.csv", Last.cohorts));
+    cohortControls.appendChild(btn);
+  }
+  // Stock Cover
+  const coverControls = document.querySelector("#cover-store")?.closest(".controls");
+  if (coverControls && !coverControls.querySelector("#cover-export")) {
+    const btn = document.createElement("button");
+    btn.id = "cover-export";
+    btn.className = "btn";
+    btn.textContent = "Export CSV";
+    btn.addEventListener("click", () => downloadCSV("stock_cover.csv", Last.stockCover));
+    coverControls.appendChild(btn);
+  }
 }
 
 /* ---------- boot ---------- */
 document.addEventListener("DOMContentLoaded", async () => {
   try {
     await loadShops();
+    await loadVendors().catch(err => console.warn("vendors:", err.message));
 
     // global store selector
     const globStoreSel = $("shop-selector");
@@ -346,6 +509,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     await loadTopSkus();
     await loadBottomSkus();
     await loadRepeatRates();
+    await loadCohorts();
+    await loadStockCover();
 
     ensureButtons();
 
@@ -354,10 +519,12 @@ document.addEventListener("DOMContentLoaded", async () => {
       const domain = e.target.value || "";
       await loadKPIs(domain);
       await loadSalesTable(domain, $("sales-window")?.value || 14);
-      ["top-skus-store","bottom-skus-store","repeat-store"].forEach(id => { if ($(id)) $(id).value = domain; });
+      ["top-skus-store","bottom-skus-store","repeat-store","cohort-store","cover-store"].forEach(id => { if ($(id)) $(id).value = domain; });
       await loadTopSkus();
       await loadBottomSkus();
       await loadRepeatRates();
+      await loadCohorts();
+      await loadStockCover();
     });
 
     // Sales window selector + Export
@@ -372,7 +539,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     // Top
     $("top-skus-refresh")?.addEventListener("click", loadTopSkus);
-    ["top-skus-store","top-skus-days","top-skus-365"].forEach(id => $(id)?.addEventListener("change", loadTopSkus));
+    ["top-skus-store","top-skus-days","top-skus-sort","top-skus-365","top-skus-group","top-skus-vendor"].forEach(id => $(id)?.addEventListener("change", loadTopSkus));
     $("top-skus-limit")?.addEventListener("input", () => {
       const el = $("top-skus-limit"); el.value = String(Math.max(1, Math.min(500, Number(el.value || 50))));
     });
@@ -380,7 +547,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     // Bottom
     $("bottom-skus-refresh")?.addEventListener("click", loadBottomSkus);
-    ["bottom-skus-store","bottom-skus-days","bottom-skus-365"].forEach(id => $(id)?.addEventListener("change", loadBottomSkus));
+    ["bottom-skus-store","bottom-skus-days","bottom-skus-sort","bottom-skus-365","bottom-skus-group","bottom-skus-vendor"].forEach(id => $(id)?.addEventListener("change", loadBottomSkus));
     $("bottom-skus-limit")?.addEventListener("input", () => {
       const el = $("bottom-skus-limit"); el.value = String(Math.max(1, Math.min(500, Number(el.value || 50))));
     });
@@ -390,6 +557,14 @@ document.addEventListener("DOMContentLoaded", async () => {
     $("repeat-refresh")?.addEventListener("click", loadRepeatRates);
     $("repeat-store")?.addEventListener("change", loadRepeatRates);
     $("repeat-show-ltv")?.addEventListener("change", loadRepeatRates);
+
+    // Cohorts
+    $("cohort-refresh")?.addEventListener("click", loadCohorts);
+    ["cohort-store","cohort-metric","cohort-months"].forEach(id => $(id)?.addEventListener("change", loadCohorts));
+
+    // Stock Cover
+    $("cover-refresh")?.addEventListener("click", loadStockCover);
+    ["cover-store","cover-range","cover-lead","cover-status"].forEach(id => $(id)?.addEventListener("change", loadStockCover));
   } catch (err) {
     console.error(err);
     const el = $("error-banner");